@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 
 const auth = async (req, res, next) => {
   try {
@@ -10,16 +11,33 @@ const auth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Tokens signed for something else (e.g. email verification links) or
+    // issued before sessions existed
+    if (decoded.purpose || !decoded.sid) {
+      return res.status(401).json({ message: 'Token is not valid' });
+    }
+
     const user = await User.findById(decoded.id).select('-password');
     
     if (!user) {
       return res.status(401).json({ message: 'Token is not valid' });
     }
 
+    // The session was revoked, e.g. signed out from another device
+    const session = await Session.exists({ _id: decoded.sid, user: user._id, expiresAt: { $gt: new Date() } });
+    if (!session) {
+      return res.status(401).json({ message: 'Token is not valid' });
+    }
+
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
-    console.error('Auth middleware error:', error);
+    // Expired access tokens are routine; the client refreshes them
+    if (error.name !== 'TokenExpiredError') {
+      console.error('Auth middleware error:', error);
+    }
     res.status(401).json({ message: 'Token is not valid' });
   }
 };
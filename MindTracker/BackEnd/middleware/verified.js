@@ -0,0 +1,11 @@
+const { isRestricted } = require('../utils/verification');
+
+// Use after auth on routes that unverified accounts may not use
+const requireVerified = (feature) => (req, res, next) => {
+  if (isRestricted(req.user, feature)) {
+    return res.status(403).json({ message: 'Please verify your email address to use this feature' });
+  }
+  next();
+};
+
+module.exports = requireVerified;
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// An event shown in friends' activity feeds. Names and icons are copied in so
+// the item still reads correctly if the habit or goal changes later.
+const activitySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['habit_completed', 'streak_milestone', 'goal_completed', 'achievement_earned'],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  icon: {
+    type: String
+  },
+  // Streak length for milestones, with its unit ('day' or 'week')
+  value: {
+    type: Number
+  },
+  unit: {
+    type: String
+  },
+  habit: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Habit'
+  },
+  // The habit entry a completion or milestone came from
+  entry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'HabitEntry'
+  },
+  goal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Goal'
+  },
+  // Key of an earned achievement
+  achievement: {
+    type: String
+  },
+  // Identifies the event so it is recorded only once, e.g. 'goal_completed:<goalId>'
+  key: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+activitySchema.index({ key: 1 }, { unique: true });
+activitySchema.index({ user: 1, createdAt: -1 });
+activitySchema.index({ habit: 1 });
+activitySchema.index({ entry: 1 });
+
+module.exports = mongoose.model('Activity', activitySchema);
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+const HABIT_CATEGORIES = ['health', 'fitness', 'mindfulness', 'learning', 'social', 'productivity', 'other'];
+
+// A challenge between friends. Each participant takes part with one of their
+// own habits, which must match the rule, and is scored on its entries between
+// startDate and endDate: 'days' counts days the habit was completed, 'total'
+// adds up the values logged.
+const challengeSchema = new mongoose.Schema({
+  creator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Please provide a challenge title'],
+    trim: true,
+    maxlength: [100, 'Challenge title cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  icon: {
+    type: String,
+    default: '🏁'
+  },
+  metric: {
+    type: String,
+    enum: ['days', 'total'],
+    default: 'days'
+  },
+  // Score to reach, e.g. 20 for "20 of the next 30 days"; without one the
+  // highest score wins
+  target: {
+    type: Number,
+    min: 1
+  },
+  // Which habits count: those in the category and/or measured in the unit
+  rule: {
+    category: {
+      type: String,
+      enum: HABIT_CATEGORIES
+    },
+    unit: {
+      type: String,
+      trim: true
+    }
+  },
+  // Daily target given to habits created for the challenge
+  dailyTarget: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  // Start and end of the creator's local days
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  participants: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['invited', 'joined', 'declined', 'left'],
+      default: 'invited'
+    },
+    habit: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Habit'
+    },
+    joinedAt: {
+      type: Date
+    }
+  }],
+  // Set once the challenge has ended and its winners were announced
+  finishedAt: {
+    type: Date
+  },
+  winners: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+}, {
+  timestamps: true
+});
+
+challengeSchema.index({ 'participants.user': 1, endDate: -1 });
+challengeSchema.index({ endDate: 1, finishedAt: 1 });
+
+module.exports = mongoose.model('Challenge', challengeSchema);
+module.exports.HABIT_CATEGORIES = HABIT_CATEGORIES;
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A comment on a public goal, an earned achievement or a streak; targets work
+// as for reactions
+const commentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['goal', 'achievement', 'streak'],
+    required: true
+  },
+  target: {
+    type: String,
+    required: true
+  },
+  text: {
+    type: String,
+    required: [true, 'Comment text is required'],
+    trim: true,
+    maxlength: [280, 'Comments cannot be more than 280 characters']
+  }
+}, {
+  timestamps: true
+});
+
+commentSchema.index({ owner: 1, targetType: 1, target: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Comment', commentSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const friendRequestSchema = new mongoose.Schema({
+  from: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  to: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'cancelled'],
+    default: 'pending'
+  },
+  respondedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// At most one open request between two users in each direction
+friendRequestSchema.index(
+  { from: 1, to: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+friendRequestSchema.index({ to: 1, status: 1 });
+
+module.exports = mongoose.model('FriendRequest', friendRequestSchema);
@@ -60,6 +60,10 @@ const goalSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // When the goal was last completed; cleared if it is reopened
+  completedAt: {
+    type: Date
+  },
   milestones: [{
     title: {
       type: String,
@@ -98,6 +102,10 @@ const goalSchema = new mongoose.Schema({
   icon: {
     type: String,
     default: '🎯'
+  },
+  // Set once the owner has been warned about an approaching deadline
+  deadlineNotifiedAt: {
+    type: Date
   }
 }, {
   timestamps: true
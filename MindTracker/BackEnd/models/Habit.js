@@ -22,6 +22,12 @@ const habitSchema = new mongoose.Schema({
     enum: ['health', 'fitness', 'mindfulness', 'learning', 'social', 'productivity', 'other'],
     default: 'health'
   },
+  // 'build' habits are completed; 'quit' habits track days without a relapse
+  kind: {
+    type: String,
+    enum: ['build', 'quit'],
+    default: 'build'
+  },
   frequency: {
     type: String,
     enum: ['daily', 'weekly', 'custom'],
@@ -55,10 +61,30 @@ const habitSchema = new mongoose.Schema({
     type: String,
     default: '💪'
   },
+  // Whether completions and streak milestones show up in friends' activity feeds
+  isPublic: {
+    type: Boolean,
+    default: false
+  },
+  // Archived habits are inactive: hidden from the habit list but keep their history
   isActive: {
     type: Boolean,
     default: true
   },
+  archivedAt: {
+    type: Date
+  },
+  // Paused periods are neutral for streaks; an open pause has no endDate.
+  // Dates are the start and end of the user's local days.
+  pauses: [{
+    startDate: {
+      type: Date,
+      required: true
+    },
+    endDate: {
+      type: Date
+    }
+  }],
   reminder: {
     enabled: {
       type: Boolean,
@@ -71,7 +97,11 @@ const habitSchema = new mongoose.Schema({
     days: [{
       type: String,
       enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
-    }]
+    }],
+    // Set by the reminder scheduler so each reminder fires at most once a day
+    lastSentAt: {
+      type: Date
+    }
   },
   stats: {
     totalCompletions: {
@@ -92,6 +122,13 @@ const habitSchema = new mongoose.Schema({
     },
     lastCompleted: {
       type: Date
+    },
+    totalRelapses: {
+      type: Number,
+      default: 0
+    },
+    lastRelapse: {
+      type: Date
     }
   }
 }, {
@@ -101,5 +138,6 @@ const habitSchema = new mongoose.Schema({
 // Index for efficient queries
 habitSchema.index({ user: 1, isActive: 1 });
 habitSchema.index({ user: 1, createdAt: -1 });
+habitSchema.index({ 'reminder.enabled': 1, isActive: 1 });
 
 module.exports = mongoose.model('Habit', habitSchema);
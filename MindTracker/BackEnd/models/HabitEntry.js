@@ -20,6 +20,24 @@ const habitEntrySchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Set on entries of quit habits when the user slipped up that day
+  relapsed: {
+    type: Boolean,
+    default: false
+  },
+  // Skipped days (a plain skip or a spent streak freeze) are neutral for streaks
+  skipped: {
+    type: Boolean,
+    default: false
+  },
+  skipType: {
+    type: String,
+    enum: ['skip', 'freeze']
+  },
+  // When the entry was checked off, for time-of-day analytics
+  completedAt: {
+    type: Date
+  },
   value: {
     type: Number,
     default: 0,
@@ -57,6 +75,18 @@ habitEntrySchema.index({ user: 1, date: -1 });
 habitEntrySchema.index({ habit: 1, date: -1 });
 habitEntrySchema.index({ user: 1, habit: 1, date: -1 }, { unique: true });
 
+// Stamp the completion time when an entry is completed on its own day;
+// entries backfilled later have no meaningful time of day
+habitEntrySchema.pre('save', function(next) {
+  if (!this.isModified('completed')) return next();
+
+  const sinceDayStart = Date.now() - this.date.getTime();
+  this.completedAt = this.completed && sinceDayStart >= 0 && sinceDayStart < 24 * 60 * 60 * 1000
+    ? new Date()
+    : undefined;
+  next();
+});
+
 // Virtual for formatted date
 habitEntrySchema.virtual('formattedDate').get(function() {
   return this.date.toISOString().split('T')[0];
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const REACTION_TYPES = ['high_five', 'fire', 'clap', 'heart', 'muscle'];
+
+// An emoji reaction to something a user shared: a public goal, an earned
+// achievement (target is its key) or their streak (target is 'streak')
+const reactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The user whose goal, achievement or streak this is
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['goal', 'achievement', 'streak'],
+    required: true
+  },
+  target: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: REACTION_TYPES,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+reactionSchema.index({ owner: 1, targetType: 1, target: 1, user: 1, type: 1 }, { unique: true });
+
+module.exports = mongoose.model('Reaction', reactionSchema);
+module.exports.REACTION_TYPES = REACTION_TYPES;
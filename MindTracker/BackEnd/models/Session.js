@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. The refresh token itself is never stored, only its
+// hash, and it is replaced on every refresh.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  // The token this one replaced, to spot a stolen token being reused
+  previousTokenHash: {
+    type: String
+  },
+  rotatedAt: {
+    type: Date
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  ip: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ tokenHash: 1 });
+sessionSchema.index({ previousTokenHash: 1 });
+sessionSchema.index({ user: 1, lastUsedAt: -1 });
+// MongoDB removes sessions once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
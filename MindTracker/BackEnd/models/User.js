@@ -1,5 +1,13 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const moment = require('moment-timezone');
+const { isValidTimezone, getUserTimezone } = require('../utils/timezone');
+const { isVacationDay } = require('../utils/habitSchedule');
+
+// A streak freeze is earned every STREAK_FREEZE_INTERVAL days of streak,
+// up to MAX_STREAK_FREEZES banked at once
+const STREAK_FREEZE_INTERVAL = parseInt(process.env.STREAK_FREEZE_INTERVAL, 10) || 7;
+const MAX_STREAK_FREEZES = parseInt(process.env.MAX_STREAK_FREEZES, 10) || 3;
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -18,12 +26,65 @@ const userSchema = new mongoose.Schema({
       'Please provide a valid email'
     ]
   },
+  // Set to false at sign-up and on email changes. Accounts from before email
+  // verification don't have it and count as verified.
+  emailVerified: {
+    type: Boolean
+  },
+  // When the last verification email went out, to rate limit resends
+  verificationSentAt: {
+    type: Date
+  },
   password: {
     type: String,
     required: [true, 'Please provide a password'],
     minlength: [6, 'Password must be at least 6 characters'],
     select: false
   },
+  // Hash of the emailed password reset token and when it stops working
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  // Authenticator app codes asked for at sign-in. The secret is kept while
+  // enrollment waits for a first code in pendingSecret; backup codes are
+  // stored hashed and each works once.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    backupCodes: {
+      type: [String],
+      select: false
+    },
+    // Time step of the last accepted code, so a code can't be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    // Wrong codes since the last accepted one; every few of them lock the
+    // second step for longer
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lockedUntil: {
+      type: Date
+    }
+  },
   avatar: {
     type: String,
     default: ''
@@ -32,6 +93,31 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // Users who can no longer find, friend or view this user
+  blockedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  privacy: {
+    // Whether the user shows up in search results
+    discoverable: {
+      type: Boolean,
+      default: true
+    },
+    profileVisibility: {
+      type: String,
+      enum: ['everyone', 'friends', 'nobody'],
+      default: 'everyone'
+    },
+    shareStreaks: {
+      type: Boolean,
+      default: true
+    },
+    shareMood: {
+      type: Boolean,
+      default: false
+    }
+  },
   preferences: {
     theme: {
       type: String,
@@ -50,7 +136,11 @@ const userSchema = new mongoose.Schema({
     },
     timezone: {
       type: String,
-      default: 'UTC'
+      default: 'UTC',
+      validate: {
+        validator: isValidTimezone,
+        message: 'Please provide a valid IANA timezone'
+      }
     }
   },
   streak: {
@@ -67,10 +157,40 @@ const userSchema = new mongoose.Schema({
       default: Date.now
     }
   },
+  streakFreezes: {
+    available: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    earned: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Date ranges during which all habits are paused; stored as the start and
+  // end of the user's local days
+  vacations: [{
+    startDate: {
+      type: Date,
+      required: true
+    },
+    endDate: {
+      type: Date,
+      required: true
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Note cannot be more than 100 characters']
+    }
+  }],
+  // Awarded by services/achievements; key identifies the catalog entry
   achievements: [{
+    key: String,
     type: {
       type: String,
-      enum: ['streak', 'habit', 'goal', 'social']
+      enum: ['streak', 'habit', 'goal', 'social', 'mood']
     },
     title: String,
     description: String,
@@ -96,21 +216,36 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Update streak method
+// Update streak method (days are counted in the user's timezone). Vacation
+// days in a gap are ignored and any other missed days are covered by streak
+// freezes when enough are available.
 userSchema.methods.updateStreak = function() {
-  const today = new Date();
-  const lastActivity = new Date(this.streak.lastActivity);
-  const diffTime = today - lastActivity;
-  const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-  
-  if (diffDays === 1) {
+  const timezone = getUserTimezone(this);
+  const today = moment.tz(timezone).startOf('day');
+  const lastActivity = moment.tz(this.streak.lastActivity, timezone).startOf('day');
+  const diffDays = today.diff(lastActivity, 'days');
+  const previous = this.streak.current;
+
+  let missedDays = 0;
+  for (const day = lastActivity.clone().add(1, 'day'); day.isBefore(today); day.add(1, 'day')) {
+    if (!isVacationDay(this.vacations, day)) missedDays++;
+  }
+
+  // Only vacation days bridge a gap; streak freezes are spent explicitly on habits
+  if (diffDays >= 1 && missedDays === 0 && this.streak.current > 0) {
     this.streak.current += 1;
-    this.streak.longest = Math.max(this.streak.longest, this.streak.current);
-  } else if (diffDays > 1) {
+  } else if (diffDays >= 1 || this.streak.current === 0) {
     this.streak.current = 1;
   }
+  this.streak.longest = Math.max(this.streak.longest, this.streak.current);
+
+  if (this.streak.current > previous && this.streak.current % STREAK_FREEZE_INTERVAL === 0 &&
+      this.streakFreezes.available < MAX_STREAK_FREEZES) {
+    this.streakFreezes.available += 1;
+    this.streakFreezes.earned += 1;
+  }
   
-  this.streak.lastActivity = today;
+  this.streak.lastActivity = new Date();
   return this.save();
 };
 
@@ -1,25 +1,137 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const auth = require('../middleware/auth');
+const { isValidTimezone } = require('../utils/timezone');
+const { isEmailVerified } = require('../utils/verification');
+const {
+  createToken,
+  hashToken,
+  createSignedToken,
+  verifySignedToken,
+  createEmailToken,
+  verifyEmailToken
+} = require('../utils/tokens');
+const {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail,
+  sendEmailChangedEmail
+} = require('../services/accountEmails');
+const {
+  REFRESH_TOKEN_EXPIRE_DAYS,
+  createSession,
+  rotateSession,
+  endSession,
+  endUserSessions
+} = require('../services/sessions');
+const {
+  TWO_FACTOR_FIELDS,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  getLockMinutes,
+  recordFailedAttempt,
+  regenerateBackupCodes,
+  disableTwoFactor
+} = require('../services/twoFactor');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
-  });
+const PASSWORD_RESET_EXPIRE_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES, 10) || 60;
+const EMAIL_VERIFICATION_EXPIRE_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS, 10) || 24;
+
+// Minimum time between verification emails for one account
+const VERIFICATION_RESEND_SECONDS = 60;
+
+// How long the second sign-in step may take
+const TWO_FACTOR_LOGIN_MINUTES = 5;
+
+const lockedMessage = (minutes) => (
+  `Too many incorrect codes. Try again in ${minutes} ${minutes === 1 ? 'minute' : 'minutes'}.`
+);
+
+// Check a second-factor code under the lockout, wherever one is asked for.
+// Returns the method that was accepted; otherwise answers 400 or 429 and
+// returns null.
+const checkSecondFactor = async (user, code, res) => {
+  const lockMinutes = getLockMinutes(user);
+  if (lockMinutes > 0) {
+    res.status(429).json({ message: lockedMessage(lockMinutes) });
+    return null;
+  }
+
+  const method = await verifySecondFactor(user, code);
+  if (!method) {
+    await recordFailedAttempt(user);
+    const lockedFor = getLockMinutes(user);
+    if (lockedFor > 0) {
+      res.status(429).json({ message: lockedMessage(lockedFor) });
+    } else {
+      res.status(400).json({ message: 'Invalid authentication code' });
+    }
+  }
+  return method;
+};
+
+// With REFRESH_TOKEN_COOKIE=true refresh tokens travel in an httpOnly cookie,
+// out of reach of scripts in the page; otherwise in the JSON body
+const REFRESH_TOKEN_COOKIE = process.env.REFRESH_TOKEN_COOKIE === 'true';
+const REFRESH_COOKIE_NAME = 'refreshToken';
+
+const refreshCookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict',
+  path: '/api/auth'
+};
+
+const getCookie = (req, name) => {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index > -1 && part.slice(0, index).trim() === name) {
+      return decodeURIComponent(part.slice(index + 1).trim());
+    }
+  }
+  return null;
+};
+
+const readRefreshToken = (req) => req.body.refreshToken || getCookie(req, REFRESH_COOKIE_NAME);
+
+// The token fields of a response: the access token, and the refresh token
+// unless it is set as a cookie
+const tokenFields = (res, { accessToken, refreshToken }) => {
+  if (REFRESH_TOKEN_COOKIE) {
+    res.cookie(REFRESH_COOKIE_NAME, refreshToken, {
+      ...refreshCookieOptions,
+      maxAge: REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000
+    });
+    return { token: accessToken };
+  }
+  return { token: accessToken, refreshToken };
 };
 
+// Start a session for the device making the request
+const startSession = async (req, res, user) => tokenFields(res, await createSession(user._id, {
+  userAgent: req.get('User-Agent'),
+  ip: req.ip
+}));
+
+const sendVerification = (user) => sendVerificationEmail(
+  user,
+  createEmailToken(user, EMAIL_VERIFICATION_EXPIRE_HOURS),
+  EMAIL_VERIFICATION_EXPIRE_HOURS
+);
+
 // @route   POST /api/auth/register
 // @desc    Register user
 // @access  Public
 router.post('/register', [
   body('name').trim().isLength({ min: 2, max: 50 }).withMessage('Name must be between 2 and 50 characters'),
   body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  body('timezone').optional().custom(isValidTimezone).withMessage('Please provide a valid timezone')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -27,7 +139,7 @@ router.post('/register', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, email, password } = req.body;
+    const { name, email, password, timezone } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -39,23 +151,31 @@ router.post('/register', [
     const user = new User({
       name,
       email,
-      password
+      password,
+      preferences: { timezone },
+      emailVerified: false,
+      verificationSentAt: new Date()
     });
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Not awaited; the account works (with restrictions) before verification
+    sendVerification(user)
+      .catch(error => console.error(`Verification email error for user ${user._id}:`, error.message));
+
+    const tokens = await startSession(req, res, user);
 
     res.status(201).json({
       success: true,
-      token,
+      ...tokens,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
+        emailVerified: isEmailVerified(user),
         avatar: user.avatar,
         preferences: user.preferences,
+        privacy: user.privacy,
         streak: user.streak
       }
     });
@@ -92,18 +212,34 @@ router.post('/login', [
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // With two-factor authentication the session starts after the code is
+    // checked at /login/2fa
+    if (user.twoFactor.enabled) {
+      const lockMinutes = getLockMinutes(user);
+      if (lockMinutes > 0) {
+        return res.status(429).json({ message: lockedMessage(lockMinutes) });
+      }
+
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        twoFactorToken: createSignedToken('two_factor', { id: user._id }, `${TWO_FACTOR_LOGIN_MINUTES}m`)
+      });
+    }
+
+    const tokens = await startSession(req, res, user);
 
     res.json({
       success: true,
-      token,
+      ...tokens,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
+        emailVerified: isEmailVerified(user),
         avatar: user.avatar,
         preferences: user.preferences,
+        privacy: user.privacy,
         streak: user.streak
       }
     });
@@ -113,6 +249,513 @@ router.post('/login', [
   }
 });
 
+// @route   POST /api/auth/login/2fa
+// @desc    Second sign-in step: a code from the authenticator app or a backup code
+// @access  Public
+router.post('/login/2fa', [
+  body('twoFactorToken').isString().notEmpty().withMessage('Sign-in token is required'),
+  body('code').isString().trim().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const decoded = verifySignedToken(req.body.twoFactorToken, 'two_factor');
+    const user = decoded && await User.findById(decoded.id).select(TWO_FACTOR_FIELDS);
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(401).json({ message: 'Your sign-in has expired, please start again' });
+    }
+
+    const method = await checkSecondFactor(user, req.body.code, res);
+    if (!method) return;
+
+    const tokens = await startSession(req, res, user);
+
+    res.json({
+      success: true,
+      ...tokens,
+      ...(method === 'backup' && { backupCodesLeft: user.twoFactor.backupCodes.length }),
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        emailVerified: isEmailVerified(user),
+        avatar: user.avatar,
+        preferences: user.preferences,
+        privacy: user.privacy,
+        streak: user.streak
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token (body or cookie) for a new access token.
+//          The refresh token is replaced too and can't be used again.
+// @access  Public
+router.post('/refresh', async (req, res) => {
+  try {
+    const refreshToken = readRefreshToken(req);
+    const rotated = refreshToken && await rotateSession(refreshToken);
+    if (!rotated) {
+      res.clearCookie(REFRESH_COOKIE_NAME, refreshCookieOptions);
+      return res.status(401).json({ message: 'Session has expired, please sign in again' });
+    }
+
+    res.json({
+      success: true,
+      ...tokenFields(res, rotated)
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    End the session of the refresh token (body or cookie)
+// @access  Public
+router.post('/logout', async (req, res) => {
+  try {
+    const refreshToken = readRefreshToken(req);
+    if (refreshToken) {
+      await endSession(refreshToken);
+    }
+    res.clearCookie(REFRESH_COOKIE_NAME, refreshCookieOptions);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    Get the devices the user is signed in on
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({ user: req.user._id, expiresAt: { $gt: new Date() } })
+      .select('userAgent ip createdAt lastUsedAt')
+      .sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        ...session.toObject(),
+        current: session._id.equals(req.sessionId)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out one device
+// @access  Private
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const session = await Session.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session signed out'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out everywhere, including this device
+// @access  Private
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    await endUserSessions(req.user._id);
+    res.clearCookie(REFRESH_COOKIE_NAME, refreshCookieOptions);
+
+    res.json({
+      success: true,
+      message: 'Signed out on all devices'
+    });
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Verify the email address with the token from a verification link
+// @access  Public
+router.post('/verify-email', [
+  body('token').isString().notEmpty().withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const decoded = verifyEmailToken(req.body.token);
+    const user = decoded && await User.findById(decoded.id);
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({ message: 'This verification link is invalid or has expired' });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      await user.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Your email address has been verified'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification email
+// @access  Private
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    if (isEmailVerified(req.user)) {
+      return res.status(400).json({ message: 'Your email address is already verified' });
+    }
+
+    const sentAt = req.user.verificationSentAt;
+    if (sentAt && Date.now() - sentAt.getTime() < VERIFICATION_RESEND_SECONDS * 1000) {
+      return res.status(429).json({ message: 'Please wait a minute before requesting another email' });
+    }
+
+    await sendVerification(req.user);
+    req.user.verificationSentAt = new Date();
+    await req.user.save();
+
+    res.json({
+      success: true,
+      message: `A verification link has been sent to ${req.user.email}`
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link. The response is the same whether or
+//          not the email is registered.
+// @access  Public
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+    if (user) {
+      // A new request replaces any earlier link
+      const { token, hash } = createToken();
+      user.passwordResetToken = hash;
+      user.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_EXPIRE_MINUTES * 60 * 1000);
+      await user.save();
+
+      // Not awaited, so the response takes about as long either way
+      sendPasswordResetEmail(user, token, PASSWORD_RESET_EXPIRE_MINUTES)
+        .catch(error => console.error(`Password reset email error for user ${user._id}:`, error.message));
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with the token from a reset link; each token works once
+// @access  Public
+router.post('/reset-password', [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findOne({
+      passwordResetToken: hashToken(req.body.token),
+      passwordResetExpires: { $gt: new Date() }
+    });
+    if (!user) {
+      return res.status(400).json({ message: 'This reset link is invalid or has expired' });
+    }
+
+    user.password = req.body.password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+    await endUserSessions(user._id);
+
+    try {
+      await sendPasswordChangedEmail(user);
+    } catch (error) {
+      console.error(`Password changed email error for user ${user._id}:`, error.message);
+    }
+
+    res.json({
+      success: true,
+      message: 'Your password has been reset. You can now sign in.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/auth/password
+// @desc    Change the password and sign out other sessions
+// @access  Private
+router.put('/password', auth, [
+  body('currentPassword').exists().withMessage('Current password is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+    if (!(await user.comparePassword(req.body.currentPassword))) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    user.password = req.body.newPassword;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+    await endUserSessions(user._id, req.sessionId);
+
+    try {
+      await sendPasswordChangedEmail(user);
+    } catch (error) {
+      console.error(`Password changed email error for user ${user._id}:`, error.message);
+    }
+
+    res.json({
+      success: true,
+      message: 'Your password has been changed'
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/auth/email
+// @desc    Change the email address and sign out other sessions. The new
+//          address has to be verified again.
+// @access  Private
+router.put('/email', auth, [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  body('currentPassword').exists().withMessage('Current password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email, currentPassword } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password');
+    if (!(await user.comparePassword(currentPassword))) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    if (email === user.email) {
+      return res.status(400).json({ message: 'This is already your email address' });
+    }
+    if (await User.exists({ email })) {
+      return res.status(400).json({ message: 'Email is already in use' });
+    }
+
+    const oldEmail = user.email;
+    user.email = email;
+    user.emailVerified = false;
+    user.verificationSentAt = new Date();
+    // A reset link sent to the old address must not work anymore
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+    await endUserSessions(user._id, req.sessionId);
+
+    sendVerification(user)
+      .catch(error => console.error(`Verification email error for user ${user._id}:`, error.message));
+    sendEmailChangedEmail(user, oldEmail)
+      .catch(error => console.error(`Email changed email error for user ${user._id}:`, error.message));
+
+    res.json({
+      success: true,
+      user: {
+        email: user.email,
+        emailVerified: user.emailVerified
+      },
+      message: `Your email address has been changed. We sent a verification link to ${user.email}.`
+    });
+  } catch (error) {
+    console.error('Change email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start enrolling an authenticator app: returns the secret and a QR code
+// @access  Private
+router.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const enrollment = await startEnrollment(user);
+
+    res.json({
+      success: true,
+      ...enrollment
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code from the app; returns backup codes
+// @access  Private
+router.post('/2fa/enable', auth, [
+  body('code').isString().trim().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const backupCodes = await confirmEnrollment(user, req.body.code);
+    if (!backupCodes) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    res.json({
+      success: true,
+      backupCodes,
+      message: 'Two-factor authentication is on'
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/backup-codes
+// @desc    Replace the backup codes; needs a current code
+// @access  Private
+router.post('/2fa/backup-codes', auth, [
+  body('code').isString().trim().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    if (!(await checkSecondFactor(user, req.body.code, res))) return;
+
+    const backupCodes = await regenerateBackupCodes(user);
+
+    res.json({
+      success: true,
+      backupCodes
+    });
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn two-factor authentication off; needs the password and a code
+// @access  Private
+router.post('/2fa/disable', auth, [
+  body('password').exists().withMessage('Password is required'),
+  body('code').isString().trim().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    // Locked accounts can't be used to try out passwords either
+    const lockMinutes = getLockMinutes(user);
+    if (lockMinutes > 0) {
+      return res.status(429).json({ message: lockedMessage(lockMinutes) });
+    }
+    if (!(await user.comparePassword(req.body.password))) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+    if (!(await checkSecondFactor(user, req.body.code, res))) return;
+
+    await disableTwoFactor(user);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication is off'
+    });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
@@ -124,9 +767,14 @@ router.get('/me', auth, async (req, res) => {
         id: req.user._id,
         name: req.user.name,
         email: req.user.email,
+        emailVerified: isEmailVerified(req.user),
+        twoFactorEnabled: req.user.twoFactor.enabled,
         avatar: req.user.avatar,
         preferences: req.user.preferences,
+        privacy: req.user.privacy,
         streak: req.user.streak,
+        streakFreezes: req.user.streakFreezes,
+        vacations: req.user.vacations,
         achievements: req.user.achievements
       }
     });
@@ -141,7 +789,12 @@ router.get('/me', auth, async (req, res) => {
 // @access  Private
 router.put('/profile', auth, [
   body('name').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Name must be between 2 and 50 characters'),
-  body('preferences.theme').optional().isIn(['light', 'dark']).withMessage('Theme must be light or dark')
+  body('preferences.theme').optional().isIn(['light', 'dark']).withMessage('Theme must be light or dark'),
+  body('preferences.timezone').optional().custom(isValidTimezone).withMessage('Please provide a valid timezone'),
+  body('privacy.discoverable').optional().isBoolean().withMessage('Discoverable must be true or false'),
+  body('privacy.profileVisibility').optional().isIn(['everyone', 'friends', 'nobody']).withMessage('Profile visibility must be everyone, friends or nobody'),
+  body('privacy.shareStreaks').optional().isBoolean().withMessage('Share streaks must be true or false'),
+  body('privacy.shareMood').optional().isBoolean().withMessage('Share mood must be true or false')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -149,12 +802,15 @@ router.put('/profile', auth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, preferences } = req.body;
+    const { name, preferences, privacy } = req.body;
     const updateData = {};
 
     if (name) updateData.name = name;
     if (preferences) {
-      updateData.preferences = { ...req.user.preferences, ...preferences };
+      updateData.preferences = { ...req.user.toObject().preferences, ...preferences };
+    }
+    if (privacy) {
+      updateData.privacy = { ...req.user.toObject().privacy, ...privacy };
     }
 
     const user = await User.findByIdAndUpdate(
@@ -169,8 +825,10 @@ router.put('/profile', auth, [
         id: user._id,
         name: user.name,
         email: user.email,
+        emailVerified: isEmailVerified(user),
         avatar: user.avatar,
         preferences: user.preferences,
+        privacy: user.privacy,
         streak: user.streak
       }
     });
@@ -0,0 +1,374 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Challenge = require('../models/Challenge');
+const { HABIT_CATEGORIES } = require('../models/Challenge');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const requireVerified = require('../middleware/verified');
+const { startOfUserDay, endOfUserDay } = require('../utils/timezone');
+const { includesId, isBlocked } = require('../utils/privacy');
+const { notify } = require('../services/notifications');
+const { awardAchievements } = require('../services/achievements');
+const {
+  getChallengeStatus,
+  getParticipant,
+  resolveParticipantHabit,
+  getStandings
+} = require('../services/challenges');
+
+const router = express.Router();
+
+// Longest a challenge may run
+const MAX_CHALLENGE_DAYS = 366;
+
+const PARTICIPANT_FIELDS = 'name avatar';
+
+// Friends of the user among userIds, leaving out blocked users
+const findInvitableFriends = async (user, userIds = []) => {
+  const friendIds = userIds.filter(id => includesId(user.friends, id));
+  const friends = await User.find({ _id: { $in: friendIds } }).select('name blockedUsers');
+  return friends.filter(friend => !isBlocked(user, friend));
+};
+
+const notifyInvited = (challenge, inviter, users) => Promise.all(users.map(user => notify(user._id, {
+  type: 'challenge',
+  title: `${inviter.name} invited you to a challenge`,
+  message: challenge.title,
+  link: `/challenges/${challenge._id}`
+})));
+
+const toChallengeResponse = (challenge, user) => ({
+  ...challenge.toObject(),
+  status: getChallengeStatus(challenge),
+  participation: getParticipant(challenge, user._id) || null
+});
+
+// Challenges are visible to everyone who was invited to them
+const findChallenge = (req) => Challenge.findOne({
+  _id: req.params.id,
+  'participants.user': req.user._id
+});
+
+// @route   GET /api/challenges
+// @desc    Get challenges the user takes part in or is invited to (?status=upcoming|active|finished)
+// @access  Private
+router.get('/', auth, requireVerified('social'), async (req, res) => {
+  try {
+    const challenges = await Challenge.find({
+      participants: { $elemMatch: { user: req.user._id, status: { $in: ['invited', 'joined'] } } }
+    })
+    .populate('creator', PARTICIPANT_FIELDS)
+    .sort({ endDate: -1 });
+
+    const results = challenges
+      .map(challenge => toChallengeResponse(challenge, req.user))
+      .filter(challenge => !req.query.status || challenge.status === req.query.status);
+
+    res.json({
+      success: true,
+      challenges: results
+    });
+  } catch (error) {
+    console.error('Get challenges error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/challenges
+// @desc    Create a challenge and invite friends to it
+// @access  Private
+router.post('/', auth, requireVerified('social'), [
+  body('title').trim().isLength({ min: 1, max: 100 }).withMessage('Challenge title is required'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('icon').optional().isString().withMessage('Invalid icon'),
+  body('metric').optional().isIn(['days', 'total']).withMessage('Metric must be days or total'),
+  body('target').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Target must be a positive integer'),
+  body('dailyTarget').optional().isInt({ min: 1 }).withMessage('Daily target must be a positive integer'),
+  body('rule.category').optional().isIn(HABIT_CATEGORIES).withMessage('Invalid habit category'),
+  body('rule.unit').optional().trim().isLength({ min: 1, max: 30 }).withMessage('Unit must be between 1 and 30 characters'),
+  body('rule').custom(rule => Boolean(rule && (rule.category || rule.unit))).withMessage('Challenges need a habit category or unit'),
+  body('startDate').isISO8601().withMessage('Please provide a valid start date'),
+  body('endDate').isISO8601().withMessage('Please provide a valid end date'),
+  body('invite').optional().isArray().withMessage('Invite must be a list of friends'),
+  body('invite.*').isMongoId().withMessage('Invalid user'),
+  body('habitId').optional().isMongoId().withMessage('Invalid habit')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const startDate = startOfUserDay(req.user, req.body.startDate);
+    const endDate = endOfUserDay(req.user, req.body.endDate);
+    if (endDate.isBefore(startDate)) {
+      return res.status(400).json({ message: 'End date must be on or after the start date' });
+    }
+    if (endDate.isBefore(new Date())) {
+      return res.status(400).json({ message: 'End date cannot be in the past' });
+    }
+    if (endDate.diff(startDate, 'days') >= MAX_CHALLENGE_DAYS) {
+      return res.status(400).json({ message: `Challenges can last at most ${MAX_CHALLENGE_DAYS} days` });
+    }
+
+    const challenge = new Challenge({
+      creator: req.user._id,
+      title: req.body.title,
+      description: req.body.description,
+      icon: req.body.icon,
+      metric: req.body.metric,
+      target: req.body.target || undefined,
+      dailyTarget: req.body.dailyTarget,
+      rule: { category: req.body.rule.category, unit: req.body.rule.unit },
+      startDate: startDate.toDate(),
+      endDate: endDate.toDate()
+    });
+    await challenge.validate();
+
+    const habit = await resolveParticipantHabit(challenge, req.user._id, req.body.habitId);
+    if (!habit) {
+      return res.status(400).json({ message: 'Habit not found or does not match the challenge rule' });
+    }
+
+    if (!req.body.habitId) {
+      await awardAchievements(req.user, ['habits']);
+    }
+
+    const invited = await findInvitableFriends(req.user, req.body.invite);
+    challenge.participants = [
+      { user: req.user._id, status: 'joined', habit: habit._id, joinedAt: new Date() },
+      ...invited.map(friend => ({ user: friend._id }))
+    ];
+    await challenge.save();
+    await notifyInvited(challenge, req.user, invited);
+
+    res.status(201).json({
+      success: true,
+      challenge: toChallengeResponse(challenge, req.user)
+    });
+  } catch (error) {
+    console.error('Create challenge error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/challenges/:id
+// @desc    Get a challenge with its standings
+// @access  Private
+router.get('/:id', auth, requireVerified('social'), async (req, res) => {
+  try {
+    const challenge = await findChallenge(req);
+
+    if (!challenge) {
+      return res.status(404).json({ message: 'Challenge not found' });
+    }
+
+    await challenge.populate([
+      { path: 'creator', select: PARTICIPANT_FIELDS },
+      { path: 'participants.user', select: PARTICIPANT_FIELDS },
+      { path: 'winners', select: PARTICIPANT_FIELDS }
+    ]);
+    const standings = await getStandings(challenge);
+
+    res.json({
+      success: true,
+      challenge: toChallengeResponse(challenge, req.user),
+      standings
+    });
+  } catch (error) {
+    console.error('Get challenge error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/challenges/:id/invite
+// @desc    Invite more friends (creator only)
+// @access  Private
+router.post('/:id/invite', auth, requireVerified('social'), [
+  body('userIds').isArray({ min: 1 }).withMessage('Please choose friends to invite'),
+  body('userIds.*').isMongoId().withMessage('Invalid user')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const challenge = await Challenge.findOne({ _id: req.params.id, creator: req.user._id });
+
+    if (!challenge) {
+      return res.status(404).json({ message: 'Challenge not found' });
+    }
+    if (getChallengeStatus(challenge) === 'finished') {
+      return res.status(400).json({ message: 'This challenge has ended' });
+    }
+
+    // Friends who declined or left can be asked again
+    const friends = await findInvitableFriends(req.user, req.body.userIds);
+    const invited = friends.filter(friend => {
+      const participant = getParticipant(challenge, friend._id);
+      if (!participant) {
+        challenge.participants.push({ user: friend._id });
+        return true;
+      }
+      if (['declined', 'left'].includes(participant.status)) {
+        participant.status = 'invited';
+        return true;
+      }
+      return false;
+    });
+    await challenge.save();
+    await notifyInvited(challenge, req.user, invited);
+
+    res.json({
+      success: true,
+      message: `${invited.length} ${invited.length === 1 ? 'friend' : 'friends'} invited`,
+      challenge: toChallengeResponse(challenge, req.user)
+    });
+  } catch (error) {
+    console.error('Invite to challenge error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/challenges/:id/join
+// @desc    Join a challenge with one of your habits (habitId), or a new habit made for it
+// @access  Private
+router.post('/:id/join', auth, requireVerified('social'), [
+  body('habitId').optional().isMongoId().withMessage('Invalid habit')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const challenge = await findChallenge(req);
+    const participant = challenge && getParticipant(challenge, req.user._id);
+
+    if (!participant || participant.status === 'declined') {
+      return res.status(404).json({ message: 'Challenge not found' });
+    }
+    if (participant.status === 'joined') {
+      return res.status(400).json({ message: 'You have already joined this challenge' });
+    }
+    if (getChallengeStatus(challenge) === 'finished') {
+      return res.status(400).json({ message: 'This challenge has ended' });
+    }
+
+    const habit = await resolveParticipantHabit(challenge, req.user._id, req.body.habitId);
+    if (!habit) {
+      return res.status(400).json({ message: 'Habit not found or does not match the challenge rule' });
+    }
+
+    if (!req.body.habitId) {
+      await awardAchievements(req.user, ['habits']);
+    }
+
+    participant.status = 'joined';
+    participant.habit = habit._id;
+    participant.joinedAt = new Date();
+    await challenge.save();
+
+    if (challenge.creator.toString() !== req.user._id.toString()) {
+      await notify(challenge.creator, {
+        type: 'challenge',
+        title: `${req.user.name} joined your challenge`,
+        message: challenge.title,
+        link: `/challenges/${challenge._id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Joined challenge',
+      challenge: toChallengeResponse(challenge, req.user),
+      habit
+    });
+  } catch (error) {
+    console.error('Join challenge error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/challenges/:id/decline
+// @desc    Decline an invitation
+// @access  Private
+router.post('/:id/decline', auth, async (req, res) => {
+  try {
+    const challenge = await findChallenge(req);
+    const participant = challenge && getParticipant(challenge, req.user._id);
+
+    if (!participant || participant.status !== 'invited') {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    participant.status = 'declined';
+    await challenge.save();
+
+    res.json({
+      success: true,
+      message: 'Invitation declined'
+    });
+  } catch (error) {
+    console.error('Decline challenge error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/challenges/:id/leave
+// @desc    Leave a challenge; the habit used for it is kept
+// @access  Private
+router.post('/:id/leave', auth, async (req, res) => {
+  try {
+    const challenge = await findChallenge(req);
+    const participant = challenge && getParticipant(challenge, req.user._id);
+
+    if (!participant || participant.status !== 'joined') {
+      return res.status(404).json({ message: 'Challenge not found' });
+    }
+    if (challenge.creator.toString() === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You created this challenge; delete it instead' });
+    }
+    if (getChallengeStatus(challenge) === 'finished') {
+      return res.status(400).json({ message: 'This challenge has ended' });
+    }
+
+    participant.status = 'left';
+    await challenge.save();
+
+    res.json({
+      success: true,
+      message: 'Left challenge'
+    });
+  } catch (error) {
+    console.error('Leave challenge error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/challenges/:id
+// @desc    Delete a challenge (creator only); participants keep their habits
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const challenge = await Challenge.findOneAndDelete({
+      _id: req.params.id,
+      creator: req.user._id
+    });
+
+    if (!challenge) {
+      return res.status(404).json({ message: 'Challenge not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Challenge deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete challenge error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
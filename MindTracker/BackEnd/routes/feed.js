@@ -0,0 +1,77 @@
+const express = require('express');
+const Activity = require('../models/Activity');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const requireVerified = require('../middleware/verified');
+const { targetKey, getInteractionSummaries } = require('../services/interactions');
+
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 50;
+
+// What friends react to and comment on for each kind of activity
+const toTarget = (activity) => {
+  if (!activity.user) return null;
+
+  switch (activity.type) {
+    case 'goal_completed':
+      return { type: 'goal', id: activity.goal.toString(), owner: activity.user };
+    case 'achievement_earned':
+      return activity.achievement && { type: 'achievement', id: activity.achievement, owner: activity.user };
+    case 'streak_milestone':
+      return { type: 'streak', id: 'streak', owner: activity.user };
+    default:
+      return null;
+  }
+};
+
+// @route   GET /api/feed
+// @desc    Get the activity of the user and their friends, newest first
+// @access  Private
+router.get('/', auth, requireVerified('social'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_PAGE_SIZE);
+
+    // Friends who hide their profile from everyone are left out entirely, and
+    // streak milestones only appear for friends who share their streaks
+    const friends = await User.find({
+      _id: { $in: req.user.friends },
+      'privacy.profileVisibility': { $ne: 'nobody' }
+    }).select('privacy');
+    const streakSharers = friends.filter(friend => friend.privacy.shareStreaks).map(friend => friend._id);
+
+    const activities = await Activity.find({
+      user: { $in: [req.user._id, ...friends.map(friend => friend._id)] },
+      $or: [
+        { type: { $ne: 'streak_milestone' } },
+        { user: { $in: [req.user._id, ...streakSharers] } }
+      ]
+    })
+    .populate('user', 'name avatar')
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit + 1);
+
+    const items = activities.slice(0, limit).map(activity => ({ activity, target: toTarget(activity) }));
+    const summaries = await getInteractionSummaries(items.map(item => item.target).filter(Boolean), req.user);
+
+    res.json({
+      success: true,
+      activities: items.map(({ activity, target }) => ({
+        ...activity.toObject(),
+        ...(target && {
+          target: { type: target.type, id: target.id },
+          ...summaries.get(targetKey(target.type, target.owner._id, target.id))
+        })
+      })),
+      page,
+      hasMore: activities.length > limit
+    });
+  } catch (error) {
+    console.error('Get feed error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
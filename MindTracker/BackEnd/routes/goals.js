@@ -1,8 +1,13 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Goal = require('../models/Goal');
+const User = require('../models/User');
 const auth = require('../middleware/auth');
-const moment = require('moment');
+const { endOfUserDay, daysUntil } = require('../utils/timezone');
+const { awardAchievements } = require('../services/achievements');
+const { recordGoalCompleted, removeGoalActivity } = require('../services/activity');
+const { removeInteractions } = require('../services/interactions');
+const addInteractionRoutes = require('./interactions');
 
 const router = express.Router();
 
@@ -36,7 +41,8 @@ router.post('/', auth, [
   body('type').optional().isIn(['habit', 'milestone', 'target', 'challenge']),
   body('targetValue').optional().isInt({ min: 1 }).withMessage('Target value must be a positive integer'),
   body('deadline').isISO8601().withMessage('Please provide a valid deadline'),
-  body('priority').optional().isIn(['low', 'medium', 'high', 'urgent'])
+  body('priority').optional().isIn(['low', 'medium', 'high', 'urgent']),
+  body('isPublic').optional().isBoolean().withMessage('isPublic must be true or false')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -46,6 +52,8 @@ router.post('/', auth, [
 
     const goal = new Goal({
       ...req.body,
+      // A deadline date means the end of that day in the user's timezone
+      deadline: endOfUserDay(req.user, req.body.deadline).toDate(),
       user: req.user._id
     });
 
@@ -71,6 +79,7 @@ router.put('/:id', auth, [
   body('targetValue').optional().isInt({ min: 1 }).withMessage('Target value must be a positive integer'),
   body('deadline').optional().isISO8601().withMessage('Please provide a valid deadline'),
   body('priority').optional().isIn(['low', 'medium', 'high', 'urgent']),
+  body('isPublic').optional().isBoolean().withMessage('isPublic must be true or false'),
   body('status').optional().isIn(['active', 'completed', 'paused', 'cancelled'])
 ], async (req, res) => {
   try {
@@ -79,9 +88,18 @@ router.put('/:id', auth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
+    const updateData = { ...req.body };
+    delete updateData.deadlineNotifiedAt;
+    delete updateData.completedAt;
+    if (updateData.deadline) {
+      updateData.deadline = endOfUserDay(req.user, updateData.deadline).toDate();
+      // A moved deadline gets its own warning
+      updateData.$unset = { deadlineNotifiedAt: 1 };
+    }
+
     const goal = await Goal.findOneAndUpdate(
       { _id: req.params.id, user: req.user._id },
-      req.body,
+      updateData,
       { new: true, runValidators: true }
     );
 
@@ -89,6 +107,19 @@ router.put('/:id', auth, [
       return res.status(404).json({ message: 'Goal not found' });
     }
 
+    if ((goal.status === 'completed') !== Boolean(goal.completedAt)) {
+      goal.completedAt = goal.status === 'completed' ? new Date() : undefined;
+      await goal.save();
+    }
+
+    if (goal.status === 'completed') {
+      await awardAchievements(req.user, ['goals']);
+      await recordGoalCompleted(goal);
+    }
+    if (!goal.isPublic) {
+      await removeGoalActivity(goal._id);
+    }
+
     res.json({
       success: true,
       goal
@@ -113,6 +144,9 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Goal not found' });
     }
 
+    await removeGoalActivity(goal._id);
+    await removeInteractions({ type: 'goal', id: goal._id.toString(), owner: req.user });
+
     res.json({
       success: true,
       message: 'Goal deleted successfully'
@@ -154,6 +188,7 @@ router.post('/:id/progress', auth, [
     // Check if goal is completed
     if (goal.currentValue >= goal.targetValue && goal.status === 'active') {
       goal.status = 'completed';
+      goal.completedAt = new Date();
     }
 
     // Check milestones
@@ -168,6 +203,11 @@ router.post('/:id/progress', auth, [
 
     await goal.save();
 
+    if (goal.status === 'completed') {
+      await awardAchievements(req.user, ['goals']);
+      await recordGoalCompleted(goal);
+    }
+
     res.json({
       success: true,
       goal
@@ -207,7 +247,8 @@ router.get('/:id/progress', auth, async (req, res) => {
 router.get('/stats', auth, async (req, res) => {
   try {
     const goals = await Goal.find({ user: req.user._id });
-    
+    const daysRemaining = (goal) => Math.max(0, daysUntil(req.user, goal.deadline));
+
     const stats = {
       total: goals.length,
       active: goals.filter(g => g.status === 'active').length,
@@ -217,13 +258,13 @@ router.get('/stats', auth, async (req, res) => {
       completionRate: goals.length > 0 ? Math.round((goals.filter(g => g.status === 'completed').length / goals.length) * 100) : 0,
       averageProgress: goals.length > 0 ? Math.round(goals.reduce((sum, goal) => sum + goal.progressPercentage, 0) / goals.length) : 0,
       upcomingDeadlines: goals
-        .filter(g => g.status === 'active' && g.daysRemaining <= 7)
-        .sort((a, b) => a.daysRemaining - b.daysRemaining)
+        .filter(g => g.status === 'active' && daysRemaining(g) <= 7)
+        .sort((a, b) => daysRemaining(a) - daysRemaining(b))
         .slice(0, 5)
         .map(goal => ({
           id: goal._id,
           title: goal.title,
-          daysRemaining: goal.daysRemaining,
+          daysRemaining: daysRemaining(goal),
           progressPercentage: goal.progressPercentage
         }))
     };
@@ -238,4 +279,26 @@ router.get('/stats', auth, async (req, res) => {
   }
 });
 
+// Friends react to and comment on public goals
+const loadGoalTarget = async (req) => {
+  const goal = await Goal.findById(req.params.id).select('user title isPublic');
+  if (!goal) return null;
+
+  const owner = goal.user.toString() === req.user._id.toString()
+    ? req.user
+    : await User.findById(goal.user).select('name friends blockedUsers privacy');
+  if (!owner || (!goal.isPublic && owner !== req.user)) return null;
+
+  return {
+    type: 'goal',
+    id: goal._id.toString(),
+    owner,
+    name: 'your goal',
+    title: goal.title,
+    link: '/goals'
+  };
+};
+
+addInteractionRoutes(router, '/:id', loadGoalTarget, 'Goal not found');
+
 module.exports = router;
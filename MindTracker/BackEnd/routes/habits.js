@@ -1,39 +1,153 @@
 const express = require('express');
+const moment = require('moment-timezone');
 const { body, validationResult } = require('express-validator');
 const Habit = require('../models/Habit');
 const HabitEntry = require('../models/HabitEntry');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
-const moment = require('moment');
+const { getUserTimezone, startOfUserDay, endOfUserDay, getPeriodStart } = require('../utils/timezone');
+const { WEEKDAYS, toDayKey, isDueOn, getStreakUnit, isVacationDay, isPaused, getDayStatuses } = require('../utils/habitSchedule');
+const { recalculateHabitStats, recalculateUserHabits } = require('../services/habitStats');
+const { getCompletionSummary, getHabitAnalytics } = require('../services/habitAnalytics');
+const { awardAchievements } = require('../services/achievements');
+const { recordHabitProgress, removeEntryActivity, removeHabitActivity } = require('../services/activity');
 
 const router = express.Router();
 
+// How many days back entries may be logged, edited or removed
+const BACKFILL_DAYS = parseInt(process.env.HABIT_BACKFILL_DAYS, 10) || 7;
+
+// Fields a client may set on a habit; stats, archiving and pauses have their own routes
+const HABIT_FIELDS = ['name', 'description', 'category', 'kind', 'frequency', 'customFrequency', 'target', 'unit', 'color', 'icon', 'isPublic', 'reminder'];
+
+const pickHabitFields = (data) => HABIT_FIELDS.reduce((fields, key) => {
+  if (data[key] !== undefined) fields[key] = data[key];
+  return fields;
+}, {});
+
+const REMINDER_FIELDS = ['enabled', 'time', 'days'];
+
+// Updates set reminder settings one by one, so the scheduler's lastSentAt is kept
+const pickHabitUpdate = (data) => {
+  const { reminder, ...fields } = pickHabitFields(data);
+  if (reminder) {
+    REMINDER_FIELDS.forEach(key => {
+      if (reminder[key] !== undefined) fields[`reminder.${key}`] = reminder[key];
+    });
+  }
+  return fields;
+};
+
+// Fields a client may set on an entry
+const ENTRY_FIELDS = ['completed', 'value', 'notes', 'mood', 'difficulty', 'timeSpent', 'location'];
+
+const pickEntryFields = (data) => ENTRY_FIELDS.reduce((fields, key) => {
+  if (data[key] !== undefined) fields[key] = data[key];
+  return fields;
+}, {});
+
+// Returns an error message if the local day is in the future or outside the backfill window
+const checkEntryDay = (user, day) => {
+  const today = startOfUserDay(user);
+  if (day.isAfter(today)) {
+    return 'Entries cannot be logged for future dates';
+  }
+  if (today.diff(day, 'days') > BACKFILL_DAYS) {
+    return `Entries can only be changed for the last ${BACKFILL_DAYS} days`;
+  }
+  return null;
+};
+
+// Quantitative habits (target > 1) are completed by the server once the logged
+// value reaches the target; simple habits use the client's completed flag
+const applyCompletion = (habit, entry, data) => {
+  if (habit.kind === 'quit') {
+    // Quit habits record relapses, never completions
+    entry.completed = false;
+  } else if (habit.target > 1) {
+    entry.completed = entry.value >= habit.target;
+  } else if (data.completed === undefined) {
+    entry.completed = entry.value >= 1;
+  }
+};
+
+// Give a spent streak freeze back to the user
+const refundFreeze = (user) => {
+  user.streakFreezes.available += 1;
+  return user.save();
+};
+
+// A skipped day that gets completed after all is no longer skipped
+const clearCompletedSkip = async (user, entry) => {
+  if (!entry.skipped || !entry.completed) return;
+  if (entry.skipType === 'freeze') {
+    await refundFreeze(user);
+  }
+  entry.skipped = false;
+  entry.skipType = undefined;
+};
+
+// Find the habit's entry for a local day, or start a new one
+const findOrCreateDayEntry = async (habit, user, day) => {
+  const entry = await HabitEntry.findOne({
+    habit: habit._id,
+    user: user._id,
+    date: { $gte: day.toDate(), $lte: day.clone().endOf('day').toDate() }
+  });
+
+  return entry || new HabitEntry({
+    habit: habit._id,
+    user: user._id,
+    date: day.toDate()
+  });
+};
+
+const entryValidators = [
+  body('value').optional().isFloat({ min: 0 }).withMessage('Value must be a non-negative number'),
+  body('notes').optional().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  body('mood').optional().isIn(['excellent', 'good', 'okay', 'poor', 'terrible']).withMessage('Invalid mood value'),
+  body('difficulty').optional().isIn(['very_easy', 'easy', 'moderate', 'hard', 'very_hard']).withMessage('Invalid difficulty value'),
+  body('timeSpent').optional().isInt({ min: 0 }).withMessage('Time spent must be a non-negative integer')
+];
+
 // @route   GET /api/habits
-// @desc    Get all habits for user
+// @desc    Get all habits for user (?archived=true for archived habits)
 // @access  Private
 router.get('/', auth, async (req, res) => {
   try {
-    const habits = await Habit.find({ user: req.user._id, isActive: true })
-      .sort({ createdAt: -1 });
-
-    // Get today's entries for each habit
-    const today = moment().startOf('day').toDate();
+    const archived = req.query.archived === 'true';
+    const habits = await Habit.find({ user: req.user._id, isActive: !archived })
+      .sort(archived ? { archivedAt: -1 } : { createdAt: -1 });
+
+    // Get this week's and the last seven days' entries so weekly quotas can be
+    // checked and the recent history shown as well as today
+    const schedule = { timezone: getUserTimezone(req.user), vacations: req.user.vacations };
+    const today = startOfUserDay(req.user);
+    const recentStart = today.clone().subtract(6, 'days');
     const entries = await HabitEntry.find({
       user: req.user._id,
-      date: { $gte: today, $lt: moment(today).endOf('day').toDate() }
+      date: { $gte: moment.min(recentStart, today.clone().startOf('isoWeek')).toDate(), $lt: today.clone().endOf('day').toDate() }
     });
 
     const habitsWithEntries = habits.map(habit => {
-      const entry = entries.find(e => e.habit.toString() === habit._id.toString());
+      const habitEntries = entries.filter(e => e.habit.toString() === habit._id.toString());
+      const entry = habitEntries.find(e => startOfUserDay(req.user, e.date).isSame(today));
       return {
         ...habit.toObject(),
-        todayEntry: entry || null
+        todayEntry: entry || null,
+        isDueToday: isDueOn(habit, today, habitEntries, schedule),
+        isPaused: isPaused(habit),
+        streakUnit: getStreakUnit(habit),
+        recentDays: getDayStatuses(habit, habitEntries, { ...schedule, from: recentStart, to: today })
       };
     });
 
     res.json({
       success: true,
-      habits: habitsWithEntries
+      habits: habitsWithEntries,
+      backfillDays: BACKFILL_DAYS,
+      streakFreezes: req.user.streakFreezes,
+      onVacation: isVacationDay(req.user.vacations, today)
     });
   } catch (error) {
     console.error('Get habits error:', error);
@@ -47,7 +161,16 @@ router.get('/', auth, async (req, res) => {
 router.post('/', auth, [
   body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Habit name is required'),
   body('category').optional().isIn(['health', 'fitness', 'mindfulness', 'learning', 'social', 'productivity', 'other']),
+  body('kind').optional().isIn(['build', 'quit']).withMessage('Kind must be build or quit'),
   body('frequency').optional().isIn(['daily', 'weekly', 'custom']),
+  body('customFrequency.days').optional().isArray().withMessage('Custom days must be a list of weekdays'),
+  body('customFrequency.days.*').isIn(WEEKDAYS).withMessage('Invalid weekday'),
+  body('customFrequency.timesPerWeek').optional().isInt({ min: 1, max: 7 }).withMessage('Times per week must be between 1 and 7'),
+  body('reminder.enabled').optional().isBoolean().withMessage('Reminder enabled must be true or false'),
+  body('reminder.time').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Reminder time must be HH:mm'),
+  body('reminder.days').optional().isArray().withMessage('Reminder days must be a list of weekdays'),
+  body('reminder.days.*').isIn(WEEKDAYS).withMessage('Invalid weekday'),
+  body('isPublic').optional().isBoolean().withMessage('isPublic must be true or false'),
   body('target').optional().isInt({ min: 1 }).withMessage('Target must be a positive integer')
 ], async (req, res) => {
   try {
@@ -57,11 +180,12 @@ router.post('/', auth, [
     }
 
     const habit = new Habit({
-      ...req.body,
+      ...pickHabitFields(req.body),
       user: req.user._id
     });
 
     await habit.save();
+    await awardAchievements(req.user, ['habits']);
 
     res.status(201).json({
       success: true,
@@ -76,18 +200,42 @@ router.post('/', auth, [
 // @route   PUT /api/habits/:id
 // @desc    Update habit
 // @access  Private
-router.put('/:id', auth, async (req, res) => {
+router.put('/:id', auth, [
+  body('kind').optional().isIn(['build', 'quit']).withMessage('Kind must be build or quit'),
+  body('frequency').optional().isIn(['daily', 'weekly', 'custom']),
+  body('customFrequency.days').optional().isArray().withMessage('Custom days must be a list of weekdays'),
+  body('customFrequency.days.*').isIn(WEEKDAYS).withMessage('Invalid weekday'),
+  body('customFrequency.timesPerWeek').optional().isInt({ min: 1, max: 7 }).withMessage('Times per week must be between 1 and 7'),
+  body('reminder.enabled').optional().isBoolean().withMessage('Reminder enabled must be true or false'),
+  body('reminder.time').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Reminder time must be HH:mm'),
+  body('reminder.days').optional().isArray().withMessage('Reminder days must be a list of weekdays'),
+  body('reminder.days.*').isIn(WEEKDAYS).withMessage('Invalid weekday'),
+  body('isPublic').optional().isBoolean().withMessage('isPublic must be true or false')
+], async (req, res) => {
   try {
-    const habit = await Habit.findOneAndUpdate(
-      { _id: req.params.id, user: req.user._id },
-      req.body,
-      { new: true, runValidators: true }
-    );
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
+    const habit = await Habit.findOne({ _id: req.params.id, user: req.user._id });
     if (!habit) {
       return res.status(404).json({ message: 'Habit not found' });
     }
 
+    habit.set(pickHabitUpdate(req.body));
+    // Streaks and completion rates depend on when the habit is due and how it is tracked
+    const scheduleChanged = ['kind', 'frequency', 'customFrequency'].some(path => habit.isModified(path));
+    await habit.save();
+
+    if (scheduleChanged) {
+      await recalculateHabitStats(habit, req.user);
+    }
+
+    if (!habit.isPublic) {
+      await removeHabitActivity(habit._id);
+    }
+
     res.json({
       success: true,
       habit
@@ -98,12 +246,129 @@ router.put('/:id', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/habits/:id/archive
+// @desc    Archive habit: hide it but keep its history
+// @access  Private
+router.post('/:id/archive', auth, async (req, res) => {
+  try {
+    const habit = await Habit.findOne({ _id: req.params.id, user: req.user._id });
+    if (!habit) {
+      return res.status(404).json({ message: 'Habit not found' });
+    }
+
+    if (!habit.isActive) {
+      return res.status(400).json({ message: 'Habit is already archived' });
+    }
+
+    habit.isActive = false;
+    habit.archivedAt = new Date();
+    await habit.save();
+
+    res.json({
+      success: true,
+      habit
+    });
+  } catch (error) {
+    console.error('Archive habit error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/habits/:id/restore
+// @desc    Restore an archived habit
+// @access  Private
+router.post('/:id/restore', auth, async (req, res) => {
+  try {
+    const habit = await Habit.findOne({ _id: req.params.id, user: req.user._id });
+    if (!habit) {
+      return res.status(404).json({ message: 'Habit not found' });
+    }
+
+    if (habit.isActive) {
+      return res.status(400).json({ message: 'Habit is not archived' });
+    }
+
+    habit.isActive = true;
+    habit.archivedAt = undefined;
+    await recalculateHabitStats(habit, req.user);
+
+    res.json({
+      success: true,
+      habit
+    });
+  } catch (error) {
+    console.error('Restore habit error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/habits/:id/pause
+// @desc    Pause habit from today: it is not due and its streak is frozen
+// @access  Private
+router.post('/:id/pause', auth, async (req, res) => {
+  try {
+    const habit = await Habit.findOne({ _id: req.params.id, user: req.user._id });
+    if (!habit) {
+      return res.status(404).json({ message: 'Habit not found' });
+    }
+
+    if (isPaused(habit)) {
+      return res.status(400).json({ message: 'Habit is already paused' });
+    }
+
+    habit.pauses.push({ startDate: startOfUserDay(req.user).toDate() });
+    await recalculateHabitStats(habit, req.user);
+
+    res.json({
+      success: true,
+      habit
+    });
+  } catch (error) {
+    console.error('Pause habit error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/habits/:id/resume
+// @desc    Resume a paused habit from today
+// @access  Private
+router.post('/:id/resume', auth, async (req, res) => {
+  try {
+    const habit = await Habit.findOne({ _id: req.params.id, user: req.user._id });
+    if (!habit) {
+      return res.status(404).json({ message: 'Habit not found' });
+    }
+
+    const pause = habit.pauses.find(p => !p.endDate);
+    if (!pause) {
+      return res.status(400).json({ message: 'Habit is not paused' });
+    }
+
+    // Today is due again; a pause that started today is dropped altogether
+    const today = startOfUserDay(req.user);
+    if (today.isAfter(pause.startDate)) {
+      pause.endDate = today.clone().subtract(1, 'day').endOf('day').toDate();
+    } else {
+      pause.deleteOne();
+    }
+    await recalculateHabitStats(habit, req.user);
+
+    res.json({
+      success: true,
+      habit
+    });
+  } catch (error) {
+    console.error('Resume habit error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   DELETE /api/habits/:id
-// @desc    Delete habit
+// @desc    Permanently delete an archived habit and all its entries
 // @access  Private
 router.delete('/:id', auth, async (req, res) => {
   try {
-    const habit = await Habit.findOneAndDelete({
+    const habit = await Habit.findOne({
       _id: req.params.id,
       user: req.user._id
     });
@@ -112,8 +377,14 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Habit not found' });
     }
 
-    // Delete all entries for this habit
-    await HabitEntry.deleteMany({ habit: req.params.id });
+    if (habit.isActive) {
+      return res.status(400).json({ message: 'Archive the habit before deleting it permanently' });
+    }
+
+    // Delete the habit and all entries for it
+    await habit.deleteOne();
+    await HabitEntry.deleteMany({ habit: habit._id });
+    await removeHabitActivity(habit._id);
 
     res.json({
       success: true,
@@ -125,12 +396,122 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/habits/recalculate
+// @desc    Rebuild stats for all of the user's habits from their entries
+// @access  Private
+router.post('/recalculate', auth, async (req, res) => {
+  try {
+    const count = await recalculateUserHabits(req.user);
+
+    res.json({
+      success: true,
+      message: `Recalculated stats for ${count} habits`
+    });
+  } catch (error) {
+    console.error('Recalculate habits error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/habits/:id/recalculate
+// @desc    Rebuild a habit's stats from its entries
+// @access  Private
+router.post('/:id/recalculate', auth, async (req, res) => {
+  try {
+    const habit = await Habit.findOne({ _id: req.params.id, user: req.user._id });
+    if (!habit) {
+      return res.status(404).json({ message: 'Habit not found' });
+    }
+
+    await recalculateHabitStats(habit, req.user);
+
+    res.json({
+      success: true,
+      habit
+    });
+  } catch (error) {
+    console.error('Recalculate habit error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   POST /api/habits/:id/entries
-// @desc    Log habit entry
+// @desc    Log habit entry for today, or a past date within the backfill window
 // @access  Private
 router.post('/:id/entries', auth, [
-  body('completed').isBoolean().withMessage('Completed must be a boolean'),
-  body('value').optional().isInt({ min: 0 }).withMessage('Value must be a non-negative integer'),
+  body('completed').optional().isBoolean().withMessage('Completed must be a boolean'),
+  body('increment').optional().isFloat().withMessage('Increment must be a number'),
+  body('date').optional().isISO8601().withMessage('Please provide a valid date'),
+  ...entryValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { completed, value, increment } = req.body;
+    if (completed === undefined && value === undefined && increment === undefined) {
+      return res.status(400).json({ message: 'Provide completed, value or increment' });
+    }
+
+    const habit = await Habit.findOne({ _id: req.params.id, user: req.user._id });
+    if (!habit) {
+      return res.status(404).json({ message: 'Habit not found' });
+    }
+
+    if (!habit.isActive) {
+      return res.status(400).json({ message: 'Restore this habit before logging entries' });
+    }
+
+    if (habit.kind === 'quit') {
+      return res.status(400).json({ message: 'Quit habits are tracked by logging relapses' });
+    }
+
+    const day = startOfUserDay(req.user, req.body.date);
+    const dayError = checkEntryDay(req.user, day);
+    if (dayError) {
+      return res.status(400).json({ message: dayError });
+    }
+
+    // Update the day's entry if one exists, otherwise create it
+    const entry = await findOrCreateDayEntry(habit, req.user, day);
+
+    entry.set(pickEntryFields(req.body));
+    if (increment !== undefined) {
+      // Incremental logging, e.g. +1 glass or +250 ml
+      entry.value = Math.max(0, (entry.value || 0) + Number(increment));
+    }
+    applyCompletion(habit, entry, req.body);
+    await clearCompletedSkip(req.user, entry);
+    await entry.save();
+
+    const previousStreak = habit.stats.currentStreak;
+    await recalculateHabitStats(habit, req.user);
+    await recordHabitProgress(habit, entry, previousStreak);
+
+    // Only check-ins for today count towards the user's activity streak
+    if (entry.completed && day.isSame(startOfUserDay(req.user))) {
+      await req.user.updateStreak();
+    }
+    await awardAchievements(req.user, ['streak']);
+
+    res.json({
+      success: true,
+      entry,
+      stats: habit.stats
+    });
+  } catch (error) {
+    console.error('Log habit entry error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/habits/:id/relapses
+// @desc    Log a relapse for a quit habit, today or within the backfill window
+// @access  Private
+router.post('/:id/relapses', auth, [
+  body('date').optional().isISO8601().withMessage('Please provide a valid date'),
   body('notes').optional().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
 ], async (req, res) => {
   try {
@@ -144,68 +525,326 @@ router.post('/:id/entries', auth, [
       return res.status(404).json({ message: 'Habit not found' });
     }
 
-    const today = moment().startOf('day').toDate();
-    const endOfDay = moment(today).endOf('day').toDate();
+    if (!habit.isActive) {
+      return res.status(400).json({ message: 'Restore this habit before logging entries' });
+    }
 
-    // Check if entry already exists for today
-    let entry = await HabitEntry.findOne({
-      habit: req.params.id,
+    if (habit.kind !== 'quit') {
+      return res.status(400).json({ message: 'Relapses can only be logged for quit habits' });
+    }
+
+    const day = startOfUserDay(req.user, req.body.date);
+    const dayError = checkEntryDay(req.user, day);
+    if (dayError) {
+      return res.status(400).json({ message: dayError });
+    }
+
+    const entry = await findOrCreateDayEntry(habit, req.user, day);
+
+    entry.set(pickEntryFields(req.body));
+    entry.relapsed = true;
+    entry.completed = false;
+    await entry.save();
+
+    await recalculateHabitStats(habit, req.user);
+
+    res.json({
+      success: true,
+      entry,
+      stats: habit.stats
+    });
+  } catch (error) {
+    console.error('Log relapse error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/habits/:id/skip
+// @desc    Skip a habit for today without breaking its streak
+// @access  Private
+router.post('/:id/skip', auth, [
+  body('notes').optional().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const habit = await Habit.findOne({ _id: req.params.id, user: req.user._id });
+    if (!habit) {
+      return res.status(404).json({ message: 'Habit not found' });
+    }
+
+    if (!habit.isActive) {
+      return res.status(400).json({ message: 'Restore this habit before logging entries' });
+    }
+
+    if (habit.kind === 'quit') {
+      return res.status(400).json({ message: 'Quit habits cannot be skipped' });
+    }
+
+    const entry = await findOrCreateDayEntry(habit, req.user, startOfUserDay(req.user));
+    if (entry.completed) {
+      return res.status(400).json({ message: 'Habit is already completed today' });
+    }
+    if (entry.skipped) {
+      return res.status(400).json({ message: 'Habit is already skipped today' });
+    }
+
+    entry.set(pickEntryFields(req.body));
+    entry.skipped = true;
+    entry.skipType = 'skip';
+    await entry.save();
+
+    await recalculateHabitStats(habit, req.user);
+
+    res.json({
+      success: true,
+      entry,
+      stats: habit.stats
+    });
+  } catch (error) {
+    console.error('Skip habit error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/habits/:id/freeze
+// @desc    Spend a streak freeze to cover a missed day within the backfill window
+// @access  Private
+router.post('/:id/freeze', auth, [
+  body('date').isISO8601().withMessage('Please provide a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const habit = await Habit.findOne({ _id: req.params.id, user: req.user._id });
+    if (!habit) {
+      return res.status(404).json({ message: 'Habit not found' });
+    }
+
+    if (!habit.isActive) {
+      return res.status(400).json({ message: 'Restore this habit before logging entries' });
+    }
+
+    if (habit.kind === 'quit') {
+      return res.status(400).json({ message: 'Streak freezes cannot be used on quit habits' });
+    }
+
+    const day = startOfUserDay(req.user, req.body.date);
+    const dayError = checkEntryDay(req.user, day);
+    if (dayError) {
+      return res.status(400).json({ message: dayError });
+    }
+    if (!day.isBefore(startOfUserDay(req.user))) {
+      return res.status(400).json({ message: 'Streak freezes can only cover past days; skip today instead' });
+    }
+
+    if (req.user.streakFreezes.available < 1) {
+      return res.status(400).json({ message: 'No streak freezes available' });
+    }
+
+    const entry = await findOrCreateDayEntry(habit, req.user, day);
+    if (entry.completed || entry.skipped) {
+      return res.status(400).json({ message: 'This day is already completed or skipped' });
+    }
+
+    entry.skipped = true;
+    entry.skipType = 'freeze';
+    await entry.save();
+
+    req.user.streakFreezes.available -= 1;
+    await req.user.save();
+
+    await recalculateHabitStats(habit, req.user);
+    await awardAchievements(req.user, ['streak']);
+
+    res.json({
+      success: true,
+      entry,
+      stats: habit.stats,
+      streakFreezes: req.user.streakFreezes
+    });
+  } catch (error) {
+    console.error('Use streak freeze error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/habits/:id/entries/:entryId
+// @desc    Update a habit entry
+// @access  Private
+router.put('/:id/entries/:entryId', auth, [
+  body('completed').optional().isBoolean().withMessage('Completed must be a boolean'),
+  ...entryValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const habit = await Habit.findOne({ _id: req.params.id, user: req.user._id });
+    if (!habit) {
+      return res.status(404).json({ message: 'Habit not found' });
+    }
+
+    const entry = await HabitEntry.findOne({
+      _id: req.params.entryId,
+      habit: habit._id,
+      user: req.user._id
+    });
+    if (!entry) {
+      return res.status(404).json({ message: 'Habit entry not found' });
+    }
+
+    const dayError = checkEntryDay(req.user, startOfUserDay(req.user, entry.date));
+    if (dayError) {
+      return res.status(400).json({ message: dayError });
+    }
+
+    entry.set(pickEntryFields(req.body));
+    applyCompletion(habit, entry, req.body);
+    await clearCompletedSkip(req.user, entry);
+    await entry.save();
+
+    const previousStreak = habit.stats.currentStreak;
+    await recalculateHabitStats(habit, req.user);
+    await recordHabitProgress(habit, entry, previousStreak);
+
+    res.json({
+      success: true,
+      entry,
+      stats: habit.stats
+    });
+  } catch (error) {
+    console.error('Update habit entry error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/habits/:id/entries/:entryId
+// @desc    Delete a habit entry
+// @access  Private
+router.delete('/:id/entries/:entryId', auth, async (req, res) => {
+  try {
+    const habit = await Habit.findOne({ _id: req.params.id, user: req.user._id });
+    if (!habit) {
+      return res.status(404).json({ message: 'Habit not found' });
+    }
+
+    const entry = await HabitEntry.findOne({
+      _id: req.params.entryId,
+      habit: habit._id,
+      user: req.user._id
+    });
+    if (!entry) {
+      return res.status(404).json({ message: 'Habit entry not found' });
+    }
+
+    const dayError = checkEntryDay(req.user, startOfUserDay(req.user, entry.date));
+    if (dayError) {
+      return res.status(400).json({ message: dayError });
+    }
+
+    await entry.deleteOne();
+    await removeEntryActivity(entry);
+    if (entry.skipped && entry.skipType === 'freeze') {
+      await refundFreeze(req.user);
+    }
+    await recalculateHabitStats(habit, req.user);
+
+    res.json({
+      success: true,
+      message: 'Habit entry deleted successfully',
+      stats: habit.stats
+    });
+  } catch (error) {
+    console.error('Delete habit entry error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/habits/:id/history
+// @desc    Get the habit with its status and entry for every day of a date range (default: the last year)
+// @access  Private
+router.get('/:id/history', auth, async (req, res) => {
+  try {
+    const habit = await Habit.findOne({ _id: req.params.id, user: req.user._id });
+    if (!habit) {
+      return res.status(404).json({ message: 'Habit not found' });
+    }
+
+    const { startDate, endDate } = req.query;
+    const end = startOfUserDay(req.user, endDate);
+    const start = startDate ? startOfUserDay(req.user, startDate) : end.clone().subtract(364, 'days');
+    if (!start.isValid() || !end.isValid() || start.isAfter(end)) {
+      return res.status(400).json({ message: 'Please provide a valid date range' });
+    }
+    if (end.diff(start, 'days') > 366) {
+      return res.status(400).json({ message: 'History is limited to one year per request' });
+    }
+
+    const entries = await HabitEntry.find({
+      habit: habit._id,
       user: req.user._id,
-      date: { $gte: today, $lt: endOfDay }
+      date: { $gte: start.toDate(), $lte: end.clone().endOf('day').toDate() }
+    }).sort({ date: 1 });
+
+    const timezone = getUserTimezone(req.user);
+    const entriesByDay = new Map(entries.map(entry => [toDayKey(entry.date, timezone), entry]));
+    const days = getDayStatuses(habit, entries, {
+      timezone,
+      vacations: req.user.vacations,
+      from: start,
+      to: end
+    }).map(day => {
+      const entry = entriesByDay.get(day.date) || null;
+      return { ...day, value: entry ? entry.value : 0, entry };
     });
 
-    if (entry) {
-      // Update existing entry
-      entry = await HabitEntry.findByIdAndUpdate(
-        entry._id,
-        req.body,
-        { new: true, runValidators: true }
-      );
-    } else {
-      // Create new entry
-      entry = new HabitEntry({
-        ...req.body,
-        habit: req.params.id,
-        user: req.user._id,
-        date: today
-      });
-      await entry.save();
-    }
-
-    // Update habit stats
-    if (req.body.completed) {
-      habit.stats.totalCompletions += 1;
-      habit.stats.lastCompleted = new Date();
-      
-      // Update streak
-      const yesterday = moment().subtract(1, 'day').startOf('day').toDate();
-      const yesterdayEntry = await HabitEntry.findOne({
-        habit: req.params.id,
-        user: req.user._id,
-        date: { $gte: yesterday, $lt: moment(yesterday).endOf('day').toDate() },
-        completed: true
-      });
-
-      if (yesterdayEntry) {
-        habit.stats.currentStreak += 1;
-      } else {
-        habit.stats.currentStreak = 1;
-      }
-      
-      habit.stats.longestStreak = Math.max(habit.stats.longestStreak, habit.stats.currentStreak);
+    res.json({
+      success: true,
+      habit: {
+        ...habit.toObject(),
+        streakUnit: getStreakUnit(habit)
+      },
+      days,
+      backfillDays: BACKFILL_DAYS
+    });
+  } catch (error) {
+    console.error('Get habit history error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/habits/:id/analytics
+// @desc    Get completion trends, best weekday and averages for a habit (?period=week|month|year)
+// @access  Private
+router.get('/:id/analytics', auth, async (req, res) => {
+  try {
+    const { period = 'month' } = req.query;
+    if (!['week', 'month', 'year'].includes(period)) {
+      return res.status(400).json({ message: 'Period must be week, month or year' });
     }
 
-    await habit.save();
+    const habit = await Habit.findOne({ _id: req.params.id, user: req.user._id });
+    if (!habit) {
+      return res.status(404).json({ message: 'Habit not found' });
+    }
 
-    // Update user streak
-    await req.user.updateStreak();
+    const analytics = await getHabitAnalytics(habit, req.user, period);
 
     res.json({
       success: true,
-      entry
+      analytics
     });
   } catch (error) {
-    console.error('Log habit entry error:', error);
+    console.error('Get habit analytics error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -216,8 +855,8 @@ router.post('/:id/entries', auth, [
 router.get('/:id/entries', auth, async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
-    const start = startDate ? moment(startDate).startOf('day').toDate() : moment().subtract(30, 'days').startOf('day').toDate();
-    const end = endDate ? moment(endDate).endOf('day').toDate() : moment().endOf('day').toDate();
+    const start = startDate ? startOfUserDay(req.user, startDate).toDate() : startOfUserDay(req.user).subtract(30, 'days').toDate();
+    const end = endOfUserDay(req.user, endDate).toDate();
 
     const entries = await HabitEntry.find({
       habit: req.params.id,
@@ -241,33 +880,22 @@ router.get('/:id/entries', auth, async (req, res) => {
 router.get('/stats', auth, async (req, res) => {
   try {
     const { period = 'week' } = req.query;
-    let startDate;
-
-    switch (period) {
-      case 'week':
-        startDate = moment().subtract(7, 'days').startOf('day').toDate();
-        break;
-      case 'month':
-        startDate = moment().subtract(30, 'days').startOf('day').toDate();
-        break;
-      case 'year':
-        startDate = moment().subtract(365, 'days').startOf('day').toDate();
-        break;
-      default:
-        startDate = moment().subtract(7, 'days').startOf('day').toDate();
-    }
+    const start = getPeriodStart(req.user, period);
 
     const habits = await Habit.find({ user: req.user._id, isActive: true });
     const entries = await HabitEntry.find({
       user: req.user._id,
-      date: { $gte: startDate },
+      date: { $gte: start.toDate() },
       completed: true
     });
 
+    // Measured against the days each habit was actually due in the period
+    const completion = await getCompletionSummary(habits, req.user, start);
+
     const stats = {
       totalHabits: habits.length,
       totalCompletions: entries.length,
-      completionRate: habits.length > 0 ? Math.round((entries.length / (habits.length * 7)) * 100) : 0,
+      completionRate: completion.rate || 0,
       topHabits: habits
         .sort((a, b) => b.stats.currentStreak - a.stats.currentStreak)
         .slice(0, 5)
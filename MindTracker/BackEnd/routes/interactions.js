@@ -0,0 +1,164 @@
+const { body, param, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const requireVerified = require('../middleware/verified');
+const { isBlocked } = require('../utils/privacy');
+const {
+  REACTION_TYPES,
+  canInteract,
+  getInteractionSummary,
+  toggleReaction,
+  getComments,
+  addComment,
+  canDeleteComment
+} = require('../services/interactions');
+const Comment = require('../models/Comment');
+
+// Adds reaction and comment routes under `path` to a router (this file is not
+// mounted itself). loadTarget(req) resolves to the target the request is about
+// (see services/interactions) or null when it doesn't exist or is not shared;
+// notFoundMessage is sent in that case.
+const addInteractionRoutes = (router, path, loadTarget, notFoundMessage) => {
+  // Load the target and check the user may take part, or send the error
+  const resolveTarget = async (req, res) => {
+    const target = await loadTarget(req);
+    if (!target || isBlocked(req.user, target.owner)) {
+      res.status(404).json({ message: notFoundMessage });
+      return null;
+    }
+    if (!canInteract(req.user, target.owner)) {
+      res.status(403).json({ message: 'Only friends can react and comment' });
+      return null;
+    }
+    return target;
+  };
+
+  // @route   GET <path>/reactions
+  // @desc    Get reaction counts and the number of comments
+  // @access  Private
+  router.get(`${path}/reactions`, auth, requireVerified('social'), async (req, res) => {
+    try {
+      const target = await resolveTarget(req, res);
+      if (!target) return;
+
+      const summary = await getInteractionSummary(target, req.user);
+
+      res.json({
+        success: true,
+        ...summary
+      });
+    } catch (error) {
+      console.error('Get reactions error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  // @route   POST <path>/reactions
+  // @desc    Give a reaction, or take it back if already given
+  // @access  Private
+  router.post(`${path}/reactions`, auth, requireVerified('social'), [
+    body('type').isIn(REACTION_TYPES).withMessage('Invalid reaction')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const target = await resolveTarget(req, res);
+      if (!target) return;
+
+      const summary = await toggleReaction(target, req.user, req.body.type);
+
+      res.json({
+        success: true,
+        ...summary
+      });
+    } catch (error) {
+      console.error('React error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  // @route   GET <path>/comments
+  // @desc    Get comments, oldest first
+  // @access  Private
+  router.get(`${path}/comments`, auth, requireVerified('social'), async (req, res) => {
+    try {
+      const target = await resolveTarget(req, res);
+      if (!target) return;
+
+      const comments = await getComments(target);
+
+      res.json({
+        success: true,
+        comments
+      });
+    } catch (error) {
+      console.error('Get comments error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  // @route   POST <path>/comments
+  // @desc    Add a comment
+  // @access  Private
+  router.post(`${path}/comments`, auth, requireVerified('social'), [
+    body('text').trim().isLength({ min: 1, max: 280 }).withMessage('Comment must be between 1 and 280 characters')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const target = await resolveTarget(req, res);
+      if (!target) return;
+
+      const comment = await addComment(target, req.user, req.body.text);
+
+      res.status(201).json({
+        success: true,
+        comment
+      });
+    } catch (error) {
+      console.error('Add comment error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+
+  // @route   DELETE <path>/comments/:commentId
+  // @desc    Delete a comment; allowed for its author and the item's owner
+  // @access  Private
+  router.delete(`${path}/comments/:commentId`, auth, [
+    param('commentId').isMongoId().withMessage('Invalid comment')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Found by id alone, without resolveTarget: the author and the owner can
+      // still delete it after the item is hidden or the friendship ends
+      const comment = await Comment.findById(req.params.commentId);
+      if (!comment) {
+        return res.status(404).json({ message: 'Comment not found' });
+      }
+      if (!canDeleteComment(comment, req.user)) {
+        return res.status(403).json({ message: 'You can only delete your own comments' });
+      }
+
+      await comment.deleteOne();
+
+      res.json({
+        success: true,
+        message: 'Comment deleted'
+      });
+    } catch (error) {
+      console.error('Delete comment error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  });
+};
+
+module.exports = addInteractionRoutes;
@@ -2,7 +2,8 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Mood = require('../models/Mood');
 const auth = require('../middleware/auth');
-const moment = require('moment');
+const { startOfUserDay, endOfUserDay, getPeriodStart } = require('../utils/timezone');
+const { awardAchievements } = require('../services/achievements');
 
 const router = express.Router();
 
@@ -12,8 +13,8 @@ const router = express.Router();
 router.get('/', auth, async (req, res) => {
   try {
     const { startDate, endDate, limit = 30 } = req.query;
-    const start = startDate ? moment(startDate).startOf('day').toDate() : moment().subtract(30, 'days').startOf('day').toDate();
-    const end = endDate ? moment(endDate).endOf('day').toDate() : moment().endOf('day').toDate();
+    const start = startDate ? startOfUserDay(req.user, startDate).toDate() : startOfUserDay(req.user).subtract(30, 'days').toDate();
+    const end = endOfUserDay(req.user, endDate).toDate();
 
     const moods = await Mood.find({
       user: req.user._id,
@@ -47,8 +48,8 @@ router.post('/', auth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const today = moment().startOf('day').toDate();
-    const endOfDay = moment(today).endOf('day').toDate();
+    const today = startOfUserDay(req.user).toDate();
+    const endOfDay = endOfUserDay(req.user).toDate();
 
     // Check if mood entry already exists for today
     let mood = await Mood.findOne({
@@ -71,6 +72,7 @@ router.post('/', auth, [
         date: today
       });
       await mood.save();
+      await awardAchievements(req.user, ['moods']);
     }
 
     res.json({
@@ -148,21 +150,7 @@ router.delete('/:id', auth, async (req, res) => {
 router.get('/stats', auth, async (req, res) => {
   try {
     const { period = 'week' } = req.query;
-    let startDate;
-
-    switch (period) {
-      case 'week':
-        startDate = moment().subtract(7, 'days').startOf('day').toDate();
-        break;
-      case 'month':
-        startDate = moment().subtract(30, 'days').startOf('day').toDate();
-        break;
-      case 'year':
-        startDate = moment().subtract(365, 'days').startOf('day').toDate();
-        break;
-      default:
-        startDate = moment().subtract(7, 'days').startOf('day').toDate();
-    }
+    const startDate = getPeriodStart(req.user, period).toDate();
 
     const moods = await Mood.find({
       user: req.user._id,
@@ -224,8 +212,8 @@ router.get('/stats', auth, async (req, res) => {
 // @access  Private
 router.get('/today', auth, async (req, res) => {
   try {
-    const today = moment().startOf('day').toDate();
-    const endOfDay = moment(today).endOf('day').toDate();
+    const today = startOfUserDay(req.user).toDate();
+    const endOfDay = endOfUserDay(req.user).toDate();
 
     const mood = await Mood.findOne({
       user: req.user._id,
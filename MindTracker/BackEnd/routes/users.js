@@ -1,37 +1,54 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { body, param, validationResult } = require('express-validator');
 const User = require('../models/User');
+const FriendRequest = require('../models/FriendRequest');
+const Mood = require('../models/Mood');
 const auth = require('../middleware/auth');
+const requireVerified = require('../middleware/verified');
+const { startOfUserDay, endOfUserDay } = require('../utils/timezone');
+const {
+  includesId,
+  isBlocked,
+  notBlockedFilter,
+  canViewProfile,
+  canSeeStreaks,
+  canSeeMood,
+  toPublicUser,
+  escapeRegex
+} = require('../utils/privacy');
+const { recalculateUserHabits } = require('../services/habitStats');
+const { notify } = require('../services/notifications');
+const { awardAchievements, getAchievementCatalog } = require('../services/achievements');
+const { LEADERBOARD_METRICS, LEADERBOARD_PERIODS, getLeaderboard } = require('../services/leaderboards');
+const addInteractionRoutes = require('./interactions');
 
 const router = express.Router();
 
 // @route   GET /api/users/search
-// @desc    Search users by name or email
+// @desc    Search discoverable users by name, or by exact email address
 // @access  Private
-router.get('/search', auth, async (req, res) => {
+router.get('/search', auth, requireVerified('social'), async (req, res) => {
   try {
-    const { q } = req.query;
-    if (!q || q.length < 2) {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (q.length < 2) {
       return res.status(400).json({ message: 'Search query must be at least 2 characters' });
     }
 
     const users = await User.find({
-      $and: [
-        { _id: { $ne: req.user._id } }, // Exclude current user
-        {
-          $or: [
-            { name: { $regex: q, $options: 'i' } },
-            { email: { $regex: q, $options: 'i' } }
-          ]
-        }
+      ...notBlockedFilter(req.user), // Also excludes the current user
+      'privacy.discoverable': { $ne: false },
+      $or: [
+        { name: { $regex: escapeRegex(q), $options: 'i' } },
+        { email: q.toLowerCase() }
       ]
     })
-    .select('name email avatar streak')
+    .select('name avatar streak privacy')
     .limit(10);
 
     res.json({
       success: true,
-      users
+      users: users.map(user => toPublicUser(req.user, user))
     });
   } catch (error) {
     console.error('Search users error:', error);
@@ -39,10 +56,34 @@ router.get('/search', auth, async (req, res) => {
   }
 });
 
+// Make two users friends once a request between them is accepted
+const acceptFriendRequest = async (request) => {
+  request.status = 'accepted';
+  request.respondedAt = new Date();
+  await request.save();
+
+  await User.updateOne({ _id: request.from }, { $addToSet: { friends: request.to } });
+  await User.updateOne({ _id: request.to }, { $addToSet: { friends: request.from } });
+
+  const [sender, recipient] = await Promise.all([User.findById(request.from), User.findById(request.to)]);
+  await notify(sender._id, {
+    type: 'friend',
+    title: `${recipient.name} accepted your friend request`,
+    link: '/social'
+  });
+  await awardAchievements(sender, ['friends']);
+  await awardAchievements(recipient, ['friends']);
+};
+
+// Find a pending request by id that the user is a party to (as 'from' or 'to')
+const findPendingRequest = (requestId, user, side) => (
+  FriendRequest.findOne({ _id: requestId, [side]: user._id, status: 'pending' })
+);
+
 // @route   POST /api/users/friends
 // @desc    Send friend request
 // @access  Private
-router.post('/friends', auth, [
+router.post('/friends', auth, requireVerified('social'), [
   body('userId').isMongoId().withMessage('Valid user ID is required')
 ], async (req, res) => {
   try {
@@ -58,28 +99,149 @@ router.post('/friends', auth, [
     }
 
     const targetUser = await User.findById(userId);
-    if (!targetUser) {
+    if (!targetUser || isBlocked(req.user, targetUser)) {
       return res.status(404).json({ message: 'User not found' });
     }
 
     // Check if already friends
-    if (req.user.friends.includes(userId)) {
+    if (includesId(req.user.friends, userId)) {
       return res.status(400).json({ message: 'Already friends with this user' });
     }
 
-    // Add to friends list
-    req.user.friends.push(userId);
-    targetUser.friends.push(req.user._id);
+    const existing = await FriendRequest.findOne({
+      status: 'pending',
+      $or: [
+        { from: req.user._id, to: userId },
+        { from: userId, to: req.user._id }
+      ]
+    });
+
+    if (existing && existing.from.toString() === req.user._id.toString()) {
+      return res.status(400).json({ message: 'Friend request already sent' });
+    }
+
+    // They already asked us, so sending one back accepts theirs
+    if (existing) {
+      await acceptFriendRequest(existing);
+      return res.json({
+        success: true,
+        message: 'Friend request accepted',
+        request: existing
+      });
+    }
 
-    await req.user.save();
-    await targetUser.save();
+    const request = await FriendRequest.create({ from: req.user._id, to: userId });
+
+    await notify(targetUser._id, {
+      type: 'friend',
+      title: `${req.user.name} sent you a friend request`,
+      link: '/social'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Friend request sent',
+      request
+    });
+  } catch (error) {
+    console.error('Send friend request error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/users/friends/requests
+// @desc    Get pending incoming and outgoing friend requests
+// @access  Private
+router.get('/friends/requests', auth, requireVerified('social'), async (req, res) => {
+  try {
+    const [incoming, outgoing] = await Promise.all([
+      FriendRequest.find({ to: req.user._id, status: 'pending' })
+        .populate('from', 'name avatar')
+        .sort({ createdAt: -1 }),
+      FriendRequest.find({ from: req.user._id, status: 'pending' })
+        .populate('to', 'name avatar')
+        .sort({ createdAt: -1 })
+    ]);
+
+    res.json({
+      success: true,
+      incoming,
+      outgoing
+    });
+  } catch (error) {
+    console.error('Get friend requests error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/users/friends/requests/:requestId/accept
+// @desc    Accept an incoming friend request
+// @access  Private
+router.post('/friends/requests/:requestId/accept', auth, requireVerified('social'), async (req, res) => {
+  try {
+    const request = await findPendingRequest(req.params.requestId, req.user, 'to');
+    if (!request) {
+      return res.status(404).json({ message: 'Friend request not found' });
+    }
+
+    await acceptFriendRequest(request);
+
+    res.json({
+      success: true,
+      message: 'Friend request accepted',
+      request
+    });
+  } catch (error) {
+    console.error('Accept friend request error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/users/friends/requests/:requestId/decline
+// @desc    Decline an incoming friend request
+// @access  Private
+router.post('/friends/requests/:requestId/decline', auth, async (req, res) => {
+  try {
+    const request = await findPendingRequest(req.params.requestId, req.user, 'to');
+    if (!request) {
+      return res.status(404).json({ message: 'Friend request not found' });
+    }
+
+    request.status = 'declined';
+    request.respondedAt = new Date();
+    await request.save();
+
+    res.json({
+      success: true,
+      message: 'Friend request declined',
+      request
+    });
+  } catch (error) {
+    console.error('Decline friend request error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/users/friends/requests/:requestId
+// @desc    Cancel a friend request the user sent
+// @access  Private
+router.delete('/friends/requests/:requestId', auth, async (req, res) => {
+  try {
+    const request = await findPendingRequest(req.params.requestId, req.user, 'from');
+    if (!request) {
+      return res.status(404).json({ message: 'Friend request not found' });
+    }
+
+    request.status = 'cancelled';
+    request.respondedAt = new Date();
+    await request.save();
 
     res.json({
       success: true,
-      message: 'Friend added successfully'
+      message: 'Friend request cancelled'
     });
   } catch (error) {
-    console.error('Add friend error:', error);
+    console.error('Cancel friend request error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -87,8 +249,15 @@ router.post('/friends', auth, [
 // @route   DELETE /api/users/friends/:userId
 // @desc    Remove friend
 // @access  Private
-router.delete('/friends/:userId', auth, async (req, res) => {
+router.delete('/friends/:userId', auth, [
+  param('userId').isMongoId().withMessage('Valid user ID is required')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { userId } = req.params;
 
     // Remove from both users' friend lists
@@ -114,15 +283,22 @@ router.delete('/friends/:userId', auth, async (req, res) => {
 // @route   GET /api/users/friends
 // @desc    Get user's friends
 // @access  Private
-router.get('/friends', auth, async (req, res) => {
+router.get('/friends', auth, requireVerified('social'), async (req, res) => {
   try {
     const user = await User.findById(req.user._id)
-      .populate('friends', 'name email avatar streak achievements')
+      .populate('friends', 'name email avatar streak achievements friends blockedUsers privacy')
       .select('friends');
 
     res.json({
       success: true,
-      friends: user.friends
+      // Email and achievements are only shown to friends allowed to see the profile
+      friends: user.friends.map(friend => ({
+        ...toPublicUser(req.user, friend),
+        ...(canViewProfile(req.user, friend) && {
+          email: friend.email,
+          achievements: friend.achievements
+        })
+      }))
     });
   } catch (error) {
     console.error('Get friends error:', error);
@@ -131,41 +307,37 @@ router.get('/friends', auth, async (req, res) => {
 });
 
 // @route   GET /api/users/leaderboard
-// @desc    Get friends leaderboard
+// @desc    Get the friends leaderboard (?metric=streak|completions|completion_rate|perfect_habits|goals|achievements&period=week|month|all)
 // @access  Private
-router.get('/leaderboard', auth, async (req, res) => {
+router.get('/leaderboard', auth, requireVerified('social'), async (req, res) => {
   try {
-    const user = await User.findById(req.user._id)
-      .populate({
-        path: 'friends',
-        select: 'name avatar streak achievements',
-        options: { sort: { 'streak.current': -1 } }
-      })
-      .select('friends');
+    const { metric = 'streak', period = 'week' } = req.query;
+    if (!LEADERBOARD_METRICS.includes(metric)) {
+      return res.status(400).json({ message: `Metric must be one of ${LEADERBOARD_METRICS.join(', ')}` });
+    }
+    if (!LEADERBOARD_PERIODS.includes(period)) {
+      return res.status(400).json({ message: 'Period must be week, month or all' });
+    }
 
-    const leaderboard = [
-      {
-        user: {
-          id: req.user._id,
-          name: req.user.name,
-          avatar: req.user.avatar
-        },
-        streak: req.user.streak.current,
-        achievements: req.user.achievements.length
-      },
-      ...user.friends.map(friend => ({
-        user: {
-          id: friend._id,
-          name: friend.name,
-          avatar: friend.avatar
-        },
-        streak: friend.streak.current,
-        achievements: friend.achievements.length
-      }))
-    ].sort((a, b) => b.streak - a.streak);
+    // Friends who hide their profile from everyone are left out, and streaks
+    // are only ranked for friends who share them
+    const friends = await User.find({
+      _id: { $in: req.user.friends },
+      'privacy.profileVisibility': { $ne: 'nobody' },
+      ...(metric === 'streak' && { 'privacy.shareStreaks': { $ne: false } })
+    }).select('_id');
+
+    const leaderboard = await getLeaderboard(
+      req.user,
+      [req.user._id, ...friends.map(friend => friend._id)],
+      metric,
+      period
+    );
 
     res.json({
       success: true,
+      metric,
+      period,
       leaderboard
     });
   } catch (error) {
@@ -175,21 +347,41 @@ router.get('/leaderboard', auth, async (req, res) => {
 });
 
 // @route   GET /api/users/:id/profile
-// @desc    Get user profile (public info only)
+// @desc    Get user profile (public info only, subject to their privacy settings)
 // @access  Private
-router.get('/:id/profile', auth, async (req, res) => {
+router.get('/:id/profile', auth, requireVerified('social'), [
+  param('id').isMongoId().withMessage('Valid user ID is required')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const user = await User.findById(req.params.id)
-      .select('name avatar streak achievements')
-      .populate('achievements');
+      .select('name avatar streak achievements friends blockedUsers privacy');
 
-    if (!user) {
+    if (!user || isBlocked(req.user, user)) {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    if (!canViewProfile(req.user, user)) {
+      return res.status(403).json({ message: 'This profile is private' });
+    }
+
+    const mood = canSeeMood(req.user, user)
+      ? await Mood.findOne({ user: user._id }).sort({ date: -1 }).select('mood date')
+      : null;
+
     res.json({
       success: true,
-      user
+      user: {
+        ...toPublicUser(req.user, user),
+        achievements: user.achievements
+      },
+      mood,
+      // Progress towards locked achievements is private
+      achievements: await getAchievementCatalog(user, { withProgress: false })
     });
   } catch (error) {
     console.error('Get user profile error:', error);
@@ -197,13 +389,121 @@ router.get('/:id/profile', auth, async (req, res) => {
   }
 });
 
-// @route   POST /api/users/achievements
-// @desc    Add achievement to user
+// @route   GET /api/users/blocked
+// @desc    Get users the current user has blocked
+// @access  Private
+router.get('/blocked', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .populate('blockedUsers', 'name avatar')
+      .select('blockedUsers');
+
+    res.json({
+      success: true,
+      blockedUsers: user.blockedUsers
+    });
+  } catch (error) {
+    console.error('Get blocked users error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/users/blocked
+// @desc    Block a user, ending any friendship and pending friend requests
+// @access  Private
+router.post('/blocked', auth, [
+  body('userId').isMongoId().withMessage('Valid user ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { userId } = req.body;
+
+    if (userId === req.user._id.toString()) {
+      return res.status(400).json({ message: 'Cannot block yourself' });
+    }
+
+    const targetUser = await User.findById(userId);
+    if (!targetUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await User.updateOne(
+      { _id: req.user._id },
+      { $addToSet: { blockedUsers: targetUser._id }, $pull: { friends: targetUser._id } }
+    );
+    await User.updateOne({ _id: targetUser._id }, { $pull: { friends: req.user._id } });
+    await FriendRequest.updateMany(
+      {
+        status: 'pending',
+        $or: [
+          { from: req.user._id, to: targetUser._id },
+          { from: targetUser._id, to: req.user._id }
+        ]
+      },
+      { status: 'cancelled', respondedAt: new Date() }
+    );
+
+    res.json({
+      success: true,
+      message: 'User blocked'
+    });
+  } catch (error) {
+    console.error('Block user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/users/blocked/:userId
+// @desc    Unblock a user
+// @access  Private
+router.delete('/blocked/:userId', auth, [
+  param('userId').isMongoId().withMessage('Valid user ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await User.updateOne({ _id: req.user._id }, { $pull: { blockedUsers: req.params.userId } });
+
+    res.json({
+      success: true,
+      message: 'User unblocked'
+    });
+  } catch (error) {
+    console.error('Unblock user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/users/vacations
+// @desc    Get the user's vacations and streak freezes
+// @access  Private
+router.get('/vacations', auth, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      vacations: req.user.vacations,
+      streakFreezes: req.user.streakFreezes
+    });
+  } catch (error) {
+    console.error('Get vacations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/users/vacations
+// @desc    Add a vacation; all habits are paused for its days
 // @access  Private
-router.post('/achievements', auth, [
-  body('type').isIn(['streak', 'habit', 'goal', 'social']).withMessage('Valid achievement type is required'),
-  body('title').trim().isLength({ min: 1, max: 100 }).withMessage('Achievement title is required'),
-  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters')
+router.post('/vacations', auth, [
+  body('startDate').isISO8601().withMessage('Please provide a valid start date'),
+  body('endDate').isISO8601().withMessage('Please provide a valid end date'),
+  body('note').optional().trim().isLength({ max: 100 }).withMessage('Note cannot exceed 100 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -211,24 +511,123 @@ router.post('/achievements', auth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const achievement = {
-      type: req.body.type,
-      title: req.body.title,
-      description: req.body.description,
-      earnedAt: new Date()
-    };
+    const startDate = startOfUserDay(req.user, req.body.startDate);
+    const endDate = endOfUserDay(req.user, req.body.endDate);
+    if (endDate.isBefore(startDate)) {
+      return res.status(400).json({ message: 'End date must be on or after the start date' });
+    }
+
+    const overlaps = req.user.vacations.some(vacation => (
+      startDate.isSameOrBefore(vacation.endDate) && endDate.isSameOrAfter(vacation.startDate)
+    ));
+    if (overlaps) {
+      return res.status(400).json({ message: 'Vacation overlaps an existing one' });
+    }
+
+    req.user.vacations.push({
+      startDate: startDate.toDate(),
+      endDate: endDate.toDate(),
+      note: req.body.note
+    });
+    await req.user.save();
+
+    // Vacations can cover past days, so streaks may change
+    await recalculateUserHabits(req.user);
+
+    res.status(201).json({
+      success: true,
+      vacations: req.user.vacations
+    });
+  } catch (error) {
+    console.error('Add vacation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/users/vacations/:vacationId
+// @desc    Remove a vacation
+// @access  Private
+router.delete('/vacations/:vacationId', auth, async (req, res) => {
+  try {
+    const vacation = req.user.vacations.id(req.params.vacationId);
+    if (!vacation) {
+      return res.status(404).json({ message: 'Vacation not found' });
+    }
 
-    req.user.achievements.push(achievement);
+    vacation.deleteOne();
     await req.user.save();
+    await recalculateUserHabits(req.user);
+
+    res.json({
+      success: true,
+      vacations: req.user.vacations
+    });
+  } catch (error) {
+    console.error('Delete vacation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/users/achievements
+// @desc    Get all achievements with the user's progress towards each and their rarity
+// @access  Private
+router.get('/achievements', auth, async (req, res) => {
+  try {
+    // Catch up on anything earned without a triggering event, like a quit
+    // habit's clean streak growing
+    const awarded = await awardAchievements(req.user);
+    const user = awarded.length > 0 ? await User.findById(req.user._id) : req.user;
 
     res.json({
       success: true,
-      achievement
+      achievements: await getAchievementCatalog(user)
     });
   } catch (error) {
-    console.error('Add achievement error:', error);
+    console.error('Get achievements error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// The user whose item is being reacted to or commented on; null for an id
+// that can't exist, so the routes answer 404
+const loadOwner = (req) => {
+  if (req.params.id === req.user._id.toString()) return req.user;
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  return User.findById(req.params.id).select('name friends blockedUsers privacy achievements streak');
+};
+
+// Friends react to and comment on earned achievements, by achievement key
+const loadAchievementTarget = async (req) => {
+  const owner = await loadOwner(req);
+  const achievement = owner && owner.achievements.find(item => item.key === req.params.key);
+  if (!achievement) return null;
+
+  return {
+    type: 'achievement',
+    id: achievement.key,
+    owner,
+    name: 'your achievement',
+    title: achievement.title,
+    link: '/achievements'
+  };
+};
+
+// ...and on streaks, where the user shares them
+const loadStreakTarget = async (req) => {
+  const owner = await loadOwner(req);
+  if (!owner || !canSeeStreaks(req.user, owner)) return null;
+
+  return {
+    type: 'streak',
+    id: 'streak',
+    owner,
+    name: 'your streak',
+    title: `${owner.streak.current}-day streak`,
+    link: '/profile'
+  };
+};
+
+addInteractionRoutes(router, '/:id/achievements/:key', loadAchievementTarget, 'Achievement not found');
+addInteractionRoutes(router, '/:id/streak', loadStreakTarget, 'User not found');
+
 module.exports = router;
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const path = require('path');
+
+// Load environment variables
+dotenv.config({ path: path.join(__dirname, '..', 'config.env') });
+
+const { recalculateAllHabits } = require('../services/habitStats');
+
+// Rebuild Habit.stats for every user from their HabitEntry history.
+// Usage: npm run recalculate-stats
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/mindtracker');
+
+  const { users, habits } = await recalculateAllHabits();
+  console.log(`Recalculated stats for ${habits} habits across ${users} users`);
+};
+
+run()
+  .catch(err => {
+    console.error('Recalculate stats failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
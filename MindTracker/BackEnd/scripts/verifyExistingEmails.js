@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const path = require('path');
+
+// Load environment variables
+dotenv.config({ path: path.join(__dirname, '..', 'config.env') });
+
+const User = require('../models/User');
+
+// Mark accounts created before email verification existed as verified, so the
+// UNVERIFIED_RESTRICTIONS don't lock them out. Safe to run more than once.
+// Usage: npm run verify-existing-emails
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/mindtracker');
+
+  const result = await User.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true } }
+  );
+  console.log(`Marked ${result.modifiedCount} existing accounts as verified`);
+};
+
+run()
+  .catch(err => {
+    console.error('Verify existing emails failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -7,10 +7,17 @@ const path = require('path');
 // Load environment variables
 dotenv.config({ path: './config.env' });
 
+const { startReminderScheduler } = require('./services/reminderScheduler');
+
 const app = express();
 
 // Middleware
-app.use(cors());
+// The web app sends credentials (the refresh token cookie) with sign-in
+// requests, which browsers only allow from a named origin
+app.use(cors({
+  origin: process.env.CLIENT_URL || 'http://localhost:3000',
+  credentials: true
+}));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -20,6 +27,9 @@ app.use('/api/habits', require('./routes/habits'));
 app.use('/api/moods', require('./routes/moods'));
 app.use('/api/goals', require('./routes/goals'));
 app.use('/api/users', require('./routes/users'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/feed', require('./routes/feed'));
+app.use('/api/challenges', require('./routes/challenges'));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -32,7 +42,10 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/mindtrack
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('MongoDB connected successfully'))
+.then(() => {
+  console.log('MongoDB connected successfully');
+  startReminderScheduler();
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 const PORT = process.env.PORT || 5000;
@@ -0,0 +1,43 @@
+const { sendMail } = require('./mailer');
+
+// Link to a page of the web app
+const appUrl = (path) => `${(process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '')}${path}`;
+
+const sendVerificationEmail = (user, token, expiresInHours) => {
+  const link = appUrl(`/verify-email?token=${token}`);
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your MindTracker email address',
+    text: `Hi ${user.name},\n\nPlease confirm that this is your email address by opening this link:\n\n${link}\n\nThe link expires in ${expiresInHours} hours. If you didn't create a MindTracker account, you can ignore this email.`
+  });
+};
+
+const sendPasswordResetEmail = (user, token, expiresInMinutes) => {
+  const link = appUrl(`/reset-password?token=${token}`);
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your MindTracker password',
+    text: `Hi ${user.name},\n\nWe received a request to reset your password. Open this link to choose a new one:\n\n${link}\n\nThe link expires in ${expiresInMinutes} minutes and can be used once. If you didn't ask for this, you can ignore this email.`
+  });
+};
+
+const sendPasswordChangedEmail = (user) => sendMail({
+  to: user.email,
+  subject: 'Your MindTracker password was changed',
+  text: `Hi ${user.name},\n\nThe password for your account was just changed. If this wasn't you, reset your password right away:\n\n${appUrl('/forgot-password')}`
+});
+
+// Sent to the old address, which no longer receives reset links
+const sendEmailChangedEmail = (user, oldEmail) => sendMail({
+  to: oldEmail,
+  subject: 'Your MindTracker email address was changed',
+  text: `Hi ${user.name},\n\nThe email address for your account was just changed to ${user.email}. If this wasn't you, reply to this email right away so we can secure your account.`
+});
+
+module.exports = {
+  appUrl,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail,
+  sendEmailChangedEmail
+};
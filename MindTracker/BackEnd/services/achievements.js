@@ -0,0 +1,138 @@
+const User = require('../models/User');
+const Habit = require('../models/Habit');
+const Goal = require('../models/Goal');
+const Mood = require('../models/Mood');
+const { getStreakUnit } = require('../utils/habitSchedule');
+const { notify } = require('./notifications');
+const { recordAchievementEarned } = require('./activity');
+
+// Every achievement that can be earned. Each is earned once, when its metric
+// reaches target; keys are stored on the user and must never change.
+const ACHIEVEMENTS = [
+  { key: 'first_habit', type: 'habit', metric: 'habits', target: 1, unit: 'habits', icon: '🌱', title: 'First Step', description: 'Create your first habit' },
+  { key: 'streak_7', type: 'streak', metric: 'streak', target: 7, unit: 'days', icon: '🔥', title: 'Week Warrior', description: 'Reach a 7-day streak' },
+  { key: 'streak_30', type: 'streak', metric: 'streak', target: 30, unit: 'days', icon: '⚡', title: 'Monthly Master', description: 'Reach a 30-day streak' },
+  { key: 'streak_100', type: 'streak', metric: 'streak', target: 100, unit: 'days', icon: '💯', title: 'Century Club', description: 'Reach a 100-day streak' },
+  { key: 'goal_completed', type: 'goal', metric: 'goals', target: 1, unit: 'goals', icon: '🎯', title: 'Goal Getter', description: 'Complete a goal' },
+  { key: 'friends_10', type: 'social', metric: 'friends', target: 10, unit: 'friends', icon: '🤝', title: 'Social Butterfly', description: 'Make 10 friends' },
+  { key: 'moods_30', type: 'mood', metric: 'moods', target: 30, unit: 'moods', icon: '📔', title: 'Mood Journaler', description: 'Log your mood 30 times' }
+];
+
+// Rarity labels by the share of users who have earned an achievement, rarest first
+const RARITIES = [
+  { label: 'legendary', maxPercent: 5 },
+  { label: 'epic', maxPercent: 15 },
+  { label: 'rare', maxPercent: 35 },
+  { label: 'common', maxPercent: 100 }
+];
+
+// Current value of each metric for a user
+const METRICS = {
+  habits: (user) => Habit.countDocuments({ user: user._id }),
+  // Longest run of days, either of overall activity or of a single daily habit
+  streak: async (user) => {
+    const habits = await Habit.find({ user: user._id }).select('kind frequency customFrequency stats.longestStreak');
+    return habits
+      .filter(habit => getStreakUnit(habit) === 'day')
+      .reduce((best, habit) => Math.max(best, habit.stats.longestStreak), user.streak.longest);
+  },
+  goals: (user) => Goal.countDocuments({ user: user._id, status: 'completed' }),
+  friends: (user) => user.friends.length,
+  moods: (user) => Mood.countDocuments({ user: user._id })
+};
+
+const getMetricValues = async (user, metrics) => {
+  const values = await Promise.all(metrics.map(metric => METRICS[metric](user)));
+  return metrics.reduce((result, metric, index) => ({ ...result, [metric]: values[index] }), {});
+};
+
+const toEarned = (definition) => ({
+  key: definition.key,
+  type: definition.type,
+  title: definition.title,
+  description: definition.description,
+  earnedAt: new Date()
+});
+
+// Award any achievements whose metric (all, or only the given ones) has
+// reached its target. Safe to call repeatedly: an achievement is only ever
+// pushed once. The user document passed in is not modified, so it can still be
+// saved afterwards. Returns the newly earned achievements.
+const awardAchievements = async (user, metrics = Object.keys(METRICS)) => {
+  try {
+    const earnedKeys = new Set(user.achievements.map(achievement => achievement.key));
+    const pending = ACHIEVEMENTS.filter(definition => (
+      metrics.includes(definition.metric) && !earnedKeys.has(definition.key)
+    ));
+    if (pending.length === 0) return [];
+
+    const values = await getMetricValues(user, [...new Set(pending.map(definition => definition.metric))]);
+    const awarded = [];
+
+    for (const definition of pending.filter(item => values[item.metric] >= item.target)) {
+      const achievement = toEarned(definition);
+      const result = await User.updateOne(
+        { _id: user._id, 'achievements.key': { $ne: definition.key } },
+        { $push: { achievements: achievement } }
+      );
+      if (result.modifiedCount === 0) continue;
+
+      awarded.push(achievement);
+      await notify(user._id, {
+        type: 'achievement',
+        title: `Achievement unlocked: ${definition.title}`,
+        message: definition.description,
+        link: '/achievements'
+      });
+      await recordAchievementEarned(user._id, achievement, definition.icon);
+    }
+
+    return awarded;
+  } catch (error) {
+    console.error(`Achievements error for user ${user._id}:`, error);
+    return [];
+  }
+};
+
+// Share of all users who have earned each achievement, by key
+const getAchievementRarity = async () => {
+  const [totalUsers, counts] = await Promise.all([
+    User.estimatedDocumentCount(),
+    User.aggregate([
+      { $unwind: '$achievements' },
+      { $match: { 'achievements.key': { $in: ACHIEVEMENTS.map(definition => definition.key) } } },
+      { $group: { _id: '$achievements.key', count: { $sum: 1 } } }
+    ])
+  ]);
+  const earnedBy = new Map(counts.map(item => [item._id, item.count]));
+
+  return new Map(ACHIEVEMENTS.map(({ key }) => {
+    const percent = totalUsers > 0 ? Math.round(((earnedBy.get(key) || 0) / totalUsers) * 1000) / 10 : 0;
+    const { label } = RARITIES.find(rarity => percent <= rarity.maxPercent);
+    return [key, { percent, label }];
+  }));
+};
+
+// The catalog as seen by a user: which achievements they have earned and how
+// rare each is, plus their progress towards each one when withProgress is set
+const getAchievementCatalog = async (user, { withProgress = true } = {}) => {
+  const [values, rarity] = await Promise.all([
+    withProgress ? getMetricValues(user, Object.keys(METRICS)) : null,
+    getAchievementRarity()
+  ]);
+  const earned = new Map(user.achievements.map(achievement => [achievement.key, achievement]));
+
+  return ACHIEVEMENTS.map(({ metric, ...definition }) => ({
+    ...definition,
+    earned: earned.has(definition.key),
+    earnedAt: earned.has(definition.key) ? earned.get(definition.key).earnedAt : null,
+    ...(withProgress && { progress: Math.min(values[metric], definition.target) }),
+    rarity: rarity.get(definition.key)
+  }));
+};
+
+module.exports = {
+  ACHIEVEMENTS,
+  awardAchievements,
+  getAchievementCatalog
+};
@@ -0,0 +1,94 @@
+const Activity = require('../models/Activity');
+const { getStreakUnit } = require('../utils/habitSchedule');
+
+// Streak lengths worth telling friends about
+const STREAK_MILESTONES = [7, 30, 100, 365];
+
+// Record a feed event once per key. Like notifications, activity is a side
+// effect of other actions, so failures are logged rather than thrown.
+const recordActivity = async (userId, { key, ...data }) => {
+  try {
+    await Activity.updateOne(
+      { key },
+      { $setOnInsert: { user: userId, key, ...data } },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error(`Activity error for user ${userId}:`, error.message);
+  }
+};
+
+// Remove the feed events that came from a habit entry
+const removeEntryActivity = (entry) => Activity.deleteMany({ entry: entry._id });
+
+// Keep a public habit's feed events in line with one of its entries: the
+// completion and any streak milestone it reached are shown while the entry
+// stays completed. Only check-ins made on the day itself are shared.
+// previousStreak is the habit's current streak before the entry changed.
+const recordHabitProgress = async (habit, entry, previousStreak) => {
+  if (!habit.isPublic) return;
+
+  if (!entry.completed) {
+    await removeEntryActivity(entry);
+    return;
+  }
+  if (!entry.completedAt) return;
+
+  await recordActivity(habit.user, {
+    key: `habit_completed:${entry._id}`,
+    type: 'habit_completed',
+    title: habit.name,
+    icon: habit.icon,
+    habit: habit._id,
+    entry: entry._id
+  });
+
+  const streak = habit.stats.currentStreak;
+  const milestone = STREAK_MILESTONES.filter(value => previousStreak < value && streak >= value).pop();
+  if (milestone) {
+    await recordActivity(habit.user, {
+      key: `streak_milestone:${entry._id}:${milestone}`,
+      type: 'streak_milestone',
+      title: habit.name,
+      icon: habit.icon,
+      value: milestone,
+      unit: getStreakUnit(habit),
+      habit: habit._id,
+      entry: entry._id
+    });
+  }
+};
+
+const recordGoalCompleted = async (goal) => {
+  if (!goal.isPublic || goal.status !== 'completed') return;
+
+  await recordActivity(goal.user, {
+    key: `goal_completed:${goal._id}`,
+    type: 'goal_completed',
+    title: goal.title,
+    icon: goal.icon,
+    goal: goal._id
+  });
+};
+
+const recordAchievementEarned = (userId, achievement, icon) => recordActivity(userId, {
+  key: `achievement_earned:${userId}:${achievement.key}`,
+  type: 'achievement_earned',
+  title: achievement.title,
+  icon,
+  achievement: achievement.key
+});
+
+// Remove the feed events of a habit, e.g. when it is deleted or made private
+const removeHabitActivity = (habitId) => Activity.deleteMany({ habit: habitId });
+
+const removeGoalActivity = (goalId) => Activity.deleteMany({ goal: goalId });
+
+module.exports = {
+  recordHabitProgress,
+  recordGoalCompleted,
+  recordAchievementEarned,
+  removeEntryActivity,
+  removeHabitActivity,
+  removeGoalActivity
+};
@@ -0,0 +1,142 @@
+const Challenge = require('../models/Challenge');
+const Habit = require('../models/Habit');
+const HabitEntry = require('../models/HabitEntry');
+const { notify } = require('./notifications');
+
+const getChallengeStatus = (challenge, date = new Date()) => {
+  if (challenge.finishedAt || challenge.endDate < date) return 'finished';
+  return challenge.startDate > date ? 'upcoming' : 'active';
+};
+
+const sameId = (a, b) => (a._id || a).toString() === (b._id || b).toString();
+
+const getParticipant = (challenge, userId) => challenge.participants.find(item => sameId(item.user, userId));
+
+// Whether a habit can be used for a challenge: an active build habit in the
+// rule's category and unit
+const matchesRule = (challenge, habit) => (
+  habit.kind === 'build' &&
+  habit.isActive &&
+  (!challenge.rule.category || habit.category === challenge.rule.category) &&
+  (!challenge.rule.unit || habit.unit.toLowerCase() === challenge.rule.unit.toLowerCase())
+);
+
+// The habit a participant takes part with: one of their own habits matching
+// the rule, or a new one made from the challenge when habitId is not given.
+// Returns null when habitId is not a matching habit of theirs.
+const resolveParticipantHabit = async (challenge, userId, habitId) => {
+  if (habitId) {
+    const habit = await Habit.findOne({ _id: habitId, user: userId });
+    return habit && matchesRule(challenge, habit) ? habit : null;
+  }
+
+  return Habit.create({
+    user: userId,
+    name: challenge.title,
+    description: `Part of the challenge "${challenge.title}"`,
+    category: challenge.rule.category || 'other',
+    unit: challenge.rule.unit || 'times',
+    target: challenge.dailyTarget,
+    icon: challenge.icon
+  });
+};
+
+// Scores of everyone who joined, best first. Participants with equal scores
+// share a rank; with a target, reachedTarget tells who got there.
+const getStandings = async (challenge) => {
+  const joined = challenge.participants.filter(item => item.status === 'joined' && item.user && item.habit);
+  const scores = await HabitEntry.aggregate([
+    {
+      $match: {
+        habit: { $in: joined.map(item => item.habit) },
+        date: { $gte: challenge.startDate, $lte: challenge.endDate }
+      }
+    },
+    {
+      $group: {
+        _id: '$habit',
+        days: { $sum: { $cond: ['$completed', 1, 0] } },
+        total: { $sum: '$value' }
+      }
+    }
+  ]);
+  const scoreByHabit = new Map(scores.map(item => [item._id.toString(), item[challenge.metric]]));
+
+  const standings = joined
+    .map(item => {
+      const score = scoreByHabit.get(item.habit.toString()) || 0;
+      return {
+        user: item.user,
+        habit: item.habit,
+        score,
+        reachedTarget: challenge.target ? score >= challenge.target : undefined
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  return standings.map(item => ({
+    ...item,
+    rank: standings.findIndex(other => other.score === item.score) + 1
+  }));
+};
+
+// With a target everyone who reached it wins; otherwise the highest score
+// does, as long as it is above zero
+const getWinners = (challenge, standings) => {
+  if (challenge.target) {
+    return standings.filter(item => item.reachedTarget);
+  }
+  const best = standings.length > 0 ? standings[0].score : 0;
+  return best > 0 ? standings.filter(item => item.score === best) : [];
+};
+
+const describeScore = (challenge, score) => (
+  challenge.metric === 'days' ? `${score} ${score === 1 ? 'day' : 'days'}` : `${score} ${challenge.rule.unit || ''}`.trim()
+);
+
+// Close challenges that have ended: record the winners and tell everyone who
+// took part. Returns the number of challenges finished.
+const runChallengeCheck = async (date = new Date()) => {
+  const challenges = await Challenge.find({
+    endDate: { $lt: date },
+    finishedAt: { $exists: false }
+  }).populate('participants.user', 'name');
+
+  for (const challenge of challenges) {
+    const standings = await getStandings(challenge);
+    const winners = getWinners(challenge, standings);
+
+    challenge.winners = winners.map(item => item.user._id);
+    challenge.finishedAt = date;
+    await challenge.save();
+
+    const names = winners.map(item => item.user.name).join(', ');
+    let message = 'Nobody won this time.';
+    if (winners.length > 0) {
+      message = challenge.target
+        ? `${names} reached ${describeScore(challenge, challenge.target)}.`
+        : `Won by ${names} with ${describeScore(challenge, winners[0].score)}.`;
+    }
+
+    for (const item of standings) {
+      const won = winners.some(winner => sameId(winner.user, item.user));
+      await notify(item.user._id, {
+        type: 'challenge',
+        title: won ? `You won ${challenge.title}!` : `${challenge.title} has ended`,
+        message,
+        link: `/challenges/${challenge._id}`
+      });
+    }
+  }
+
+  return challenges.length;
+};
+
+module.exports = {
+  getChallengeStatus,
+  getParticipant,
+  matchesRule,
+  resolveParticipantHabit,
+  getStandings,
+  runChallengeCheck
+};
@@ -0,0 +1,38 @@
+const moment = require('moment-timezone');
+const Goal = require('../models/Goal');
+const { notify } = require('./notifications');
+
+// How far ahead of an active goal's deadline its owner is warned
+const NOTICE_DAYS = 3;
+
+// Warn owners of active goals whose deadline is close, once per deadline;
+// returns the number of notifications created
+const runGoalDeadlineCheck = async (date = new Date()) => {
+  const goals = await Goal.find({
+    status: 'active',
+    deadline: { $gte: date, $lte: moment(date).add(NOTICE_DAYS, 'days').toDate() },
+    deadlineNotifiedAt: { $exists: false }
+  });
+
+  for (const goal of goals) {
+    const days = Math.max(1, Math.ceil(moment(goal.deadline).diff(date, 'days', true)));
+
+    await notify(goal.user, {
+      type: 'goal',
+      title: `${goal.title} is due ${days === 1 ? 'within a day' : `in ${days} days`}`,
+      message: goal.targetValue
+        ? `You're at ${goal.currentValue} of ${goal.targetValue} ${goal.unit}.`
+        : undefined,
+      link: '/goals'
+    });
+
+    goal.deadlineNotifiedAt = date;
+    await goal.save();
+  }
+
+  return goals.length;
+};
+
+module.exports = {
+  runGoalDeadlineCheck
+};
@@ -0,0 +1,193 @@
+const moment = require('moment-timezone');
+const HabitEntry = require('../models/HabitEntry');
+const { WEEKDAYS, isQuitHabit, getScheduleType, getWeeklyTarget, getDayStatuses } = require('../utils/habitSchedule');
+const { getUserTimezone, startOfUserDay, getPeriodStart } = require('../utils/timezone');
+
+const MOOD_SCORES = { terrible: 1, poor: 2, okay: 3, good: 4, excellent: 5 };
+const DIFFICULTY_SCORES = { very_easy: 1, easy: 2, moderate: 3, hard: 4, very_hard: 5 };
+
+const toSummary = (hits, owed) => ({
+  hits,
+  owed,
+  rate: owed > 0 ? Math.round((hits / owed) * 100) : null
+});
+
+const countStatus = (days, status) => days.filter(day => day.status === status).length;
+
+// Completions against what was owed over a list of day statuses (see
+// getDayStatuses). Weekly habits owe their quota per ISO week; the current week
+// only counts what has been done so far unless its quota is already met.
+const summarizeDays = (habit, days, todayKey) => {
+  if (isQuitHabit(habit)) {
+    const clean = countStatus(days, 'clean');
+    return toSummary(clean, clean + countStatus(days, 'relapsed'));
+  }
+
+  if (getScheduleType(habit) !== 'weekly') {
+    const completed = countStatus(days, 'completed');
+    return toSummary(completed, completed + countStatus(days, 'missed'));
+  }
+
+  const target = getWeeklyTarget(habit);
+  const weeks = new Map();
+  days.forEach(day => {
+    const key = moment(day.date).startOf('isoWeek').format('YYYY-MM-DD');
+    const week = weeks.get(key) || { completed: 0, available: 0, current: false };
+    if (day.status === 'completed') week.completed++;
+    if (day.status === 'completed' || day.status === 'rest') week.available++;
+    if (day.date === todayKey) week.current = true;
+    weeks.set(key, week);
+  });
+
+  let hits = 0;
+  let owed = 0;
+  weeks.forEach(week => {
+    const weekTarget = Math.min(target, week.available);
+    if (week.current && week.completed < weekTarget) {
+      hits += week.completed;
+      owed += week.completed;
+    } else {
+      hits += Math.min(week.completed, weekTarget);
+      owed += weekTarget;
+    }
+  });
+  return toSummary(hits, owed);
+};
+
+// Per-day view used for weekday comparisons: how often the habit was done on
+// the days it could have been
+const summarizeWeekday = (habit, days) => {
+  if (isQuitHabit(habit)) {
+    const clean = countStatus(days, 'clean');
+    return toSummary(clean, clean + countStatus(days, 'relapsed'));
+  }
+
+  const completed = countStatus(days, 'completed');
+  const open = getScheduleType(habit) === 'weekly' ? countStatus(days, 'rest') : countStatus(days, 'missed');
+  return toSummary(completed, completed + open);
+};
+
+const groupDays = (days, getKey) => days.reduce((groups, day) => {
+  const key = getKey(day);
+  if (!groups.has(key)) groups.set(key, []);
+  groups.get(key).push(day);
+  return groups;
+}, new Map());
+
+const average = (values) => (
+  values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null
+);
+
+// Average of an enum field, reported as a 1-5 score and the closest value
+const averageScore = (entries, field, scores) => {
+  const score = average(entries.filter(entry => scores[entry[field]]).map(entry => scores[entry[field]]));
+  if (score === null) return null;
+
+  const label = Object.keys(scores).find(key => scores[key] === Math.round(score));
+  return { score: Math.round(score * 10) / 10, label };
+};
+
+// Mean local time of day at which entries were completed, e.g. '07:45'
+const averageCompletionTime = (entries, timezone) => {
+  const minutes = average(entries
+    .filter(entry => entry.completedAt)
+    .map(entry => {
+      const time = moment.tz(entry.completedAt, timezone);
+      return time.hours() * 60 + time.minutes();
+    }));
+  if (minutes === null) return null;
+
+  return moment.utc(0).add(Math.round(minutes), 'minutes').format('HH:mm');
+};
+
+// Completion rate over [start, today] for a set of habits, counting only
+// what each habit actually owed
+const getCompletionSummary = async (habits, user, start) => {
+  const timezone = getUserTimezone(user);
+  const today = startOfUserDay(user);
+  const todayKey = today.format('YYYY-MM-DD');
+  const entries = await HabitEntry.find({
+    habit: { $in: habits.map(habit => habit._id) },
+    date: { $gte: start.toDate(), $lte: today.clone().endOf('day').toDate() }
+  });
+
+  let hits = 0;
+  let owed = 0;
+  habits.forEach(habit => {
+    const habitEntries = entries.filter(entry => entry.habit.toString() === habit._id.toString());
+    const days = getDayStatuses(habit, habitEntries, { timezone, vacations: user.vacations, from: start, to: today });
+    const summary = summarizeDays(habit, days, todayKey);
+    hits += summary.hits;
+    owed += summary.owed;
+  });
+
+  return toSummary(hits, owed);
+};
+
+// Analytics for one habit over the last year, plus the chosen period
+// (week|month|year) compared with the one before it
+const getHabitAnalytics = async (habit, user, period) => {
+  const timezone = getUserTimezone(user);
+  const today = startOfUserDay(user);
+  const todayKey = today.format('YYYY-MM-DD');
+
+  const periodStart = getPeriodStart(user, period);
+  const periodLength = today.diff(periodStart, 'days') + 1;
+  const previousStart = periodStart.clone().subtract(periodLength, 'days');
+  const yearStart = today.clone().subtract(1, 'year').add(1, 'day');
+  const from = moment.min(previousStart, yearStart);
+
+  const entries = await HabitEntry.find({
+    habit: habit._id,
+    user: user._id,
+    date: { $gte: from.toDate(), $lte: today.clone().endOf('day').toDate() }
+  });
+  const days = getDayStatuses(habit, entries, { timezone, vacations: user.vacations, from, to: today });
+
+  const periodKey = periodStart.format('YYYY-MM-DD');
+  const previousKey = previousStart.format('YYYY-MM-DD');
+  const current = summarizeDays(habit, days.filter(day => day.date >= periodKey), todayKey);
+  const previous = summarizeDays(habit, days.filter(day => day.date >= previousKey && day.date < periodKey), todayKey);
+  const change = current.rate !== null && previous.rate !== null ? current.rate - previous.rate : null;
+
+  const yearKey = yearStart.format('YYYY-MM-DD');
+  const lastYear = days.filter(day => day.date >= yearKey);
+
+  const weeksStart = today.clone().startOf('isoWeek').subtract(11, 'weeks').format('YYYY-MM-DD');
+  const byWeek = groupDays(lastYear.filter(day => day.date >= weeksStart), day => (
+    moment(day.date).startOf('isoWeek').format('YYYY-MM-DD')
+  ));
+  const byMonth = groupDays(lastYear, day => day.date.slice(0, 7));
+  const byWeekday = groupDays(lastYear, day => WEEKDAYS[moment(day.date).day()]);
+
+  const weekdays = WEEKDAYS.map(day => ({ day, ...summarizeWeekday(habit, byWeekday.get(day) || []) }));
+  const bestWeekday = weekdays
+    .filter(day => day.rate !== null)
+    .reduce((best, day) => (!best || day.rate > best.rate ? day : best), null);
+
+  // Mood and difficulty of the days that mattered: check-ins, or relapses for quit habits
+  const yearEntries = entries.filter(entry => moment(entry.date).isSameOrAfter(yearStart));
+  const ratedEntries = yearEntries.filter(entry => (isQuitHabit(habit) ? entry.relapsed : entry.completed));
+
+  return {
+    period: { name: period, startDate: periodKey, endDate: todayKey },
+    current,
+    previous,
+    trend: {
+      change,
+      direction: change === null || change === 0 ? 'flat' : change > 0 ? 'up' : 'down'
+    },
+    weekly: Array.from(byWeek, ([week, weekDays]) => ({ week, ...summarizeDays(habit, weekDays, todayKey) })),
+    monthly: Array.from(byMonth, ([month, monthDays]) => ({ month, ...summarizeDays(habit, monthDays, todayKey) })),
+    weekdays,
+    bestWeekday: bestWeekday ? bestWeekday.day : null,
+    averageCompletionTime: averageCompletionTime(yearEntries, timezone),
+    averageDifficulty: averageScore(ratedEntries, 'difficulty', DIFFICULTY_SCORES),
+    averageMood: averageScore(ratedEntries, 'mood', MOOD_SCORES)
+  };
+};
+
+module.exports = {
+  getCompletionSummary,
+  getHabitAnalytics
+};
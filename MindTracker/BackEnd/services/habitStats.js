@@ -0,0 +1,70 @@
+const Habit = require('../models/Habit');
+const HabitEntry = require('../models/HabitEntry');
+const User = require('../models/User');
+const { isQuitHabit, computeStreakStats } = require('../utils/habitSchedule');
+const { getUserTimezone } = require('../utils/timezone');
+
+// Rebuild a habit's stats from its full entry history and save the habit.
+// user supplies the timezone and vacations the streaks are measured against.
+const recalculateHabitStats = async (habit, user) => {
+  const entries = await HabitEntry.find({
+    habit: habit._id,
+    $or: [{ completed: true }, { relapsed: true }, { skipped: true }]
+  })
+    .select('date completed relapsed skipped skipType')
+    .sort({ date: -1 });
+  const completions = entries.filter(entry => entry.completed);
+  const relapses = entries.filter(entry => entry.relapsed);
+
+  const { currentStreak, longestStreak, completionRate } = computeStreakStats(habit, entries, {
+    timezone: getUserTimezone(user),
+    vacations: user.vacations
+  });
+
+  habit.stats.totalCompletions = completions.length;
+  habit.stats.lastCompleted = completions.length > 0 ? completions[0].date : undefined;
+  habit.stats.totalRelapses = isQuitHabit(habit) ? relapses.length : 0;
+  habit.stats.lastRelapse = isQuitHabit(habit) && relapses.length > 0 ? relapses[0].date : undefined;
+  habit.stats.currentStreak = currentStreak;
+  habit.stats.longestStreak = longestStreak;
+  habit.stats.completionRate = completionRate;
+
+  await habit.save();
+  return habit;
+};
+
+// Recalculate every habit belonging to a user; returns the number of habits updated
+const recalculateUserHabits = async (user) => {
+  const habits = await Habit.find({ user: user._id });
+
+  for (const habit of habits) {
+    await recalculateHabitStats(habit, user);
+  }
+
+  return habits.length;
+};
+
+// Maintenance job: repair the stats of all users' habits. Also refreshes
+// streaks that have lapsed since the last check-in.
+const recalculateAllHabits = async () => {
+  let users = 0;
+  let habits = 0;
+
+  const cursor = User.find().select('preferences vacations').cursor();
+  for (let user = await cursor.next(); user; user = await cursor.next()) {
+    try {
+      habits += await recalculateUserHabits(user);
+      users++;
+    } catch (error) {
+      console.error(`Recalculate stats error for user ${user._id}:`, error);
+    }
+  }
+
+  return { users, habits };
+};
+
+module.exports = {
+  recalculateHabitStats,
+  recalculateUserHabits,
+  recalculateAllHabits
+};
@@ -0,0 +1,122 @@
+const Reaction = require('../models/Reaction');
+const Comment = require('../models/Comment');
+const { REACTION_TYPES } = require('../models/Reaction');
+const { includesId, canViewProfile } = require('../utils/privacy');
+const { notify } = require('./notifications');
+
+// Reactions and comments on what users share. A target describes the item:
+// { type, id, owner, name, title, link } where type is 'goal', 'achievement'
+// or 'streak', id identifies it for its owner, owner is the User document
+// (with friends, blockedUsers and privacy loaded), name describes it to the
+// owner (e.g. 'your goal'), title is the item's own title and link is where
+// the owner finds it.
+
+const targetQuery = ({ type, id, owner }) => ({ owner: owner._id, targetType: type, target: id });
+
+const targetKey = (type, ownerId, id) => `${type}:${ownerId}:${id}`;
+
+// Only the owner and friends who can see their profile take part
+const canInteract = (viewer, owner) => (
+  viewer._id.toString() === owner._id.toString() ||
+  (includesId(owner.friends, viewer._id) && canViewProfile(viewer, owner))
+);
+
+// Reaction counts, whether the viewer has given each one, and the number of
+// comments, for several targets at once. Keyed by targetKey.
+const getInteractionSummaries = async (targets, viewer) => {
+  if (targets.length === 0) return new Map();
+
+  const query = { $or: targets.map(targetQuery) };
+  const [reactions, comments] = await Promise.all([
+    Reaction.find(query).select('user owner targetType target type'),
+    Comment.aggregate([
+      { $match: query },
+      { $group: { _id: { owner: '$owner', targetType: '$targetType', target: '$target' }, count: { $sum: 1 } } }
+    ])
+  ]);
+  const commentCounts = new Map(comments.map(({ _id, count }) => [targetKey(_id.targetType, _id.owner, _id.target), count]));
+
+  return new Map(targets.map(({ type, id, owner }) => {
+    const key = targetKey(type, owner._id, id);
+    const ofTarget = reactions.filter(reaction => targetKey(reaction.targetType, reaction.owner, reaction.target) === key);
+    return [key, {
+      reactions: REACTION_TYPES.map(reactionType => {
+        const given = ofTarget.filter(reaction => reaction.type === reactionType);
+        return {
+          type: reactionType,
+          count: given.length,
+          reacted: given.some(reaction => reaction.user.toString() === viewer._id.toString())
+        };
+      }),
+      commentCount: commentCounts.get(key) || 0
+    }];
+  }));
+};
+
+const getInteractionSummary = async (target, viewer) => {
+  const summaries = await getInteractionSummaries([target], viewer);
+  return summaries.get(targetKey(target.type, target.owner._id, target.id));
+};
+
+const notifyOwner = (target, viewer, data) => {
+  if (viewer._id.toString() === target.owner._id.toString()) return null;
+  return notify(target.owner._id, { type: 'social', link: target.link, ...data });
+};
+
+// Give the reaction, or take it back if the viewer had already given it
+const toggleReaction = async (target, viewer, type) => {
+  const removed = await Reaction.findOneAndDelete({ ...targetQuery(target), user: viewer._id, type });
+  if (!removed) {
+    try {
+      await Reaction.create({ ...targetQuery(target), user: viewer._id, type });
+      await notifyOwner(target, viewer, {
+        title: `${viewer.name} reacted to ${target.name}`,
+        message: target.title
+      });
+    } catch (error) {
+      // A duplicate means the same reaction was just given in another request
+      if (error.code !== 11000) throw error;
+    }
+  }
+  return getInteractionSummary(target, viewer);
+};
+
+const getComments = (target) => Comment.find(targetQuery(target))
+  .populate('user', 'name avatar')
+  .sort({ createdAt: 1 });
+
+const addComment = async (target, viewer, text) => {
+  const comment = await Comment.create({ ...targetQuery(target), user: viewer._id, text });
+  await notifyOwner(target, viewer, {
+    title: `${viewer.name} commented on ${target.name}`,
+    message: text
+  });
+  return comment.populate('user', 'name avatar');
+};
+
+// Comments can be removed by whoever wrote them and by the owner of the item
+// The author and the item's owner can always delete a comment, even once they
+// are no longer friends or the item is no longer shared
+const canDeleteComment = (comment, viewer) => (
+  comment.user.toString() === viewer._id.toString() ||
+  comment.owner.toString() === viewer._id.toString()
+);
+
+// Drop everything left on an item that no longer exists
+const removeInteractions = (target) => Promise.all([
+  Reaction.deleteMany(targetQuery(target)),
+  Comment.deleteMany(targetQuery(target))
+]);
+
+module.exports = {
+  REACTION_TYPES,
+  targetKey,
+  canInteract,
+  getInteractionSummaries,
+  getInteractionSummary,
+  toggleReaction,
+  getComments,
+  addComment,
+  canDeleteComment,
+  removeInteractions
+};
@@ -0,0 +1,216 @@
+const User = require('../models/User');
+const Habit = require('../models/Habit');
+const HabitEntry = require('../models/HabitEntry');
+const Goal = require('../models/Goal');
+const { userNow } = require('../utils/timezone');
+
+const LEADERBOARD_METRICS = ['streak', 'completions', 'completion_rate', 'perfect_habits', 'goals', 'achievements'];
+const LEADERBOARD_PERIODS = ['week', 'month', 'all'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Start of the current week or month in the viewer's timezone; null for all time
+const getPeriodStart = (user, period) => {
+  if (period === 'all') return null;
+  return userNow(user).startOf(period === 'week' ? 'isoWeek' : 'month').toDate();
+};
+
+// How many check-ins a habit owes over `days` days: every day for daily
+// habits, otherwise its weekly quota (listed days or times per week) pro rata,
+// following the schedule types in utils/habitSchedule.
+// Pauses and vacations are not taken off.
+const owedExpression = (days) => ({
+  $switch: {
+    branches: [
+      { case: { $eq: ['$frequency', 'daily'] }, then: days },
+      {
+        case: {
+          $and: [
+            { $eq: ['$frequency', 'custom'] },
+            { $gt: [{ $size: { $ifNull: ['$customFrequency.days', []] } }, 0] }
+          ]
+        },
+        then: { $ceil: { $divide: [{ $multiply: [days, { $size: '$customFrequency.days' }] }, 7] } }
+      }
+    ],
+    default: { $ceil: { $divide: [{ $multiply: [days, { $ifNull: ['$customFrequency.timesPerWeek', 1] }] }, 7] } }
+  }
+});
+
+// Days before today a habit owed check-ins for: from its creation day, or
+// whole days from the period start (rounded, as days around DST are not 24 hours)
+const pastDaysExpression = (since, today) => {
+  const sinceCreation = { $ceil: { $divide: [{ $subtract: [today, '$createdAt'] }, DAY_MS] } };
+  if (!since) return sinceCreation;
+  return {
+    $cond: [
+      { $gt: ['$createdAt', since] },
+      sinceCreation,
+      { $round: [{ $divide: [{ $subtract: [today, since] }, DAY_MS] }, 0] }
+    ]
+  };
+};
+
+// Per user: completions of active build habits since the period start, and
+// those completions (capped per habit) against what the habits owed since the
+// later of the period start and their creation. Like the per-habit
+// completionRate, today is only owed once it has been completed.
+const habitStages = (since, today, now) => [
+  {
+    $lookup: {
+      from: Habit.collection.name,
+      let: { userId: '$_id' },
+      pipeline: [
+        {
+          $match: {
+            $expr: { $eq: ['$user', '$$userId'] },
+            kind: { $ne: 'quit' },
+            isActive: true
+          }
+        },
+        {
+          $lookup: {
+            from: HabitEntry.collection.name,
+            let: { habitId: '$_id' },
+            pipeline: [
+              {
+                $match: {
+                  $expr: { $eq: ['$habit', '$$habitId'] },
+                  completed: true,
+                  date: { $gte: since || new Date(0), $lte: now }
+                }
+              },
+              {
+                $group: {
+                  _id: null,
+                  count: { $sum: 1 },
+                  doneToday: { $max: { $cond: [{ $gte: ['$date', today] }, 1, 0] } }
+                }
+              }
+            ],
+            as: 'entries'
+          }
+        },
+        {
+          $addFields: {
+            completions: { $ifNull: [{ $arrayElemAt: ['$entries.count', 0] }, 0] },
+            doneToday: { $ifNull: [{ $arrayElemAt: ['$entries.doneToday', 0] }, 0] },
+            pastDays: pastDaysExpression(since, today)
+          }
+        },
+        { $addFields: { owed: owedExpression({ $add: ['$pastDays', '$doneToday'] }) } },
+        { $addFields: { hits: { $min: ['$completions', '$owed'] } } },
+        { $project: { completions: 1, owed: 1, hits: 1 } }
+      ],
+      as: 'habits'
+    }
+  },
+  {
+    $addFields: {
+      completions: { $sum: '$habits.completions' },
+      hits: { $sum: '$habits.hits' },
+      owed: { $sum: '$habits.owed' },
+      perfectHabits: {
+        $size: {
+          $filter: {
+            input: '$habits',
+            cond: { $and: [{ $gt: ['$$this.owed', 0] }, { $gte: ['$$this.hits', '$$this.owed'] }] }
+          }
+        }
+      }
+    }
+  }
+];
+
+// Aggregation stages that set `value` on each user document for a metric
+const valueStages = (metric, since, today, now) => {
+  switch (metric) {
+    case 'completions':
+      return [...habitStages(since, today, now), { $addFields: { value: '$completions' } }];
+    case 'completion_rate':
+      return [
+        ...habitStages(since, today, now),
+        {
+          $addFields: {
+            value: {
+              $cond: [{ $gt: ['$owed', 0] }, { $round: [{ $multiply: [{ $divide: ['$hits', '$owed'] }, 100] }, 0] }, 0]
+            }
+          }
+        }
+      ];
+    case 'perfect_habits':
+      return [...habitStages(since, today, now), { $addFields: { value: '$perfectHabits' } }];
+    case 'goals':
+      return [
+        {
+          $lookup: {
+            from: Goal.collection.name,
+            let: { userId: '$_id' },
+            pipeline: [
+              { $match: { $expr: { $eq: ['$user', '$$userId'] }, status: 'completed' } },
+              // Goals completed before completedAt was recorded fall back to their last update
+              ...(since ? [{ $match: { $expr: { $gte: [{ $ifNull: ['$completedAt', '$updatedAt'] }, since] } } }] : []),
+              { $count: 'count' }
+            ],
+            as: 'goals'
+          }
+        },
+        { $addFields: { value: { $ifNull: [{ $arrayElemAt: ['$goals.count', 0] }, 0] } } }
+      ];
+    case 'achievements':
+      return [{
+        $addFields: {
+          value: {
+            $size: {
+              $filter: {
+                input: { $ifNull: ['$achievements', []] },
+                cond: since ? { $gte: ['$$this.earnedAt', since] } : true
+              }
+            }
+          }
+        }
+      }];
+    default:
+      // Streaks are always the current one, whatever the period
+      return [{ $addFields: { value: { $ifNull: ['$streak.current', 0] } } }];
+  }
+};
+
+// Rank users by a metric over a period, best first; users with equal values
+// share a rank. The period is read in the viewer's timezone.
+const getLeaderboard = async (viewer, userIds, metric, period) => {
+  const now = new Date();
+  const since = getPeriodStart(viewer, period);
+  const today = userNow(viewer).startOf('day').toDate();
+
+  const results = await User.aggregate([
+    { $match: { _id: { $in: userIds } } },
+    ...valueStages(metric, since, today, now),
+    {
+      $project: {
+        name: 1,
+        avatar: 1,
+        value: 1,
+        ...(metric === 'completion_rate' && { hits: 1, owed: 1 })
+      }
+    },
+    { $sort: { value: -1, name: 1 } }
+  ]);
+
+  return results.map(result => ({
+    user: {
+      id: result._id,
+      name: result.name,
+      avatar: result.avatar
+    },
+    value: result.value,
+    ...(metric === 'completion_rate' && { hits: result.hits, owed: result.owed }),
+    rank: results.findIndex(other => other.value === result.value) + 1
+  }));
+};
+
+module.exports = {
+  LEADERBOARD_METRICS,
+  LEADERBOARD_PERIODS,
+  getLeaderboard
+};
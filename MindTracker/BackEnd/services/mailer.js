@@ -0,0 +1,30 @@
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+// Lazily created so the SMTP settings are read after config.env is loaded.
+// For local development point SMTP_HOST/SMTP_PORT at a sink such as MailHog
+// (localhost:1025) and leave EMAIL_USER empty to skip authentication.
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT, 10) || 1025,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.EMAIL_USER
+        ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
+        : undefined
+    });
+  }
+  return transporter;
+};
+
+// Send an email; options are passed through to nodemailer (to, subject, text, html)
+const sendMail = (options) => getTransporter().sendMail({
+  from: process.env.EMAIL_FROM || process.env.EMAIL_USER || 'MindTracker <no-reply@mindtracker.local>',
+  ...options
+});
+
+module.exports = {
+  sendMail
+};
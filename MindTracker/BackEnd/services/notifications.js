@@ -0,0 +1,16 @@
+const Notification = require('../models/Notification');
+
+// Create an in-app notification for a user. Notifications are a side effect of
+// other actions, so failures are logged rather than thrown.
+const notify = async (userId, { type, title, message, link }) => {
+  try {
+    return await Notification.create({ user: userId, type, title, message, link });
+  } catch (error) {
+    console.error(`Notification error for user ${userId}:`, error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  notify
+};
@@ -0,0 +1,138 @@
+const moment = require('moment-timezone');
+const Habit = require('../models/Habit');
+const HabitEntry = require('../models/HabitEntry');
+const { sendMail } = require('./mailer');
+const { notify } = require('./notifications');
+const { runGoalDeadlineCheck } = require('./goalDeadlines');
+const { runChallengeCheck } = require('./challenges');
+const { WEEKDAYS, isDueOn, isPaused, isVacationDay } = require('../utils/habitSchedule');
+const { getUserTimezone } = require('../utils/timezone');
+const { isRestricted } = require('../utils/verification');
+
+const CHECK_INTERVAL_MS = parseInt(process.env.REMINDER_INTERVAL_MS, 10) || 60 * 1000;
+
+// A reminder missed while the server was down is still sent if it is at most
+// this late; older ones are dropped for the day
+const CATCH_UP_MINUTES = 60;
+
+let timer = null;
+// Set while a check is running; ticks in the meantime are skipped so a slow
+// run can't overlap the next one and send the same reminder twice
+let running = false;
+
+// Whether the habit's reminder should fire at local time now
+const isReminderTime = (habit, now) => {
+  const [hours, minutes] = (habit.reminder.time || '09:00').split(':').map(Number);
+  const reminderAt = now.clone().startOf('day').add(hours, 'hours').add(minutes, 'minutes');
+  const minutesLate = now.diff(reminderAt, 'minutes', true);
+
+  if (minutesLate < 0 || minutesLate >= CATCH_UP_MINUTES) return false;
+
+  const days = habit.reminder.days || [];
+  if (days.length > 0 && !days.includes(WEEKDAYS[now.day()])) return false;
+
+  // Fire at most once per local day
+  return !habit.reminder.lastSentAt || !now.isSame(moment.tz(habit.reminder.lastSentAt, now.tz()), 'day');
+};
+
+// Skip habits that are done, skipped, paused or simply not due today
+const needsReminder = async (habit, user, now) => {
+  if (isPaused(habit) || isVacationDay(user.vacations, now)) return false;
+
+  const entries = await HabitEntry.find({
+    habit: habit._id,
+    date: { $gte: now.clone().startOf('isoWeek').toDate(), $lte: now.clone().endOf('day').toDate() }
+  }).select('date completed skipped skipType');
+
+  const today = entries.find(entry => moment.tz(entry.date, now.tz()).isSame(now, 'day'));
+  if (today && (today.completed || today.skipped)) return false;
+
+  return isDueOn(habit, now, entries, { timezone: now.tz(), vacations: user.vacations });
+};
+
+const deliverReminder = async (habit, user) => {
+  const title = `Time for ${habit.name}`;
+  const message = habit.target > 1
+    ? `Don't forget your ${habit.target} ${habit.unit} today.`
+    : 'You haven\'t checked this habit off yet today.';
+
+  await notify(user._id, {
+    type: 'reminder',
+    title,
+    message,
+    link: `/habits/${habit._id}`
+  });
+
+  if (user.preferences.notifications.email && !isRestricted(user, 'email_reminders')) {
+    try {
+      await sendMail({
+        to: user.email,
+        subject: `${habit.icon} ${title}`,
+        text: `Hi ${user.name},\n\n${message}\n\nKeep your streak going!\nMindTracker`
+      });
+    } catch (error) {
+      console.error(`Reminder email error for habit ${habit._id}:`, error.message);
+    }
+  }
+};
+
+// One pass over all habits with reminders enabled; returns the number sent
+const runReminderCheck = async (date = new Date()) => {
+  const habits = await Habit.find({ isActive: true, 'reminder.enabled': true })
+    .populate('user', 'name email emailVerified preferences vacations');
+  let sent = 0;
+
+  for (const habit of habits) {
+    if (!habit.user) continue;
+
+    try {
+      const now = moment.tz(date, getUserTimezone(habit.user));
+      if (!isReminderTime(habit, now)) continue;
+
+      if (await needsReminder(habit, habit.user, now)) {
+        await deliverReminder(habit, habit.user);
+        sent++;
+      }
+
+      // Also marked when nothing was due, so the habit isn't checked again today
+      habit.reminder.lastSentAt = date;
+      await habit.save();
+    } catch (error) {
+      console.error(`Reminder error for habit ${habit._id}:`, error);
+    }
+  }
+
+  return sent;
+};
+
+const startReminderScheduler = () => {
+  if (timer || process.env.REMINDERS_ENABLED === 'false') return;
+
+  const tick = () => {
+    if (running) return;
+    running = true;
+
+    Promise.all([
+      runReminderCheck().catch(error => console.error('Reminder scheduler error:', error)),
+      runGoalDeadlineCheck().catch(error => console.error('Goal deadline check error:', error)),
+      runChallengeCheck().catch(error => console.error('Challenge check error:', error))
+    ]).finally(() => {
+      running = false;
+    });
+  };
+
+  timer = setInterval(tick, CHECK_INTERVAL_MS);
+  tick();
+  console.log('Reminder scheduler started');
+};
+
+const stopReminderScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  runReminderCheck,
+  startReminderScheduler,
+  stopReminderScheduler
+};
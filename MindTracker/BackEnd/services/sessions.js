@@ -0,0 +1,85 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { createToken, hashToken } = require('../utils/tokens');
+
+const REFRESH_TOKEN_EXPIRE_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30;
+
+// Two tabs refreshing at the same moment both present the same token; the
+// slower one is turned away instead of being treated as a stolen token
+const REUSE_GRACE_SECONDS = 60;
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000);
+
+// Short-lived and tied to a session, so revoking the session signs it out
+const generateAccessToken = (userId, sessionId) => jwt.sign(
+  { id: userId, sid: sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: process.env.ACCESS_TOKEN_EXPIRE || '15m' }
+);
+
+// Start a session for a device that just signed in
+const createSession = async (userId, { userAgent, ip } = {}) => {
+  const { token, hash } = createToken();
+  const session = await Session.create({
+    user: userId,
+    tokenHash: hash,
+    userAgent: userAgent ? userAgent.slice(0, 500) : undefined,
+    ip,
+    expiresAt: refreshExpiry()
+  });
+
+  return {
+    session,
+    refreshToken: token,
+    accessToken: generateAccessToken(userId, session._id)
+  };
+};
+
+// Exchange a refresh token for a new one and a new access token. Returns null
+// when the token is unknown or expired. A token that was already exchanged
+// ends its session, since someone else may hold a copy.
+const rotateSession = async (refreshToken) => {
+  const hash = hashToken(refreshToken);
+  const now = new Date();
+
+  const session = await Session.findOne({ tokenHash: hash, expiresAt: { $gt: now } });
+  if (!session) {
+    const reused = await Session.findOne({ previousTokenHash: hash });
+    if (reused && now - reused.rotatedAt > REUSE_GRACE_SECONDS * 1000) {
+      await reused.deleteOne();
+    }
+    return null;
+  }
+
+  const { token, hash: newHash } = createToken();
+  session.previousTokenHash = hash;
+  session.tokenHash = newHash;
+  session.rotatedAt = now;
+  session.lastUsedAt = now;
+  session.expiresAt = refreshExpiry();
+  await session.save();
+
+  return {
+    session,
+    refreshToken: token,
+    accessToken: generateAccessToken(session.user, session._id)
+  };
+};
+
+// Sign out the device holding this refresh token
+const endSession = (refreshToken) => Session.deleteOne({ tokenHash: hashToken(refreshToken) });
+
+// Sign out every device of a user, optionally except the one making the request
+const endUserSessions = (userId, exceptSessionId) => Session.deleteMany({
+  user: userId,
+  ...(exceptSessionId && { _id: { $ne: exceptSessionId } })
+});
+
+module.exports = {
+  REFRESH_TOKEN_EXPIRE_DAYS,
+  generateAccessToken,
+  createSession,
+  rotateSession,
+  endSession,
+  endUserSessions
+};
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { hashToken } = require('../utils/tokens');
+const { generateSecret, verifyTotp, otpauthUrl } = require('../utils/totp');
+
+// Select these to load the parts of user.twoFactor that are hidden by default
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep';
+
+const BACKUP_CODE_COUNT = 10;
+
+// Each run of this many wrong codes locks the second step, for 15 minutes
+// after the first run and twice as long after each following one (at most a day)
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCK_MINUTES = 15;
+const MAX_LOCK_MINUTES = 24 * 60;
+
+// Backup codes are shown as xxxxx-xxxxx; case and separators don't matter
+const normalizeBackupCode = (code) => String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+
+const createBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(code => hashToken(normalizeBackupCode(code))) };
+};
+
+// Create a secret for the user to add to their authenticator app. It only
+// takes effect once confirmed with a code.
+const startEnrollment = async (user) => {
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save();
+
+  const url = otpauthUrl(secret, user.email);
+  return {
+    secret,
+    otpauthUrl: url,
+    qrCode: await QRCode.toDataURL(url)
+  };
+};
+
+// Turn two-factor authentication on when the code matches the pending
+// secret; returns the backup codes, or null for a wrong code
+const confirmEnrollment = async (user, code, time = Date.now()) => {
+  if (!user.twoFactor.pendingSecret) return null;
+
+  const step = verifyTotp(user.twoFactor.pendingSecret, code, time);
+  if (step === null) return null;
+
+  const { codes, hashes } = createBackupCodes();
+  user.twoFactor.enabled = true;
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.backupCodes = hashes;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.failedAttempts = 0;
+  user.twoFactor.lockedUntil = undefined;
+  await user.save();
+
+  return codes;
+};
+
+// Check a code from the authenticator app or an unused backup code. Returns
+// 'totp' or 'backup' when accepted, otherwise null. Each app code is accepted
+// once and backup codes are used up.
+const verifySecondFactor = async (user, code, time = Date.now()) => {
+  if (!user.twoFactor.enabled || !code) return null;
+
+  let method = null;
+  const step = verifyTotp(user.twoFactor.secret, code, time);
+  if (step !== null) {
+    if (user.twoFactor.lastUsedStep === undefined || step > user.twoFactor.lastUsedStep) {
+      user.twoFactor.lastUsedStep = step;
+      method = 'totp';
+    }
+  } else {
+    const index = user.twoFactor.backupCodes.indexOf(hashToken(normalizeBackupCode(code)));
+    if (index !== -1) {
+      user.twoFactor.backupCodes.splice(index, 1);
+      method = 'backup';
+    }
+  }
+
+  if (method) {
+    user.twoFactor.failedAttempts = 0;
+    user.twoFactor.lockedUntil = undefined;
+    await user.save();
+  }
+  return method;
+};
+
+// Minutes until codes are accepted again, or 0 when not locked
+const getLockMinutes = (user, time = Date.now()) => {
+  const lockedUntil = user.twoFactor.lockedUntil;
+  if (!lockedUntil || lockedUntil.getTime() <= time) return 0;
+  return Math.ceil((lockedUntil.getTime() - time) / 60000);
+};
+
+// Count a wrong code. Only an accepted code resets the count, so signing in
+// with the password again doesn't buy more guesses.
+const recordFailedAttempt = async (user, time = Date.now()) => {
+  user.twoFactor.failedAttempts = (user.twoFactor.failedAttempts || 0) + 1;
+
+  if (user.twoFactor.failedAttempts % MAX_FAILED_ATTEMPTS === 0) {
+    const lockouts = user.twoFactor.failedAttempts / MAX_FAILED_ATTEMPTS;
+    const minutes = Math.min(LOCK_MINUTES * 2 ** (lockouts - 1), MAX_LOCK_MINUTES);
+    user.twoFactor.lockedUntil = new Date(time + minutes * 60000);
+  }
+  await user.save();
+};
+
+// Replace all backup codes; returns the new ones
+const regenerateBackupCodes = async (user) => {
+  const { codes, hashes } = createBackupCodes();
+  user.twoFactor.backupCodes = hashes;
+  await user.save();
+  return codes;
+};
+
+const disableTwoFactor = async (user) => {
+  user.twoFactor.enabled = false;
+  user.twoFactor.secret = undefined;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.backupCodes = undefined;
+  user.twoFactor.lastUsedStep = undefined;
+  user.twoFactor.failedAttempts = 0;
+  user.twoFactor.lockedUntil = undefined;
+  await user.save();
+};
+
+module.exports = {
+  TWO_FACTOR_FIELDS,
+  MAX_FAILED_ATTEMPTS,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  getLockMinutes,
+  recordFailedAttempt,
+  regenerateBackupCodes,
+  disableTwoFactor
+};
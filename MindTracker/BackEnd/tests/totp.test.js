@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { base32Encode, base32Decode, generateTotp, verifyTotp } = require('../utils/totp');
+
+// The RFC 6238 SHA-1 key, '12345678901234567890' in ASCII
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+test('base32 round trips', () => {
+  assert.strictEqual(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  assert.strictEqual(base32Decode(RFC_SECRET).toString(), '12345678901234567890');
+  assert.strictEqual(base32Decode('gezd gnbv-gy3t qojq====').toString(), '1234567890');
+});
+
+test('matches the RFC 6238 SHA-1 test vectors', () => {
+  // The RFC lists 8 digit codes; 6 digit codes are their last 6 digits
+  const vectors = [
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+    [20000000000, '65353130']
+  ];
+
+  for (const [seconds, code] of vectors) {
+    assert.strictEqual(generateTotp(RFC_SECRET, seconds * 1000), code.slice(2), `at ${seconds}s`);
+  }
+});
+
+test('accepts codes one step either side of the current time', () => {
+  const now = 1234567890 * 1000;
+  const step = Math.floor(now / 30000);
+
+  assert.strictEqual(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now), now), step);
+  assert.strictEqual(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now - 30000), now), step - 1);
+  assert.strictEqual(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now + 30000), now), step + 1);
+  assert.strictEqual(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now - 60000), now), null);
+  assert.strictEqual(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now + 60000), now), null);
+});
+
+test('rejects malformed codes', () => {
+  assert.strictEqual(verifyTotp(RFC_SECRET, '12345', 0), null);
+  assert.strictEqual(verifyTotp(RFC_SECRET, 'abcdef', 0), null);
+  assert.strictEqual(verifyTotp(RFC_SECRET, '', 0), null);
+});
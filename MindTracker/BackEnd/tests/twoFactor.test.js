@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const User = require('../models/User');
+const { generateTotp } = require('../utils/totp');
+const {
+  MAX_FAILED_ATTEMPTS,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  getLockMinutes,
+  recordFailedAttempt
+} = require('../services/twoFactor');
+
+const NOW = Date.UTC(2026, 0, 1, 12, 0, 0);
+
+// A user document that is never written to the database
+const createUser = () => {
+  const user = new User({ name: 'Test User', email: 'test@example.com', password: 'password123' });
+  user.save = async () => user;
+  return user;
+};
+
+const enrolledUser = async () => {
+  const user = createUser();
+  const { secret } = await startEnrollment(user);
+  const backupCodes = await confirmEnrollment(user, generateTotp(secret, NOW), NOW);
+  return { user, secret, backupCodes };
+};
+
+test('enrollment needs a code from the new secret', async () => {
+  const user = createUser();
+  const { secret, qrCode } = await startEnrollment(user);
+
+  assert.match(qrCode, /^data:image\/png;base64,/);
+  assert.strictEqual(await confirmEnrollment(user, '000000', NOW), null);
+  assert.strictEqual(user.twoFactor.enabled, false);
+
+  const backupCodes = await confirmEnrollment(user, generateTotp(secret, NOW), NOW);
+  assert.strictEqual(backupCodes.length, 10);
+  assert.strictEqual(user.twoFactor.enabled, true);
+  assert.strictEqual(user.twoFactor.secret, secret);
+  assert.strictEqual(user.twoFactor.pendingSecret, undefined);
+});
+
+test('an app code is accepted only once', async () => {
+  const { user, secret } = await enrolledUser();
+
+  // Used to confirm enrollment already
+  assert.strictEqual(await verifySecondFactor(user, generateTotp(secret, NOW), NOW), null);
+
+  const later = NOW + 30000;
+  const code = generateTotp(secret, later);
+  assert.strictEqual(await verifySecondFactor(user, code, later), 'totp');
+  assert.strictEqual(await verifySecondFactor(user, code, later), null);
+  // Nor is an older code still inside the drift window
+  assert.strictEqual(await verifySecondFactor(user, generateTotp(secret, NOW), later), null);
+});
+
+test('backup codes work once each, in any case and spacing', async () => {
+  const { user, backupCodes } = await enrolledUser();
+  const [first, second] = backupCodes;
+
+  assert.strictEqual(await verifySecondFactor(user, first.toUpperCase(), NOW), 'backup');
+  assert.strictEqual(user.twoFactor.backupCodes.length, 9);
+  assert.strictEqual(await verifySecondFactor(user, first, NOW), null);
+  assert.strictEqual(await verifySecondFactor(user, second.replace('-', ' '), NOW), 'backup');
+});
+
+test('wrong codes lock the second step for longer each time', async () => {
+  const { user, secret } = await enrolledUser();
+
+  for (let i = 0; i < 4; i++) await recordFailedAttempt(user, NOW);
+  assert.strictEqual(getLockMinutes(user, NOW), 0);
+
+  await recordFailedAttempt(user, NOW);
+  assert.strictEqual(getLockMinutes(user, NOW), 15);
+
+  for (let i = 0; i < 5; i++) await recordFailedAttempt(user, NOW);
+  assert.strictEqual(getLockMinutes(user, NOW), 30);
+  assert.strictEqual(getLockMinutes(user, NOW + 30 * 60000), 0);
+
+  // An accepted code clears the count
+  const later = NOW + 31 * 60000;
+  assert.strictEqual(await verifySecondFactor(user, generateTotp(secret, later), later), 'totp');
+  assert.strictEqual(user.twoFactor.failedAttempts, 0);
+  assert.strictEqual(user.twoFactor.lockedUntil, undefined);
+});
+
+// Run the handler of an auth route for a signed-in user, past the middleware
+const callAuthRoute = async (path, user, body) => {
+  const router = require('../routes/auth');
+  const layer = router.stack.find(l => l.route && l.route.path === path && l.route.methods.post);
+  const handler = layer.route.stack[layer.route.stack.length - 1].handle;
+
+  const response = {};
+  const res = {
+    status(code) {
+      response.status = code;
+      return res;
+    },
+    json(data) {
+      response.status = response.status || 200;
+      response.body = data;
+      return res;
+    }
+  };
+  await handler({ user, body }, res);
+  return response;
+};
+
+for (const path of ['/2fa/backup-codes', '/2fa/disable']) {
+  test(`${path} locks after ${MAX_FAILED_ATTEMPTS} wrong codes`, async (t) => {
+    const { user, secret } = await enrolledUser();
+    user.comparePassword = async () => true;
+    t.mock.method(User, 'findById', () => ({ select: async () => user }));
+
+    const body = { password: 'password123', code: '000000' };
+    for (let i = 1; i < MAX_FAILED_ATTEMPTS; i++) {
+      assert.strictEqual((await callAuthRoute(path, user, body)).status, 400);
+    }
+    assert.strictEqual((await callAuthRoute(path, user, body)).status, 429);
+
+    // Even the right code is refused while locked
+    const locked = await callAuthRoute(path, user, { ...body, code: generateTotp(secret, Date.now()) });
+    assert.strictEqual(locked.status, 429);
+    assert.strictEqual(user.twoFactor.enabled, true);
+  });
+}
@@ -0,0 +1,320 @@
+const moment = require('moment-timezone');
+const { DEFAULT_TIMEZONE } = require('./timezone');
+
+// Indexed by moment's day() (0 = Sunday)
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const DAY_FORMAT = 'YYYY-MM-DD';
+
+// Calendar day of date in the given timezone, e.g. '2023-05-01'
+const toDayKey = (date, timezone = DEFAULT_TIMEZONE) => moment.tz(date, timezone).format(DAY_FORMAT);
+
+const isQuitHabit = (habit) => habit.kind === 'quit';
+
+// 'daily'  - due every day
+// 'days'   - due on the weekdays listed in customFrequency.days
+// 'weekly' - due timesPerWeek times in any ISO week (Monday to Sunday)
+// Quit habits are tracked every day regardless of frequency.
+const getScheduleType = (habit) => {
+  const custom = habit.customFrequency || {};
+
+  if (isQuitHabit(habit)) {
+    return 'daily';
+  }
+
+  if (habit.frequency === 'custom' && custom.days && custom.days.length > 0) {
+    return 'days';
+  }
+  if (habit.frequency === 'weekly' || habit.frequency === 'custom') {
+    return 'weekly';
+  }
+  return 'daily';
+};
+
+const getWeeklyTarget = (habit) => {
+  const timesPerWeek = habit.customFrequency && habit.customFrequency.timesPerWeek;
+  return timesPerWeek || 1;
+};
+
+const getStreakUnit = (habit) => (getScheduleType(habit) === 'weekly' ? 'week' : 'day');
+
+// Weekly habits can be done on any day, which counts towards the week's quota.
+// day is a moment already in the user's timezone.
+const isScheduledDay = (habit, day) => {
+  if (getScheduleType(habit) !== 'days') return true;
+  return habit.customFrequency.days.includes(WEEKDAYS[day.day()]);
+};
+
+// Vacations and pauses are stored as the start and end instants of local
+// days; a range without an endDate is still open
+const isWithinRanges = (ranges, day) => (ranges || []).some(range => (
+  !day.isBefore(range.startDate) && (!range.endDate || !day.isAfter(range.endDate))
+));
+
+const isVacationDay = (vacations, day) => isWithinRanges(vacations, day);
+
+const isPausedDay = (habit, day) => isWithinRanges(habit.pauses, day);
+
+const isPaused = (habit) => (habit.pauses || []).some(pause => !pause.endDate);
+
+const getDaysWhere = (entries, timezone, predicate) => {
+  const days = new Set();
+  entries.forEach(entry => {
+    if (predicate(entry)) {
+      days.add(toDayKey(entry.date, timezone));
+    }
+  });
+  return days;
+};
+
+// Index a habit's entries by local day. Skipped days, streak freezes, vacation
+// and paused days are neutral: they are not owed and do not break a streak.
+const buildHistory = (habit, entries, { timezone = DEFAULT_TIMEZONE, vacations = [] } = {}) => {
+  const skipped = new Map();
+  entries.forEach(entry => {
+    if (entry.skipped && !entry.completed) {
+      skipped.set(toDayKey(entry.date, timezone), entry.skipType || 'skip');
+    }
+  });
+
+  return {
+    timezone,
+    vacations,
+    pauses: habit.pauses || [],
+    skipped,
+    completed: getDaysWhere(entries, timezone, entry => entry.completed),
+    relapsed: getDaysWhere(entries, timezone, entry => entry.relapsed)
+  };
+};
+
+const isNeutralDay = (history, day) => (
+  history.skipped.has(day.format(DAY_FORMAT)) ||
+  isVacationDay(history.vacations, day) ||
+  isWithinRanges(history.pauses, day)
+);
+
+const countDaysInRange = (start, end, predicate) => {
+  let count = 0;
+  for (const day = start.clone(); day.isSameOrBefore(end, 'day'); day.add(1, 'day')) {
+    if (predicate(day)) count++;
+  }
+  return count;
+};
+
+const countCompletedInRange = (history, start, end) => (
+  countDaysInRange(start, end, day => history.completed.has(day.format(DAY_FORMAT)))
+);
+
+// Whether the habit still needs doing on the given day. Weekly habits stay due
+// until the week's quota is met; completing one today keeps it due for today.
+// options: { timezone, vacations }
+const isDueOn = (habit, day, entries = [], options = {}) => {
+  const history = buildHistory(habit, entries, options);
+  const date = moment.tz(day, history.timezone).startOf('day');
+
+  // There is nothing to check off for a quit habit
+  if (isQuitHabit(habit) || isNeutralDay(history, date)) {
+    return false;
+  }
+
+  if (getScheduleType(habit) !== 'weekly') {
+    return isScheduledDay(habit, date);
+  }
+
+  const weekStart = date.clone().startOf('isoWeek');
+  const before = date.clone().subtract(1, 'day');
+  const doneEarlier = before.isBefore(weekStart, 'day')
+    ? 0
+    : countCompletedInRange(history, weekStart, before);
+
+  return doneEarlier < getWeeklyTarget(habit);
+};
+
+const getHistoryStart = (habit, history, today) => {
+  const timezone = today.tz();
+  const days = isQuitHabit(habit) ? history.relapsed : history.completed;
+  let start = habit.createdAt ? moment.tz(habit.createdAt, timezone).startOf('day') : today.clone();
+  days.forEach(key => {
+    const day = moment.tz(key, DAY_FORMAT, timezone);
+    if (day.isBefore(start)) start = day;
+  });
+  return start.isAfter(today) ? today.clone() : start;
+};
+
+const computeDailyStreaks = (habit, history, start, today) => {
+  let run = 0;
+  let longest = 0;
+  let scheduled = 0;
+  let hits = 0;
+
+  for (const day = start.clone(); day.isSameOrBefore(today, 'day'); day.add(1, 'day')) {
+    if (!isScheduledDay(habit, day)) continue;
+
+    const done = history.completed.has(day.format(DAY_FORMAT));
+
+    // Today is still open, so a missing check-in does not break the streak yet
+    if (!done && (day.isSame(today, 'day') || isNeutralDay(history, day))) continue;
+
+    scheduled++;
+    if (done) {
+      hits++;
+      run++;
+      longest = Math.max(longest, run);
+    } else {
+      run = 0;
+    }
+  }
+
+  return { currentStreak: run, longestStreak: longest, scheduled, hits };
+};
+
+const computeWeeklyStreaks = (habit, history, start, today) => {
+  const target = getWeeklyTarget(habit);
+  let run = 0;
+  let longest = 0;
+  let scheduled = 0;
+  let hits = 0;
+
+  for (const week = start.clone().startOf('isoWeek'); week.isSameOrBefore(today, 'day'); week.add(1, 'week')) {
+    const weekEnd = week.clone().endOf('isoWeek');
+    const rangeStart = moment.max(week.clone(), start.clone());
+    const rangeEnd = moment.min(weekEnd.clone(), today.clone());
+    const count = countCompletedInRange(history, rangeStart, rangeEnd);
+
+    // A week only owes as many check-ins as it has days left after the habit
+    // started and neutral days are taken out; a fully neutral week is skipped
+    const available = countDaysInRange(rangeStart, weekEnd, day => !isNeutralDay(history, day));
+    const weekTarget = Math.min(target, available);
+    if (weekTarget === 0) continue;
+    const met = count >= weekTarget;
+
+    // The current week is still in progress and only counts once its quota is met
+    if (!met && weekEnd.isSameOrAfter(today, 'day')) {
+      scheduled += count;
+      hits += count;
+      continue;
+    }
+
+    scheduled += weekTarget;
+    hits += Math.min(count, weekTarget);
+    if (met) {
+      run++;
+      longest = Math.max(longest, run);
+    } else {
+      run = 0;
+    }
+  }
+
+  return { currentStreak: run, longestStreak: longest, scheduled, hits };
+};
+
+// Quit habits: every day without a relapse is clean, including today until a
+// relapse is logged. The streak is the number of clean days since the last one;
+// paused days are left out.
+const computeAbstinenceStreaks = (history, start, today) => {
+  let run = 0;
+  let longest = 0;
+  let days = 0;
+  let clean = 0;
+
+  for (const day = start.clone(); day.isSameOrBefore(today, 'day'); day.add(1, 'day')) {
+    const relapsed = history.relapsed.has(day.format(DAY_FORMAT));
+    if (!relapsed && isWithinRanges(history.pauses, day)) continue;
+
+    days++;
+    if (relapsed) {
+      run = 0;
+    } else {
+      clean++;
+      run++;
+      longest = Math.max(longest, run);
+    }
+  }
+
+  return { currentStreak: run, longestStreak: longest, scheduled: days, hits: clean };
+};
+
+// Recompute streaks and completion rate from a habit's entries, counting only
+// the days (or weeks) on which the habit was actually scheduled. For quit
+// habits the rate is the share of clean days. Days are resolved in the owner's
+// timezone. options: { timezone, vacations, now }
+const computeStreakStats = (habit, entries, options = {}) => {
+  const history = buildHistory(habit, entries, options);
+  const day = moment.tz(options.now || new Date(), history.timezone).startOf('day');
+  const start = getHistoryStart(habit, history, day);
+  let result;
+
+  if (isQuitHabit(habit)) {
+    result = computeAbstinenceStreaks(history, start, day);
+  } else if (getScheduleType(habit) === 'weekly') {
+    result = computeWeeklyStreaks(habit, history, start, day);
+  } else {
+    result = computeDailyStreaks(habit, history, start, day);
+  }
+
+  return {
+    currentStreak: result.currentStreak,
+    longestStreak: result.longestStreak,
+    completionRate: result.scheduled > 0 ? Math.round((result.hits / result.scheduled) * 100) : 0
+  };
+};
+
+// Status of each local day from options.from to options.to, for history views.
+// Build habits: completed, skipped, frozen, paused, vacation, missed, pending
+// (today) or rest (nothing due). Quit habits: clean, relapsed or paused. Days
+// before the habit started or in the future are 'none'.
+// options: { timezone, vacations, from, to, now }
+const getDayStatuses = (habit, entries, options = {}) => {
+  const history = buildHistory(habit, entries, options);
+  const timezone = history.timezone;
+  const today = moment.tz(options.now || new Date(), timezone).startOf('day');
+  const start = getHistoryStart(habit, history, today);
+  const end = moment.tz(options.to || today, timezone);
+  const weekly = getScheduleType(habit) === 'weekly';
+  const days = [];
+
+  for (const day = moment.tz(options.from, timezone).startOf('day'); day.isSameOrBefore(end, 'day'); day.add(1, 'day')) {
+    const key = day.format(DAY_FORMAT);
+    let status;
+
+    if (day.isBefore(start) || day.isAfter(today)) {
+      status = 'none';
+    } else if (history.completed.has(key)) {
+      status = 'completed';
+    } else if (history.relapsed.has(key)) {
+      status = 'relapsed';
+    } else if (isPausedDay(habit, day)) {
+      status = 'paused';
+    } else if (isQuitHabit(habit)) {
+      status = 'clean';
+    } else if (history.skipped.has(key)) {
+      status = history.skipped.get(key) === 'freeze' ? 'frozen' : 'skipped';
+    } else if (isVacationDay(history.vacations, day)) {
+      status = 'vacation';
+    } else if (weekly || !isScheduledDay(habit, day)) {
+      status = 'rest';
+    } else {
+      status = day.isSame(today, 'day') ? 'pending' : 'missed';
+    }
+
+    days.push({ date: key, status });
+  }
+
+  return days;
+};
+
+module.exports = {
+  WEEKDAYS,
+  isQuitHabit,
+  toDayKey,
+  getScheduleType,
+  getWeeklyTarget,
+  getStreakUnit,
+  isScheduledDay,
+  isVacationDay,
+  isPausedDay,
+  isPaused,
+  isDueOn,
+  computeStreakStats,
+  getDayStatuses
+};
@@ -0,0 +1,57 @@
+// Privacy rules between a viewer and another user. Both are User documents;
+// the target needs friends, blockedUsers and privacy loaded.
+
+const includesId = (ids = [], id) => ids.some(item => item.toString() === id.toString());
+
+const isSelf = (viewer, target) => viewer._id.toString() === target._id.toString();
+
+// Blocking works both ways: neither user can see or reach the other
+const isBlocked = (viewer, target) => (
+  includesId(viewer.blockedUsers, target._id) || includesId(target.blockedUsers, viewer._id)
+);
+
+// Query conditions that leave out users blocked by or blocking the viewer
+const notBlockedFilter = (viewer) => ({
+  _id: { $nin: [viewer._id, ...viewer.blockedUsers] },
+  blockedUsers: { $ne: viewer._id }
+});
+
+const canViewProfile = (viewer, target) => {
+  if (isSelf(viewer, target)) return true;
+  if (isBlocked(viewer, target)) return false;
+
+  switch (target.privacy.profileVisibility) {
+    case 'everyone':
+      return true;
+    case 'friends':
+      return includesId(target.friends, viewer._id);
+    default:
+      return false;
+  }
+};
+
+const canSeeStreaks = (viewer, target) => isSelf(viewer, target) || target.privacy.shareStreaks;
+
+const canSeeMood = (viewer, target) => isSelf(viewer, target) || target.privacy.shareMood;
+
+// What a user shows of themselves to someone else, e.g. in search results
+const toPublicUser = (viewer, target) => ({
+  _id: target._id,
+  name: target.name,
+  avatar: target.avatar,
+  ...(canSeeStreaks(viewer, target) && { streak: target.streak })
+});
+
+// Escape user input for use inside a RegExp
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = {
+  includesId,
+  isBlocked,
+  notBlockedFilter,
+  canViewProfile,
+  canSeeStreaks,
+  canSeeMood,
+  toPublicUser,
+  escapeRegex
+};
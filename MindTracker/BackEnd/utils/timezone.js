@@ -0,0 +1,44 @@
+const moment = require('moment-timezone');
+
+const DEFAULT_TIMEZONE = 'UTC';
+
+const isValidTimezone = (timezone) => typeof timezone === 'string' && moment.tz.zone(timezone) !== null;
+
+// The user's configured IANA timezone, falling back to UTC
+const getUserTimezone = (user) => {
+  const timezone = user && user.preferences && user.preferences.timezone;
+  return isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+};
+
+// Current time in the user's timezone
+const userNow = (user) => moment.tz(getUserTimezone(user));
+
+// Start of the user's local day containing date. Strings such as '2023-05-01'
+// are read as local dates; Date objects are converted from their instant.
+const startOfUserDay = (user, date) => {
+  const timezone = getUserTimezone(user);
+  const local = typeof date === 'string' ? moment.tz(date, timezone) : moment.tz(date || new Date(), timezone);
+  return local.startOf('day');
+};
+
+const endOfUserDay = (user, date) => startOfUserDay(user, date).endOf('day');
+
+// Whole local days from today until date (negative if it has passed)
+const daysUntil = (user, date) => startOfUserDay(user, date).diff(startOfUserDay(user), 'days');
+
+// Start of the stats window for period=week|month|year
+const getPeriodStart = (user, period) => {
+  const days = { week: 7, month: 30, year: 365 };
+  return userNow(user).subtract(days[period] || days.week, 'days').startOf('day');
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  getUserTimezone,
+  userNow,
+  startOfUserDay,
+  endOfUserDay,
+  daysUntil,
+  getPeriodStart
+};
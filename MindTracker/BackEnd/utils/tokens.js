@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Single-use tokens sent to users (e.g. in emailed links) are random; only
+// their SHA-256 hash is stored, so a leaked database can't be used to redeem them
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const createToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, hash: hashToken(token) };
+};
+
+// Signed tokens for a single purpose, e.g. an emailed link. The purpose keeps
+// them from being accepted anywhere else, including as sign-in tokens.
+const createSignedToken = (purpose, payload, expiresIn) => jwt.sign(
+  { ...payload, purpose },
+  process.env.JWT_SECRET,
+  { expiresIn }
+);
+
+// The decoded payload, or null when the token is invalid, expired or for
+// another purpose
+const verifySignedToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Email verification links are signed instead of stored. They carry the
+// address being verified, so a link stops working once the email changes.
+const createEmailToken = (user, expiresInHours) => createSignedToken(
+  'verify_email',
+  { id: user._id, email: user.email },
+  `${expiresInHours}h`
+);
+
+const verifyEmailToken = (token) => verifySignedToken(token, 'verify_email');
+
+module.exports = {
+  hashToken,
+  createToken,
+  createSignedToken,
+  verifySignedToken,
+  createEmailToken,
+  verifyEmailToken
+};
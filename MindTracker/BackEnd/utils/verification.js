@@ -0,0 +1,26 @@
+// Features an account can't use until its email address is verified, set with
+// UNVERIFIED_RESTRICTIONS as a comma separated list. Unset means all of them;
+// "none" (or an empty value) lets unverified accounts use everything.
+const VERIFICATION_FEATURES = ['social', 'email_reminders'];
+
+const getUnverifiedRestrictions = () => {
+  const setting = process.env.UNVERIFIED_RESTRICTIONS;
+  if (setting === undefined) return VERIFICATION_FEATURES;
+
+  return setting.split(',')
+    .map(feature => feature.trim())
+    .filter(feature => VERIFICATION_FEATURES.includes(feature));
+};
+
+const isEmailVerified = (user) => user.emailVerified !== false;
+
+const isRestricted = (user, feature) => (
+  !isEmailVerified(user) && getUnverifiedRestrictions().includes(feature)
+);
+
+module.exports = {
+  VERIFICATION_FEATURES,
+  getUnverifiedRestrictions,
+  isEmailVerified,
+  isRestricted
+};
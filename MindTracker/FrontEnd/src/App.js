@@ -6,17 +6,25 @@ import { AuthProvider, useAuth } from './contexts/AuthContext';
 // Components
 import Navbar from './components/layout/Navbar';
 import Sidebar from './components/layout/Sidebar';
+import VerifyEmailBanner from './components/layout/VerifyEmailBanner';
 import LoadingSpinner from './components/ui/LoadingSpinner';
 
 // Pages
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
 import Dashboard from './pages/Dashboard';
 import Habits from './pages/Habits';
+import HabitDetail from './pages/HabitDetail';
 import Moods from './pages/Moods';
 import Goals from './pages/Goals';
 import Profile from './pages/Profile';
 import Social from './pages/Social';
+import Achievements from './pages/Achievements';
+import Challenges from './pages/Challenges';
+import ChallengeDetail from './pages/ChallengeDetail';
 
 // Protected Route Component
 const ProtectedRoute = ({ children }) => {
@@ -59,6 +67,7 @@ const AppLayout = ({ children }) => {
   return (
     <div className="min-h-screen bg-gray-50">
       <Navbar />
+      <VerifyEmailBanner />
       <div className="flex">
         <Sidebar />
         <main className="flex-1 lg:ml-64">
@@ -119,6 +128,25 @@ function App() {
                   </PublicRoute>
                 }
               />
+              <Route
+                path="/forgot-password"
+                element={
+                  <PublicRoute>
+                    <ForgotPassword />
+                  </PublicRoute>
+                }
+              />
+              <Route
+                path="/reset-password"
+                element={
+                  <PublicRoute>
+                    <ResetPassword />
+                  </PublicRoute>
+                }
+              />
+
+              {/* Works signed in or out, since the link is opened from an email */}
+              <Route path="/verify-email" element={<VerifyEmail />} />
 
               {/* Protected Routes */}
               <Route
@@ -137,6 +165,14 @@ function App() {
                   </ProtectedRoute>
                 }
               />
+              <Route
+                path="/habits/:id"
+                element={
+                  <ProtectedRoute>
+                    <HabitDetail />
+                  </ProtectedRoute>
+                }
+              />
               <Route
                 path="/moods"
                 element={
@@ -161,6 +197,38 @@ function App() {
                   </ProtectedRoute>
                 }
               />
+              <Route
+                path="/achievements"
+                element={
+                  <ProtectedRoute>
+                    <Achievements />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/users/:id/achievements"
+                element={
+                  <ProtectedRoute>
+                    <Achievements />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/challenges"
+                element={
+                  <ProtectedRoute>
+                    <Challenges />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/challenges/:id"
+                element={
+                  <ProtectedRoute>
+                    <ChallengeDetail />
+                  </ProtectedRoute>
+                }
+              />
               <Route
                 path="/profile"
                 element={
@@ -0,0 +1,54 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+
+// Same rule as the server: active build habits in the category and unit
+export const matchesRule = (rule, habit) => (
+  habit.kind !== 'quit' &&
+  (!rule.category || habit.category === rule.category) &&
+  (!rule.unit || (habit.unit || '').toLowerCase() === rule.unit.toLowerCase())
+);
+
+// Choose which of your habits counts for a challenge; an empty value means a
+// new habit is created for it
+const HabitPicker = ({ rule, value, onChange }) => {
+  const [habits, setHabits] = useState([]);
+
+  useEffect(() => {
+    const fetchHabits = async () => {
+      try {
+        const res = await axios.get('/api/habits');
+        setHabits(res.data.habits || []);
+      } catch (error) {
+        console.error('Error fetching habits:', error);
+      }
+    };
+    fetchHabits();
+  }, []);
+
+  const matching = habits.filter(habit => matchesRule(rule, habit));
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        Habit to track
+      </label>
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="input w-full"
+      >
+        <option value="">Create a new habit for this challenge</option>
+        {matching.map((habit) => (
+          <option key={habit._id} value={habit._id}>
+            {habit.icon} {habit.name}
+          </option>
+        ))}
+      </select>
+      {matching.length === 0 && (
+        <p className="mt-1 text-xs text-gray-500">None of your habits match this challenge yet.</p>
+      )}
+    </div>
+  );
+};
+
+export default HabitPicker;
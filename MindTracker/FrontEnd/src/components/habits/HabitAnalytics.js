@@ -0,0 +1,216 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  ResponsiveContainer,
+  BarChart,
+  Bar,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  Tooltip,
+  CartesianGrid
+} from 'recharts';
+import {
+  ArrowTrendingUpIcon,
+  ArrowTrendingDownIcon,
+  MinusIcon,
+  ClockIcon,
+  CalendarDaysIcon,
+  FaceSmileIcon,
+  BoltIcon
+} from '@heroicons/react/24/outline';
+import { format, parseISO } from 'date-fns';
+import axios from 'axios';
+import LoadingSpinner from '../ui/LoadingSpinner';
+
+const PERIODS = [
+  { value: 'week', label: 'Week' },
+  { value: 'month', label: 'Month' },
+  { value: 'year', label: 'Year' }
+];
+
+const TREND_STYLES = {
+  up: { icon: ArrowTrendingUpIcon, color: 'text-green-600' },
+  down: { icon: ArrowTrendingDownIcon, color: 'text-red-600' },
+  flat: { icon: MinusIcon, color: 'text-gray-500' }
+};
+
+const formatLabel = (value) => (value ? value.replace(/_/g, ' ') : '—');
+
+const rateTooltip = (value, name, { payload }) => [
+  value === null ? 'Nothing due' : `${value}% (${payload.hits}/${payload.owed})`,
+  'Completion'
+];
+
+// refreshKey: changes whenever the habit's entries do, to reload the figures
+const HabitAnalytics = ({ habitId, color = '#3B82F6', quit = false, refreshKey }) => {
+  const [period, setPeriod] = useState('month');
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const fetchAnalytics = useCallback(async () => {
+    try {
+      setLoading(true);
+      const res = await axios.get(`/api/habits/${habitId}/analytics`, { params: { period } });
+      setAnalytics(res.data.analytics);
+    } catch (error) {
+      console.error('Error fetching habit analytics:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [habitId, period]);
+
+  useEffect(() => {
+    fetchAnalytics();
+  }, [fetchAnalytics, refreshKey]);
+
+  if (loading && !analytics) {
+    return (
+      <div className="card p-6 flex items-center justify-center h-64">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  if (!analytics) {
+    return null;
+  }
+
+  const trend = TREND_STYLES[analytics.trend.direction];
+  const rateLabel = quit ? 'Clean days' : 'Completion rate';
+  const weekly = analytics.weekly.map(week => ({ ...week, label: format(parseISO(week.week), 'MMM d') }));
+  const monthly = analytics.monthly.map(month => ({ ...month, label: format(parseISO(`${month.month}-01`), 'MMM') }));
+  const weekdays = analytics.weekdays.map(day => ({
+    ...day,
+    label: day.day.charAt(0).toUpperCase() + day.day.slice(1, 3)
+  }));
+
+  const highlights = [
+    {
+      label: 'Best weekday',
+      value: <span className="capitalize">{analytics.bestWeekday || '—'}</span>,
+      icon: CalendarDaysIcon
+    },
+    !quit && {
+      label: 'Usual completion time',
+      value: analytics.averageCompletionTime || '—',
+      icon: ClockIcon
+    },
+    {
+      label: 'Average difficulty',
+      value: <span className="capitalize">{formatLabel(analytics.averageDifficulty?.label)}</span>,
+      icon: BoltIcon
+    },
+    {
+      label: 'Average mood',
+      value: <span className="capitalize">{formatLabel(analytics.averageMood?.label)}</span>,
+      icon: FaceSmileIcon
+    }
+  ].filter(Boolean);
+
+  return (
+    <div className="space-y-6">
+      {/* Period comparison */}
+      <div className="card p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Analytics</h3>
+          <div className="flex space-x-1">
+            {PERIODS.map((option) => (
+              <button
+                key={option.value}
+                onClick={() => setPeriod(option.value)}
+                className={`px-3 py-1 rounded-md text-sm font-medium ${
+                  period === option.value ? 'bg-primary-100 text-primary-700' : 'text-gray-500 hover:bg-gray-100'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="p-4 bg-gray-50 rounded-lg">
+            <p className="text-sm text-gray-600">{rateLabel} this {period}</p>
+            <p className="text-2xl font-bold text-gray-900">
+              {analytics.current.rate === null ? '—' : `${analytics.current.rate}%`}
+            </p>
+          </div>
+          <div className="p-4 bg-gray-50 rounded-lg">
+            <p className="text-sm text-gray-600">Previous {period}</p>
+            <p className="text-2xl font-bold text-gray-900">
+              {analytics.previous.rate === null ? '—' : `${analytics.previous.rate}%`}
+            </p>
+          </div>
+          <div className="p-4 bg-gray-50 rounded-lg">
+            <p className="text-sm text-gray-600">Trend</p>
+            <p className={`flex items-center text-2xl font-bold ${trend.color}`}>
+              <trend.icon className="w-6 h-6 mr-2" />
+              {analytics.trend.change === null
+                ? '—'
+                : `${analytics.trend.change > 0 ? '+' : ''}${analytics.trend.change} pts`}
+            </p>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 lg:grid-cols-4 gap-4 mt-4">
+          {highlights.map((item) => (
+            <div key={item.label} className="flex items-center">
+              <item.icon className="w-5 h-5 text-gray-400 mr-2" />
+              <div>
+                <p className="text-xs text-gray-500">{item.label}</p>
+                <p className="text-sm font-medium text-gray-900">{item.value}</p>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Weekly completion */}
+        <div className="card p-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">Last 12 weeks</h3>
+          <ResponsiveContainer width="100%" height={220}>
+            <BarChart data={weekly}>
+              <CartesianGrid strokeDasharray="3 3" vertical={false} />
+              <XAxis dataKey="label" tick={{ fontSize: 12 }} />
+              <YAxis domain={[0, 100]} tick={{ fontSize: 12 }} unit="%" />
+              <Tooltip formatter={rateTooltip} />
+              <Bar dataKey="rate" fill={color} radius={[4, 4, 0, 0]} />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+
+        {/* Monthly completion */}
+        <div className="card p-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">Last 12 months</h3>
+          <ResponsiveContainer width="100%" height={220}>
+            <LineChart data={monthly}>
+              <CartesianGrid strokeDasharray="3 3" vertical={false} />
+              <XAxis dataKey="label" tick={{ fontSize: 12 }} />
+              <YAxis domain={[0, 100]} tick={{ fontSize: 12 }} unit="%" />
+              <Tooltip formatter={rateTooltip} />
+              <Line type="monotone" dataKey="rate" stroke={color} strokeWidth={2} connectNulls />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+
+      {/* Weekdays */}
+      <div className="card p-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">By weekday</h3>
+        <ResponsiveContainer width="100%" height={200}>
+          <BarChart data={weekdays}>
+            <CartesianGrid strokeDasharray="3 3" vertical={false} />
+            <XAxis dataKey="label" tick={{ fontSize: 12 }} />
+            <YAxis domain={[0, 100]} tick={{ fontSize: 12 }} unit="%" />
+            <Tooltip formatter={rateTooltip} />
+            <Bar dataKey="rate" fill={color} radius={[4, 4, 0, 0]} />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+};
+
+export default HabitAnalytics;
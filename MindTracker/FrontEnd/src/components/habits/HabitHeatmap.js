@@ -0,0 +1,96 @@
+import React from 'react';
+import { format, parseISO } from 'date-fns';
+import { DAY_STATUS_STYLES, DAY_STATUS_LABELS } from '../ui/DayStatusStrip';
+
+const WEEKDAY_LABELS = ['', 'Mon', '', 'Wed', '', 'Fri', ''];
+
+const LEGEND = ['completed', 'skipped', 'frozen', 'paused', 'vacation', 'missed', 'rest'];
+
+// Days with some progress towards a target that wasn't reached
+const PARTIAL_STYLE = 'bg-green-200';
+
+// Split the days into Sunday-first weeks, padding the first week so each
+// column lines up with the weekday rows
+const toWeeks = (days) => {
+  const weeks = [];
+  const padding = days.length > 0 ? parseISO(days[0].date).getDay() : 0;
+  const cells = [...Array(padding).fill(null), ...days];
+
+  for (let i = 0; i < cells.length; i += 7) {
+    weeks.push(cells.slice(i, i + 7));
+  }
+  return weeks;
+};
+
+const getCellStyle = (day) => {
+  if (!day) return 'bg-transparent';
+  if (day.status !== 'completed' && day.value > 0 && day.status !== 'relapsed') return PARTIAL_STYLE;
+  return DAY_STATUS_STYLES[day.status] || DAY_STATUS_STYLES.none;
+};
+
+const getCellTitle = (day, unit) => {
+  const label = DAY_STATUS_LABELS[day.status] || day.status;
+  const value = day.value > 0 ? ` (${day.value} ${unit})` : '';
+  return `${format(parseISO(day.date), 'EEE, MMM d, yyyy')}: ${label}${value}`;
+};
+
+const HabitHeatmap = ({ days = [], unit = '', quit = false, onDayClick }) => {
+  const weeks = toWeeks(days);
+  const legend = quit ? ['clean', 'relapsed', 'paused'] : LEGEND;
+
+  return (
+    <div>
+      <div className="flex overflow-x-auto pb-2">
+        <div className="flex flex-col mr-2 mt-5 space-y-1">
+          {WEEKDAY_LABELS.map((label, index) => (
+            <div key={index} className="h-3 text-[10px] leading-3 text-gray-400">{label}</div>
+          ))}
+        </div>
+        <div className="flex space-x-1">
+          {weeks.map((week, weekIndex) => {
+            const firstDay = week.find(Boolean);
+            const showMonth = firstDay && parseISO(firstDay.date).getDate() <= 7;
+
+            return (
+              <div key={weekIndex} className="flex flex-col space-y-1">
+                <div className="h-4 text-[10px] text-gray-400 whitespace-nowrap">
+                  {showMonth ? format(parseISO(firstDay.date), 'MMM') : ''}
+                </div>
+                {week.map((day, dayIndex) => (
+                  day ? (
+                    <button
+                      key={day.date}
+                      type="button"
+                      onClick={() => onDayClick && onDayClick(day)}
+                      disabled={day.status === 'none'}
+                      className={`w-3 h-3 rounded-sm ${getCellStyle(day)} hover:ring-1 hover:ring-gray-400 disabled:hover:ring-0`}
+                      title={getCellTitle(day, unit)}
+                    />
+                  ) : (
+                    <div key={`pad-${dayIndex}`} className="w-3 h-3" />
+                  )
+                ))}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+      <div className="flex flex-wrap items-center gap-3 mt-3 text-xs text-gray-500">
+        {legend.map((status) => (
+          <div key={status} className="flex items-center">
+            <span className={`inline-block w-3 h-3 rounded-sm mr-1 ${DAY_STATUS_STYLES[status]}`} />
+            {DAY_STATUS_LABELS[status]}
+          </div>
+        ))}
+        {!quit && (
+          <div className="flex items-center">
+            <span className={`inline-block w-3 h-3 rounded-sm mr-1 ${PARTIAL_STYLE}`} />
+            Partial
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HabitHeatmap;
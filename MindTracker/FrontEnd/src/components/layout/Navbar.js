@@ -3,12 +3,12 @@ import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 import { 
   Bars3Icon, 
-  BellIcon, 
   UserCircleIcon,
   Cog6ToothIcon,
   ArrowRightOnRectangleIcon
 } from '@heroicons/react/24/outline';
 import { Menu, Transition } from '@headlessui/react';
+import NotificationBell from './NotificationBell';
 
 const Navbar = () => {
   const { user, logout } = useAuth();
@@ -34,84 +34,83 @@ const Navbar = () => {
             </Link>
           </div>
 
-          {/* Desktop Navigation */}
-          <div className="hidden md:flex items-center space-x-4">
+          <div className="flex items-center space-x-4">
             {/* Notifications */}
-            <button className="p-2 text-gray-400 hover:text-gray-500 relative">
-              <BellIcon className="w-6 h-6" />
-              <span className="absolute top-0 right-0 w-2 h-2 bg-red-500 rounded-full"></span>
-            </button>
+            <NotificationBell />
 
-            {/* User Menu */}
-            <Menu as="div" className="relative">
-              <Menu.Button className="flex items-center space-x-2 text-sm rounded-full focus:outline-none focus:ring-2 focus:ring-primary-500">
-                <div className="w-8 h-8 bg-primary-100 rounded-full flex items-center justify-center">
-                  <UserCircleIcon className="w-6 h-6 text-primary-600" />
-                </div>
-                <span className="hidden lg:block text-gray-700 font-medium">{user?.name}</span>
-              </Menu.Button>
+            {/* Desktop Navigation */}
+            <div className="hidden md:flex items-center">
+              {/* User Menu */}
+              <Menu as="div" className="relative">
+                <Menu.Button className="flex items-center space-x-2 text-sm rounded-full focus:outline-none focus:ring-2 focus:ring-primary-500">
+                  <div className="w-8 h-8 bg-primary-100 rounded-full flex items-center justify-center">
+                    <UserCircleIcon className="w-6 h-6 text-primary-600" />
+                  </div>
+                  <span className="hidden lg:block text-gray-700 font-medium">{user?.name}</span>
+                </Menu.Button>
 
-              <Transition
-                enter="transition ease-out duration-100"
-                enterFrom="transform opacity-0 scale-95"
-                enterTo="transform opacity-100 scale-100"
-                leave="transition ease-in duration-75"
-                leaveFrom="transform opacity-100 scale-100"
-                leaveTo="transform opacity-0 scale-95"
-              >
-                <Menu.Items className="absolute right-0 mt-2 w-48 bg-white rounded-md shadow-lg py-1 z-50 border border-gray-200">
-                  <Menu.Item>
-                    {({ active }) => (
-                      <Link
-                        to="/profile"
-                        className={`${
-                          active ? 'bg-gray-100' : ''
-                        } flex items-center px-4 py-2 text-sm text-gray-700`}
-                      >
-                        <UserCircleIcon className="w-4 h-4 mr-3" />
-                        Profile
-                      </Link>
-                    )}
-                  </Menu.Item>
-                  <Menu.Item>
-                    {({ active }) => (
-                      <Link
-                        to="/profile"
-                        className={`${
-                          active ? 'bg-gray-100' : ''
-                        } flex items-center px-4 py-2 text-sm text-gray-700`}
-                      >
-                        <Cog6ToothIcon className="w-4 h-4 mr-3" />
-                        Settings
-                      </Link>
-                    )}
-                  </Menu.Item>
-                  <Menu.Item>
-                    {({ active }) => (
-                      <button
-                        onClick={handleLogout}
-                        className={`${
-                          active ? 'bg-gray-100' : ''
-                        } flex items-center w-full px-4 py-2 text-sm text-gray-700`}
-                      >
-                        <ArrowRightOnRectangleIcon className="w-4 h-4 mr-3" />
-                        Logout
-                      </button>
-                    )}
-                  </Menu.Item>
-                </Menu.Items>
-              </Transition>
-            </Menu>
-          </div>
+                <Transition
+                  enter="transition ease-out duration-100"
+                  enterFrom="transform opacity-0 scale-95"
+                  enterTo="transform opacity-100 scale-100"
+                  leave="transition ease-in duration-75"
+                  leaveFrom="transform opacity-100 scale-100"
+                  leaveTo="transform opacity-0 scale-95"
+                >
+                  <Menu.Items className="absolute right-0 mt-2 w-48 bg-white rounded-md shadow-lg py-1 z-50 border border-gray-200">
+                    <Menu.Item>
+                      {({ active }) => (
+                        <Link
+                          to="/profile"
+                          className={`${
+                            active ? 'bg-gray-100' : ''
+                          } flex items-center px-4 py-2 text-sm text-gray-700`}
+                        >
+                          <UserCircleIcon className="w-4 h-4 mr-3" />
+                          Profile
+                        </Link>
+                      )}
+                    </Menu.Item>
+                    <Menu.Item>
+                      {({ active }) => (
+                        <Link
+                          to="/profile"
+                          className={`${
+                            active ? 'bg-gray-100' : ''
+                          } flex items-center px-4 py-2 text-sm text-gray-700`}
+                        >
+                          <Cog6ToothIcon className="w-4 h-4 mr-3" />
+                          Settings
+                        </Link>
+                      )}
+                    </Menu.Item>
+                    <Menu.Item>
+                      {({ active }) => (
+                        <button
+                          onClick={handleLogout}
+                          className={`${
+                            active ? 'bg-gray-100' : ''
+                          } flex items-center w-full px-4 py-2 text-sm text-gray-700`}
+                        >
+                          <ArrowRightOnRectangleIcon className="w-4 h-4 mr-3" />
+                          Logout
+                        </button>
+                      )}
+                    </Menu.Item>
+                  </Menu.Items>
+                </Transition>
+              </Menu>
+            </div>
 
-          {/* Mobile menu button */}
-          <div className="md:hidden">
-            <button
-              onClick={() => setIsMobileMenuOpen(!isMobileMenuOpen)}
-              className="p-2 text-gray-400 hover:text-gray-500"
-            >
-              <Bars3Icon className="w-6 h-6" />
-            </button>
+            {/* Mobile menu button */}
+            <div className="md:hidden">
+              <button
+                onClick={() => setIsMobileMenuOpen(!isMobileMenuOpen)}
+                className="p-2 text-gray-400 hover:text-gray-500"
+              >
+                <Bars3Icon className="w-6 h-6" />
+              </button>
+            </div>
           </div>
         </div>
 
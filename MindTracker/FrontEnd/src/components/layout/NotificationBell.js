@@ -0,0 +1,173 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Popover, Transition } from '@headlessui/react';
+import {
+  BellIcon,
+  BellAlertIcon,
+  ChatBubbleLeftRightIcon,
+  UserPlusIcon,
+  FlagIcon,
+  FireIcon,
+  TrophyIcon,
+  XMarkIcon
+} from '@heroicons/react/24/outline';
+import { formatDistanceToNow } from 'date-fns';
+import axios from 'axios';
+
+const POLL_INTERVAL = 60 * 1000;
+
+const TYPE_ICONS = {
+  reminder: { icon: BellAlertIcon, color: 'text-primary-600 bg-primary-100' },
+  friend: { icon: UserPlusIcon, color: 'text-blue-600 bg-blue-100' },
+  goal: { icon: FlagIcon, color: 'text-orange-600 bg-orange-100' },
+  achievement: { icon: TrophyIcon, color: 'text-yellow-600 bg-yellow-100' },
+  social: { icon: ChatBubbleLeftRightIcon, color: 'text-pink-600 bg-pink-100' },
+  challenge: { icon: FireIcon, color: 'text-red-600 bg-red-100' }
+};
+
+const NotificationBell = () => {
+  const navigate = useNavigate();
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  const fetchNotifications = useCallback(async () => {
+    try {
+      const res = await axios.get('/api/notifications');
+      setNotifications(res.data.notifications);
+      setUnreadCount(res.data.unreadCount);
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchNotifications();
+    const interval = setInterval(fetchNotifications, POLL_INTERVAL);
+    return () => clearInterval(interval);
+  }, [fetchNotifications]);
+
+  const handleOpen = async (notification, close) => {
+    if (!notification.read) {
+      try {
+        const res = await axios.put(`/api/notifications/${notification._id}/read`);
+        setNotifications(notifications.map(n => (n._id === notification._id ? res.data.notification : n)));
+        setUnreadCount(res.data.unreadCount);
+      } catch (error) {
+        console.error('Error marking notification read:', error);
+      }
+    }
+
+    if (notification.link) {
+      close();
+      navigate(notification.link);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await axios.put('/api/notifications/read-all');
+      setNotifications(notifications.map(n => ({ ...n, read: true })));
+      setUnreadCount(0);
+    } catch (error) {
+      console.error('Error marking notifications read:', error);
+    }
+  };
+
+  const handleDelete = async (event, notificationId) => {
+    event.stopPropagation();
+    try {
+      const res = await axios.delete(`/api/notifications/${notificationId}`);
+      setNotifications(notifications.filter(n => n._id !== notificationId));
+      setUnreadCount(res.data.unreadCount);
+    } catch (error) {
+      console.error('Error deleting notification:', error);
+    }
+  };
+
+  return (
+    <Popover className="relative">
+      <Popover.Button
+        className="p-2 text-gray-400 hover:text-gray-500 relative focus:outline-none"
+        aria-label="Notifications"
+      >
+        <BellIcon className="w-6 h-6" />
+        {unreadCount > 0 && (
+          <span className="absolute top-0 right-0 min-w-[1.25rem] h-5 px-1 bg-red-500 text-white text-xs font-medium rounded-full flex items-center justify-center">
+            {unreadCount > 9 ? '9+' : unreadCount}
+          </span>
+        )}
+      </Popover.Button>
+
+      <Transition
+        enter="transition ease-out duration-100"
+        enterFrom="transform opacity-0 scale-95"
+        enterTo="transform opacity-100 scale-100"
+        leave="transition ease-in duration-75"
+        leaveFrom="transform opacity-100 scale-100"
+        leaveTo="transform opacity-0 scale-95"
+      >
+        <Popover.Panel className="absolute right-0 mt-2 w-80 bg-white rounded-md shadow-lg z-50 border border-gray-200">
+          {({ close }) => (
+            <>
+              <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+                <h3 className="text-sm font-semibold text-gray-900">Notifications</h3>
+                {unreadCount > 0 && (
+                  <button
+                    onClick={handleMarkAllRead}
+                    className="text-xs font-medium text-primary-600 hover:text-primary-700"
+                  >
+                    Mark all as read
+                  </button>
+                )}
+              </div>
+
+              <div className="max-h-96 overflow-y-auto">
+                {notifications.length === 0 ? (
+                  <p className="px-4 py-6 text-sm text-center text-gray-500">You're all caught up.</p>
+                ) : (
+                  notifications.map((notification) => {
+                    const type = TYPE_ICONS[notification.type] || TYPE_ICONS.reminder;
+
+                    return (
+                      <div
+                        key={notification._id}
+                        onClick={() => handleOpen(notification, close)}
+                        className={`group flex items-start px-4 py-3 cursor-pointer hover:bg-gray-50 ${
+                          notification.read ? '' : 'bg-primary-50'
+                        }`}
+                      >
+                        <div className={`p-1.5 rounded-full mr-3 ${type.color}`}>
+                          <type.icon className="w-4 h-4" />
+                        </div>
+                        <div className="flex-1 min-w-0">
+                          <p className={`text-sm text-gray-900 ${notification.read ? '' : 'font-medium'}`}>
+                            {notification.title}
+                          </p>
+                          {notification.message && (
+                            <p className="text-xs text-gray-600 mt-0.5">{notification.message}</p>
+                          )}
+                          <p className="text-xs text-gray-400 mt-1">
+                            {formatDistanceToNow(new Date(notification.createdAt), { addSuffix: true })}
+                          </p>
+                        </div>
+                        <button
+                          onClick={(e) => handleDelete(e, notification._id)}
+                          className="ml-2 p-1 text-gray-300 hover:text-gray-500 opacity-0 group-hover:opacity-100"
+                          title="Dismiss"
+                        >
+                          <XMarkIcon className="w-4 h-4" />
+                        </button>
+                      </div>
+                    );
+                  })
+                )}
+              </div>
+            </>
+          )}
+        </Popover.Panel>
+      </Transition>
+    </Popover>
+  );
+};
+
+export default NotificationBell;
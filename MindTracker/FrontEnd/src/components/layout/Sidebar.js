@@ -6,6 +6,8 @@ import {
   HeartIcon,
   TargetIcon,
   UserGroupIcon,
+  TrophyIcon,
+  FlagIcon,
   CalendarIcon
 } from '@heroicons/react/24/outline';
 import { useAuth } from '../../contexts/AuthContext';
@@ -19,6 +21,8 @@ const Sidebar = () => {
     { name: 'Moods', href: '/moods', icon: HeartIcon },
     { name: 'Goals', href: '/goals', icon: TargetIcon },
     { name: 'Social', href: '/social', icon: UserGroupIcon },
+    { name: 'Challenges', href: '/challenges', icon: FlagIcon },
+    { name: 'Achievements', href: '/achievements', icon: TrophyIcon },
   ];
 
   return (
@@ -0,0 +1,48 @@
+import React, { useState } from 'react';
+import { EnvelopeIcon } from '@heroicons/react/24/outline';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+
+// Shown above every page until the account's email address is verified
+const VerifyEmailBanner = () => {
+  const { user } = useAuth();
+  const [sending, setSending] = useState(false);
+
+  if (!user || user.emailVerified) {
+    return null;
+  }
+
+  const handleResend = async () => {
+    try {
+      setSending(true);
+      const res = await axios.post('/api/auth/resend-verification');
+      toast.success(res.data.message);
+    } catch (error) {
+      console.error('Error resending verification email:', error);
+      toast.error(error.response?.data?.message || 'Failed to send verification email');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="bg-yellow-50 border-b border-yellow-200">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-2 flex flex-wrap items-center justify-between gap-2">
+        <p className="flex items-center text-sm text-yellow-800">
+          <EnvelopeIcon className="w-5 h-5 mr-2 flex-shrink-0" />
+          Please verify your email address ({user.email}) to use social features and email reminders.
+        </p>
+        <button
+          onClick={handleResend}
+          disabled={sending}
+          className="text-sm font-medium text-yellow-800 underline hover:text-yellow-900 disabled:opacity-50"
+        >
+          {sending ? 'Sending...' : 'Resend verification email'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmailBanner;
@@ -0,0 +1,219 @@
+import React, { useState } from 'react';
+import { LockClosedIcon } from '@heroicons/react/24/outline';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import LoadingSpinner from '../ui/LoadingSpinner';
+import { useAuth } from '../../contexts/AuthContext';
+
+const errorMessage = (error, fallback) => (
+  error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || fallback
+);
+
+// Enroll an authenticator app, replace backup codes or turn two-factor
+// authentication off
+const TwoFactorSettings = () => {
+  const { user, updateUser } = useAuth();
+  const [enrollment, setEnrollment] = useState(null);
+  const [backupCodes, setBackupCodes] = useState(null);
+  // 'regenerate' or 'disable' while one of those forms is open
+  const [action, setAction] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const enabled = user?.twoFactorEnabled;
+
+  const resetForm = () => {
+    setAction(null);
+    setCode('');
+    setPassword('');
+  };
+
+  const handleSetup = async () => {
+    try {
+      setSaving(true);
+      const res = await axios.post('/api/auth/2fa/setup');
+      setEnrollment(res.data);
+      setBackupCodes(null);
+    } catch (error) {
+      console.error('Error starting two-factor setup:', error);
+      toast.error(errorMessage(error, 'Failed to start setup'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const res = await axios.post('/api/auth/2fa/enable', { code });
+      setBackupCodes(res.data.backupCodes);
+      setEnrollment(null);
+      setCode('');
+      updateUser({ twoFactorEnabled: true });
+      toast.success(res.data.message);
+    } catch (error) {
+      console.error('Error enabling two-factor authentication:', error);
+      toast.error(errorMessage(error, 'Failed to enable two-factor authentication'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const res = await axios.post('/api/auth/2fa/backup-codes', { code });
+      setBackupCodes(res.data.backupCodes);
+      resetForm();
+      toast.success('New backup codes created');
+    } catch (error) {
+      console.error('Error regenerating backup codes:', error);
+      toast.error(errorMessage(error, 'Failed to create backup codes'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const res = await axios.post('/api/auth/2fa/disable', { password, code });
+      setBackupCodes(null);
+      resetForm();
+      updateUser({ twoFactorEnabled: false });
+      toast.success(res.data.message);
+    } catch (error) {
+      console.error('Error disabling two-factor authentication:', error);
+      toast.error(errorMessage(error, 'Failed to disable two-factor authentication'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const codeInput = (
+    <input
+      type="text"
+      inputMode="numeric"
+      autoComplete="one-time-code"
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+      className="input w-full"
+      placeholder="Authentication code"
+      required
+    />
+  );
+
+  return (
+    <div className="card p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center">
+          <LockClosedIcon className="w-5 h-5 text-gray-500 mr-2" />
+          <h3 className="text-lg font-semibold text-gray-900">Two-Factor Authentication</h3>
+        </div>
+        <span className={`text-xs font-medium ${enabled ? 'text-green-600' : 'text-gray-500'}`}>
+          {enabled ? 'On' : 'Off'}
+        </span>
+      </div>
+
+      {backupCodes && (
+        <div className="mb-4 p-4 bg-yellow-50 rounded-lg">
+          <p className="text-sm text-yellow-800 mb-2">
+            Save these backup codes somewhere safe. Each one signs you in once if you lose your phone,
+            and they won't be shown again.
+          </p>
+          <div className="grid grid-cols-2 gap-1 font-mono text-sm text-gray-900">
+            {backupCodes.map((backupCode) => (
+              <span key={backupCode}>{backupCode}</span>
+            ))}
+          </div>
+          <button
+            onClick={() => setBackupCodes(null)}
+            className="mt-3 text-sm font-medium text-yellow-800 hover:text-yellow-900"
+          >
+            I've saved them
+          </button>
+        </div>
+      )}
+
+      {!enabled && !enrollment && (
+        <div>
+          <p className="text-sm text-gray-600 mb-4">
+            Ask for a code from an authenticator app, in addition to your password, when you sign in.
+          </p>
+          <button onClick={handleSetup} disabled={saving} className="btn btn-outline w-full">
+            Set Up Two-Factor Authentication
+          </button>
+        </div>
+      )}
+
+      {!enabled && enrollment && (
+        <form onSubmit={handleEnable} className="space-y-3">
+          <p className="text-sm text-gray-600">
+            Scan this QR code with your authenticator app, then enter the code it shows.
+          </p>
+          <img src={enrollment.qrCode} alt="Two-factor QR code" className="mx-auto w-44 h-44" />
+          <p className="text-xs text-gray-500 text-center">
+            Can't scan it? Enter this key instead:
+            <span className="block mt-1 font-mono text-sm text-gray-900 break-all">{enrollment.secret}</span>
+          </p>
+          {codeInput}
+          <div className="flex space-x-2">
+            <button type="button" onClick={() => setEnrollment(null)} className="btn btn-outline flex-1">
+              Cancel
+            </button>
+            <button type="submit" disabled={saving} className="btn btn-primary flex-1">
+              {saving ? <LoadingSpinner size="sm" /> : 'Turn On'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {enabled && !action && (
+        <div className="space-y-3">
+          <button onClick={() => setAction('regenerate')} className="btn btn-outline w-full">
+            New Backup Codes
+          </button>
+          <button onClick={() => setAction('disable')} className="btn btn-outline w-full text-red-600 hover:text-red-700">
+            Turn Off
+          </button>
+        </div>
+      )}
+
+      {enabled && action && (
+        <form onSubmit={action === 'disable' ? handleDisable : handleRegenerate} className="space-y-3">
+          <p className="text-sm text-gray-600">
+            {action === 'disable'
+              ? 'Confirm with your password and a code from your app or a backup code.'
+              : 'Your old backup codes stop working. Confirm with a code from your app.'}
+          </p>
+          {action === 'disable' && (
+            <input
+              type="password"
+              autoComplete="current-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className="input w-full"
+              placeholder="Current password"
+              required
+            />
+          )}
+          {codeInput}
+          <div className="flex space-x-2">
+            <button type="button" onClick={resetForm} className="btn btn-outline flex-1">
+              Cancel
+            </button>
+            <button type="submit" disabled={saving} className="btn btn-primary flex-1">
+              {saving ? <LoadingSpinner size="sm" /> : action === 'disable' ? 'Turn Off' : 'Create Codes'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
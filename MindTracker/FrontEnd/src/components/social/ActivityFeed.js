@@ -0,0 +1,127 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { NewspaperIcon } from '@heroicons/react/24/outline';
+import { formatDistanceToNow } from 'date-fns';
+import axios from 'axios';
+import LoadingSpinner from '../ui/LoadingSpinner';
+import Reactions from './Reactions';
+
+const PAGE_SIZE = 20;
+
+const describeActivity = (activity) => {
+  switch (activity.type) {
+    case 'habit_completed':
+      return <>completed <span className="font-medium">{activity.title}</span></>;
+    case 'streak_milestone':
+      return (
+        <>
+          reached a {activity.value}-{activity.unit || 'day'} streak on{' '}
+          <span className="font-medium">{activity.title}</span>
+        </>
+      );
+    case 'goal_completed':
+      return <>achieved the goal <span className="font-medium">{activity.title}</span></>;
+    case 'achievement_earned':
+      return <>earned the <span className="font-medium">{activity.title}</span> achievement</>;
+    default:
+      return activity.title;
+  }
+};
+
+// API path of what friends react to for an activity, if anything
+const targetPath = (activity) => {
+  switch (activity.target?.type) {
+    case 'goal':
+      return `/api/goals/${activity.target.id}`;
+    case 'achievement':
+      return `/api/users/${activity.user._id}/achievements/${activity.target.id}`;
+    case 'streak':
+      return `/api/users/${activity.user._id}/streak`;
+    default:
+      return null;
+  }
+};
+
+const ActivityFeed = () => {
+  const [activities, setActivities] = useState([]);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  const fetchFeed = useCallback(async (pageToLoad) => {
+    try {
+      setLoading(true);
+      const res = await axios.get('/api/feed', { params: { page: pageToLoad, limit: PAGE_SIZE } });
+      setActivities(prev => (pageToLoad === 1 ? res.data.activities : [...prev, ...res.data.activities]));
+      setHasMore(res.data.hasMore);
+      setPage(pageToLoad);
+    } catch (error) {
+      console.error('Error fetching activity feed:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchFeed(1);
+  }, [fetchFeed]);
+
+  if (loading && activities.length === 0) {
+    return (
+      <div className="flex items-center justify-center h-32">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  if (activities.length === 0) {
+    return (
+      <div className="text-center py-8">
+        <NewspaperIcon className="mx-auto h-12 w-12 text-gray-400" />
+        <p className="mt-2 text-sm text-gray-500">
+          No activity yet. Complete habits and goals, or add friends to see theirs.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="divide-y divide-gray-100">
+        {activities.map((activity) => (
+          <div key={activity._id} className="flex items-start py-3">
+            <div className="w-10 h-10 bg-gray-50 rounded-full flex items-center justify-center mr-3 text-xl">
+              {activity.icon || '✨'}
+            </div>
+            <div className="flex-1">
+              <p className="text-sm text-gray-700">
+                <span className="font-semibold text-gray-900">{activity.user?.name || 'Someone'}</span>{' '}
+                {describeActivity(activity)}
+              </p>
+              <p className="text-xs text-gray-400 mt-0.5">
+                {formatDistanceToNow(new Date(activity.createdAt), { addSuffix: true })}
+              </p>
+              {targetPath(activity) && (
+                <Reactions
+                  basePath={targetPath(activity)}
+                  ownerId={activity.user._id}
+                  summary={{ reactions: activity.reactions, commentCount: activity.commentCount }}
+                />
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+      {hasMore && (
+        <button
+          onClick={() => fetchFeed(page + 1)}
+          disabled={loading}
+          className="btn btn-outline w-full mt-4"
+        >
+          {loading ? 'Loading...' : 'Load more'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ActivityFeed;
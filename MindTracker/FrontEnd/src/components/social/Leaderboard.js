@@ -0,0 +1,113 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { TrophyIcon } from '@heroicons/react/24/outline';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+
+const METRICS = [
+  { value: 'streak', label: 'Current streak', format: value => `${value} day streak`, periods: false },
+  { value: 'completions', label: 'Completions', format: value => `${value} ${value === 1 ? 'completion' : 'completions'}` },
+  { value: 'completion_rate', label: 'Completion rate', format: value => `${value}%` },
+  { value: 'perfect_habits', label: 'Habits at 100%', format: value => `${value} ${value === 1 ? 'habit' : 'habits'} at 100%` },
+  { value: 'goals', label: 'Goals completed', format: value => `${value} ${value === 1 ? 'goal' : 'goals'}` },
+  { value: 'achievements', label: 'Achievements', format: value => `${value} ${value === 1 ? 'achievement' : 'achievements'}` }
+];
+
+const PERIODS = [
+  { value: 'week', label: 'Week' },
+  { value: 'month', label: 'Month' },
+  { value: 'all', label: 'All time' }
+];
+
+const RANK_COLORS = ['text-yellow-500', 'text-gray-400', 'text-orange-500'];
+
+const Leaderboard = () => {
+  const { user } = useAuth();
+  const [metric, setMetric] = useState('completions');
+  const [period, setPeriod] = useState('week');
+  const [leaderboard, setLeaderboard] = useState([]);
+
+  const selected = METRICS.find(option => option.value === metric);
+
+  const fetchLeaderboard = useCallback(async () => {
+    try {
+      const res = await axios.get('/api/users/leaderboard', { params: { metric, period } });
+      setLeaderboard(res.data.leaderboard || []);
+    } catch (error) {
+      console.error('Error fetching leaderboard:', error);
+      toast.error('Failed to load leaderboard');
+    }
+  }, [metric, period]);
+
+  useEffect(() => {
+    fetchLeaderboard();
+  }, [fetchLeaderboard]);
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <select
+          value={metric}
+          onChange={(e) => setMetric(e.target.value)}
+          className="input text-sm"
+        >
+          {METRICS.map((option) => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        {selected.periods !== false && (
+          <div className="flex space-x-1">
+            {PERIODS.map((option) => (
+              <button
+                key={option.value}
+                onClick={() => setPeriod(option.value)}
+                className={`px-3 py-1 rounded-md text-sm font-medium ${
+                  period === option.value ? 'bg-primary-100 text-primary-700' : 'text-gray-500 hover:bg-gray-100'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {leaderboard.length === 0 ? (
+        <div className="text-center py-8">
+          <TrophyIcon className="mx-auto h-12 w-12 text-gray-400" />
+          <p className="mt-2 text-sm text-gray-500">No leaderboard data yet</p>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {leaderboard.slice(0, 10).map((entry) => (
+            <div
+              key={entry.user.id}
+              className={`flex items-center justify-between p-3 rounded-lg ${
+                entry.user.id === user?.id ? 'bg-primary-50' : 'bg-gray-50'
+              }`}
+            >
+              <div className="flex items-center">
+                <div className="flex items-center justify-center w-8 h-8 bg-primary-100 rounded-full mr-3">
+                  {entry.rank <= 3 ? (
+                    <TrophyIcon className={`w-5 h-5 ${RANK_COLORS[entry.rank - 1]}`} />
+                  ) : (
+                    <span className="text-sm font-bold text-primary-600">{entry.rank}</span>
+                  )}
+                </div>
+                <div>
+                  <p className="font-medium text-gray-900">{entry.user.name}</p>
+                  {metric === 'completion_rate' && (
+                    <p className="text-sm text-gray-500">{entry.hits} of {entry.owed} check-ins</p>
+                  )}
+                </div>
+              </div>
+              <span className="text-sm font-medium text-gray-900">{selected.format(entry.value)}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Leaderboard;
@@ -0,0 +1,172 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ChatBubbleLeftIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { formatDistanceToNow } from 'date-fns';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+
+const REACTIONS = {
+  high_five: { emoji: '🙌', label: 'High five' },
+  fire: { emoji: '🔥', label: 'Fire' },
+  clap: { emoji: '👏', label: 'Clap' },
+  heart: { emoji: '❤️', label: 'Love' },
+  muscle: { emoji: '💪', label: 'Strong' }
+};
+
+// Reactions and comments on a goal, achievement or streak. basePath is the API
+// path of the item, e.g. /api/goals/:id; summary ({ reactions, commentCount })
+// can be passed in when already loaded, otherwise it is fetched.
+const Reactions = ({ basePath, ownerId, summary: initialSummary }) => {
+  const { user } = useAuth();
+  const [summary, setSummary] = useState(initialSummary || null);
+  const [comments, setComments] = useState(null);
+  const [showComments, setShowComments] = useState(false);
+  const [text, setText] = useState('');
+  const [posting, setPosting] = useState(false);
+
+  const isOwner = user?.id === ownerId;
+
+  const fetchSummary = useCallback(async () => {
+    try {
+      const res = await axios.get(`${basePath}/reactions`);
+      setSummary({ reactions: res.data.reactions, commentCount: res.data.commentCount });
+    } catch (error) {
+      console.error('Error fetching reactions:', error);
+    }
+  }, [basePath]);
+
+  useEffect(() => {
+    if (!initialSummary) {
+      fetchSummary();
+    }
+  }, [initialSummary, fetchSummary]);
+
+  const fetchComments = async () => {
+    try {
+      const res = await axios.get(`${basePath}/comments`);
+      setComments(res.data.comments);
+    } catch (error) {
+      console.error('Error fetching comments:', error);
+      toast.error('Failed to load comments');
+    }
+  };
+
+  const handleToggleComments = () => {
+    if (!showComments && !comments) {
+      fetchComments();
+    }
+    setShowComments(!showComments);
+  };
+
+  const handleReact = async (type) => {
+    try {
+      const res = await axios.post(`${basePath}/reactions`, { type });
+      setSummary({ reactions: res.data.reactions, commentCount: res.data.commentCount });
+    } catch (error) {
+      console.error('Error reacting:', error);
+      toast.error(error.response?.data?.message || 'Failed to react');
+    }
+  };
+
+  const handleComment = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+
+    try {
+      setPosting(true);
+      const res = await axios.post(`${basePath}/comments`, { text });
+      setComments([...(comments || []), res.data.comment]);
+      setSummary({ ...summary, commentCount: summary.commentCount + 1 });
+      setText('');
+    } catch (error) {
+      console.error('Error adding comment:', error);
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to add comment');
+    } finally {
+      setPosting(false);
+    }
+  };
+
+  const handleDeleteComment = async (commentId) => {
+    try {
+      await axios.delete(`${basePath}/comments/${commentId}`);
+      setComments(comments.filter(comment => comment._id !== commentId));
+      setSummary({ ...summary, commentCount: summary.commentCount - 1 });
+    } catch (error) {
+      console.error('Error deleting comment:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete comment');
+    }
+  };
+
+  if (!summary) {
+    return null;
+  }
+
+  return (
+    <div className="mt-2">
+      <div className="flex flex-wrap items-center gap-1">
+        {summary.reactions.map((reaction) => (
+          <button
+            key={reaction.type}
+            onClick={() => handleReact(reaction.type)}
+            title={REACTIONS[reaction.type]?.label}
+            className={`px-2 py-0.5 rounded-full text-xs border ${
+              reaction.reacted
+                ? 'bg-primary-50 border-primary-200 text-primary-700'
+                : 'border-gray-200 text-gray-500 hover:bg-gray-50'
+            }`}
+          >
+            {REACTIONS[reaction.type]?.emoji}
+            {reaction.count > 0 && <span className="ml-1">{reaction.count}</span>}
+          </button>
+        ))}
+        <button
+          onClick={handleToggleComments}
+          className="inline-flex items-center px-2 py-0.5 text-xs text-gray-500 hover:text-gray-700"
+        >
+          <ChatBubbleLeftIcon className="w-4 h-4 mr-1" />
+          {summary.commentCount > 0 ? summary.commentCount : 'Comment'}
+        </button>
+      </div>
+
+      {showComments && (
+        <div className="mt-2 pl-3 border-l-2 border-gray-100 space-y-2">
+          {comments?.map((comment) => (
+            <div key={comment._id} className="group flex items-start text-sm">
+              <div className="flex-1">
+                <span className="font-medium text-gray-900">{comment.user?.name || 'Someone'}</span>{' '}
+                <span className="text-gray-700">{comment.text}</span>
+                <p className="text-xs text-gray-400">
+                  {formatDistanceToNow(new Date(comment.createdAt), { addSuffix: true })}
+                </p>
+              </div>
+              {(isOwner || comment.user?._id === user?.id) && (
+                <button
+                  onClick={() => handleDeleteComment(comment._id)}
+                  className="ml-2 p-1 text-gray-300 hover:text-red-500 opacity-0 group-hover:opacity-100"
+                  title="Delete comment"
+                >
+                  <TrashIcon className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+          ))}
+          <form onSubmit={handleComment} className="flex space-x-2">
+            <input
+              type="text"
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+              maxLength={280}
+              placeholder="Write a comment..."
+              className="input flex-1 text-sm"
+            />
+            <button type="submit" disabled={posting || !text.trim()} className="btn btn-primary text-sm">
+              Post
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Reactions;
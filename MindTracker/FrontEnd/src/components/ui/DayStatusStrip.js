@@ -0,0 +1,45 @@
+import React from 'react';
+import { format, parseISO } from 'date-fns';
+
+// Colors and labels for the per-day statuses returned by the habits API
+export const DAY_STATUS_STYLES = {
+  completed: 'bg-green-500',
+  clean: 'bg-emerald-400',
+  relapsed: 'bg-red-500',
+  skipped: 'bg-yellow-300',
+  frozen: 'bg-sky-300',
+  paused: 'bg-slate-300',
+  vacation: 'bg-purple-300',
+  missed: 'bg-red-200',
+  pending: 'bg-white border border-primary-400',
+  rest: 'bg-gray-200',
+  none: 'bg-gray-100'
+};
+
+export const DAY_STATUS_LABELS = {
+  completed: 'Completed',
+  clean: 'Clean',
+  relapsed: 'Relapsed',
+  skipped: 'Skipped',
+  frozen: 'Streak freeze',
+  paused: 'Paused',
+  vacation: 'Vacation',
+  missed: 'Missed',
+  pending: 'Not done yet',
+  rest: 'Not scheduled',
+  none: 'No data'
+};
+
+const DayStatusStrip = ({ days = [], className = '' }) => (
+  <div className={`flex items-center space-x-1 ${className}`}>
+    {days.map((day) => (
+      <div
+        key={day.date}
+        className={`w-6 h-6 rounded ${DAY_STATUS_STYLES[day.status] || DAY_STATUS_STYLES.none}`}
+        title={`${format(parseISO(day.date), 'EEE, MMM d')}: ${DAY_STATUS_LABELS[day.status] || day.status}`}
+      ></div>
+    ))}
+  </div>
+);
+
+export default DayStatusStrip;
@@ -0,0 +1,16 @@
+import React from 'react';
+
+const ProgressBar = ({ value = 0, max = 1, color, className = '' }) => {
+  const percentage = max > 0 ? Math.min(Math.round((value / max) * 100), 100) : 0;
+
+  return (
+    <div className={`w-full bg-gray-200 rounded-full h-2 ${className}`}>
+      <div
+        className={`h-2 rounded-full transition-all duration-300 ${color ? '' : 'bg-primary-600'}`}
+        style={{ width: `${percentage}%`, backgroundColor: color }}
+      ></div>
+    </div>
+  );
+};
+
+export default ProgressBar;
@@ -4,26 +4,86 @@ import toast from 'react-hot-toast';
 
 const AuthContext = createContext();
 
+// Requests whose 401 means bad credentials rather than an expired access token
+const AUTH_URLS = ['/api/auth/login', '/api/auth/login/2fa', '/api/auth/register', '/api/auth/refresh', '/api/auth/logout'];
+
+let refreshing = null;
+
+// Get a new access token. The refresh token is kept in localStorage, or in an
+// httpOnly cookie when the server is set up that way. Concurrent 401s share
+// one refresh.
+const refreshAccessToken = () => {
+  if (!refreshing) {
+    const sentToken = localStorage.getItem('token');
+    refreshing = axios.post('/api/auth/refresh', {
+      refreshToken: localStorage.getItem('refreshToken') || undefined
+    }, { withCredentials: true })
+      .then(res => res.data)
+      .catch(error => {
+        // Another tab may have used the same refresh token a moment earlier
+        const storedToken = localStorage.getItem('token');
+        if (storedToken && storedToken !== sentToken) {
+          return { token: storedToken };
+        }
+        throw error;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+};
+
+const storeTokens = ({ token, refreshToken }) => {
+  localStorage.setItem('token', token);
+  if (refreshToken) {
+    localStorage.setItem('refreshToken', refreshToken);
+  }
+};
+
 const initialState = {
   user: null,
   token: localStorage.getItem('token'),
   isAuthenticated: false,
-  loading: true
+  loading: true,
+  // Set between the password and the authentication code at sign-in
+  twoFactorToken: null
 };
 
 const authReducer = (state, action) => {
   switch (action.type) {
     case 'LOGIN_SUCCESS':
-      localStorage.setItem('token', action.payload.token);
+      storeTokens(action.payload);
       return {
         ...state,
         user: action.payload.user,
         token: action.payload.token,
         isAuthenticated: true,
+        loading: false,
+        twoFactorToken: null
+      };
+    case 'TWO_FACTOR_REQUIRED':
+      return {
+        ...state,
+        loading: false,
+        twoFactorToken: action.payload
+      };
+    case 'CANCEL_TWO_FACTOR':
+      return {
+        ...state,
+        loading: false,
+        twoFactorToken: null
+      };
+    case 'USER_LOADED':
+      return {
+        ...state,
+        user: action.payload,
+        isAuthenticated: true,
         loading: false
       };
     case 'LOGOUT':
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       return {
         ...state,
         user: null,
@@ -31,6 +91,12 @@ const authReducer = (state, action) => {
         isAuthenticated: false,
         loading: false
       };
+    case 'SET_TOKEN':
+      storeTokens(action.payload);
+      return {
+        ...state,
+        token: action.payload.token
+      };
     case 'SET_LOADING':
       return {
         ...state,
@@ -58,6 +124,39 @@ export const AuthProvider = ({ children }) => {
     }
   }, [state.token]);
 
+  // Refresh an expired access token and retry the request once
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      response => response,
+      async (error) => {
+        const request = error.config;
+        if (
+          error.response?.status !== 401 ||
+          !request ||
+          request.retried ||
+          AUTH_URLS.includes(request.url) ||
+          !localStorage.getItem('token')
+        ) {
+          return Promise.reject(error);
+        }
+
+        request.retried = true;
+        try {
+          const tokens = await refreshAccessToken();
+          dispatch({ type: 'SET_TOKEN', payload: tokens });
+          axios.defaults.headers.common['Authorization'] = `Bearer ${tokens.token}`;
+          request.headers['Authorization'] = `Bearer ${tokens.token}`;
+          return axios(request);
+        } catch (refreshError) {
+          dispatch({ type: 'LOGOUT' });
+          return Promise.reject(error);
+        }
+      }
+    );
+
+    return () => axios.interceptors.response.eject(interceptor);
+  }, []);
+
   // Load user on app start
   useEffect(() => {
     const loadUser = async () => {
@@ -65,14 +164,10 @@ export const AuthProvider = ({ children }) => {
         try {
           const res = await axios.get('/api/auth/me');
           dispatch({
-            type: 'LOGIN_SUCCESS',
-            payload: {
-              user: res.data.user,
-              token: state.token
-            }
+            type: 'USER_LOADED',
+            payload: res.data.user
           });
         } catch (error) {
-          localStorage.removeItem('token');
           dispatch({ type: 'LOGOUT' });
         }
       } else {
@@ -86,7 +181,12 @@ export const AuthProvider = ({ children }) => {
   const login = async (email, password) => {
     try {
       dispatch({ type: 'SET_LOADING', payload: true });
-      const res = await axios.post('/api/auth/login', { email, password });
+      const res = await axios.post('/api/auth/login', { email, password }, { withCredentials: true });
+
+      if (res.data.twoFactorRequired) {
+        dispatch({ type: 'TWO_FACTOR_REQUIRED', payload: res.data.twoFactorToken });
+        return { success: false, twoFactorRequired: true };
+      }
       
       dispatch({
         type: 'LOGIN_SUCCESS',
@@ -103,10 +203,47 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Second sign-in step for accounts with two-factor authentication
+  const verifyTwoFactor = async (code) => {
+    try {
+      dispatch({ type: 'SET_LOADING', payload: true });
+      const res = await axios.post('/api/auth/login/2fa', {
+        twoFactorToken: state.twoFactorToken,
+        code
+      }, { withCredentials: true });
+
+      dispatch({
+        type: 'LOGIN_SUCCESS',
+        payload: res.data
+      });
+
+      toast.success('Welcome back!');
+      if (res.data.backupCodesLeft !== undefined) {
+        toast(`You have ${res.data.backupCodesLeft} backup codes left`);
+      }
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Verification failed';
+      toast.error(message);
+      // An expired sign-in or too many wrong codes means starting over
+      if ([401, 429].includes(error.response?.status)) {
+        dispatch({ type: 'CANCEL_TWO_FACTOR' });
+      } else {
+        dispatch({ type: 'SET_LOADING', payload: false });
+      }
+      return { success: false, error: message };
+    }
+  };
+
+  const cancelTwoFactor = () => {
+    dispatch({ type: 'CANCEL_TWO_FACTOR' });
+  };
+
   const register = async (name, email, password) => {
     try {
       dispatch({ type: 'SET_LOADING', payload: true });
-      const res = await axios.post('/api/auth/register', { name, email, password });
+      const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+      const res = await axios.post('/api/auth/register', { name, email, password, timezone }, { withCredentials: true });
       
       dispatch({
         type: 'LOGIN_SUCCESS',
@@ -124,6 +261,11 @@ export const AuthProvider = ({ children }) => {
   };
 
   const logout = () => {
+    // End the session on the server too; signing out here doesn't wait for it
+    axios.post('/api/auth/logout', {
+      refreshToken: localStorage.getItem('refreshToken') || undefined
+    }, { withCredentials: true }).catch(error => console.error('Error ending session:', error));
+
     dispatch({ type: 'LOGOUT' });
     toast.success('Logged out successfully');
   };
@@ -138,6 +280,8 @@ export const AuthProvider = ({ children }) => {
   const value = {
     ...state,
     login,
+    verifyTwoFactor,
+    cancelTwoFactor,
     register,
     logout,
     updateUser
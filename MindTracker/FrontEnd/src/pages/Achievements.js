@@ -0,0 +1,202 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { ArrowLeftIcon, LockClosedIcon, TrophyIcon } from '@heroicons/react/24/outline';
+import { format } from 'date-fns';
+import axios from 'axios';
+import LoadingSpinner from '../components/ui/LoadingSpinner';
+import ProgressBar from '../components/ui/ProgressBar';
+import Reactions from '../components/social/Reactions';
+import { useAuth } from '../contexts/AuthContext';
+
+const RARITY_STYLES = {
+  legendary: 'bg-purple-100 text-purple-700',
+  epic: 'bg-pink-100 text-pink-700',
+  rare: 'bg-blue-100 text-blue-700',
+  common: 'bg-gray-100 text-gray-600'
+};
+
+const FILTERS = [
+  { value: 'all', label: 'All' },
+  { value: 'earned', label: 'Earned' },
+  { value: 'locked', label: 'Locked' }
+];
+
+// Shows the signed-in user's achievements, or another user's at /users/:id/achievements
+const Achievements = () => {
+  const { id } = useParams();
+  const { user } = useAuth();
+  const [achievements, setAchievements] = useState([]);
+  const [owner, setOwner] = useState(null);
+  const [filter, setFilter] = useState('all');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchAchievements = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      if (id) {
+        const res = await axios.get(`/api/users/${id}/profile`);
+        setOwner(res.data.user);
+        setAchievements(res.data.achievements);
+      } else {
+        const res = await axios.get('/api/users/achievements');
+        setOwner(null);
+        setAchievements(res.data.achievements);
+      }
+    } catch (error) {
+      console.error('Error fetching achievements:', error);
+      setError(error.response?.data?.message || 'Failed to load achievements');
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    fetchAchievements();
+  }, [fetchAchievements]);
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="card p-12 text-center">
+        <LockClosedIcon className="mx-auto h-12 w-12 text-gray-400" />
+        <p className="mt-2 text-sm text-gray-600">{error}</p>
+        <Link to="/social" className="mt-4 inline-block text-sm font-medium text-primary-600 hover:text-primary-700">
+          Back to social
+        </Link>
+      </div>
+    );
+  }
+
+  const ownerId = id || user?.id;
+  const earnedCount = achievements.filter(achievement => achievement.earned).length;
+  const visible = achievements.filter(achievement => (
+    filter === 'all' || (filter === 'earned' ? achievement.earned : !achievement.earned)
+  ));
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        {owner && (
+          <Link to="/social" className="inline-flex items-center text-sm text-gray-500 hover:text-gray-700 mb-2">
+            <ArrowLeftIcon className="w-4 h-4 mr-1" />
+            Back to social
+          </Link>
+        )}
+        <h1 className="text-2xl font-bold text-gray-900">
+          {owner ? `${owner.name}'s Achievements` : 'Achievements'}
+        </h1>
+        <p className="text-gray-600">
+          {owner ? 'Badges earned along the way' : 'Earn badges by building habits, reaching goals and staying consistent'}
+        </p>
+      </div>
+
+      {/* Summary */}
+      <div className="card p-6">
+        <div className="flex items-center justify-between mb-3">
+          <div className="flex items-center">
+            <TrophyIcon className="w-8 h-8 text-yellow-500 mr-3" />
+            <div>
+              <p className="text-2xl font-bold text-gray-900">
+                {earnedCount} / {achievements.length}
+              </p>
+              <p className="text-sm text-gray-600">achievements earned</p>
+            </div>
+          </div>
+          <div className="flex space-x-1">
+            {FILTERS.map((option) => (
+              <button
+                key={option.value}
+                onClick={() => setFilter(option.value)}
+                className={`px-3 py-1 rounded-md text-sm font-medium ${
+                  filter === option.value ? 'bg-primary-100 text-primary-700' : 'text-gray-500 hover:bg-gray-100'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <ProgressBar value={earnedCount} max={achievements.length} />
+      </div>
+
+      {/* Badges */}
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
+        {visible.map((achievement, index) => (
+          <motion.div
+            key={achievement.key}
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: index * 0.05 }}
+            className={`card p-6 ${achievement.earned ? '' : 'bg-gray-50'}`}
+          >
+            <div className="flex items-start justify-between">
+              <div className="relative">
+                <span className={`text-4xl ${achievement.earned ? '' : 'grayscale opacity-40'}`}>
+                  {achievement.icon}
+                </span>
+                {!achievement.earned && (
+                  <LockClosedIcon className="absolute -bottom-1 -right-2 w-5 h-5 text-gray-500" />
+                )}
+              </div>
+              {achievement.rarity && (
+                <span
+                  className={`px-2 py-0.5 rounded-full text-xs font-medium capitalize ${RARITY_STYLES[achievement.rarity.label]}`}
+                  title={`Earned by ${achievement.rarity.percent}% of users`}
+                >
+                  {achievement.rarity.label}
+                </span>
+              )}
+            </div>
+
+            <h3 className={`mt-4 font-semibold ${achievement.earned ? 'text-gray-900' : 'text-gray-500'}`}>
+              {achievement.title}
+            </h3>
+            <p className="text-sm text-gray-600">{achievement.description}</p>
+
+            <div className="mt-4">
+              {achievement.earned ? (
+                <p className="text-sm text-green-600">
+                  Earned {format(new Date(achievement.earnedAt), 'MMM d, yyyy')}
+                </p>
+              ) : achievement.progress !== undefined ? (
+                <>
+                  <div className="flex justify-between text-xs text-gray-500 mb-1">
+                    <span>Progress</span>
+                    <span>{achievement.progress}/{achievement.target} {achievement.unit}</span>
+                  </div>
+                  <ProgressBar value={achievement.progress} max={achievement.target} />
+                </>
+              ) : (
+                <p className="text-sm text-gray-400">Not earned yet</p>
+              )}
+              {achievement.rarity && (
+                <p className="mt-2 text-xs text-gray-400">
+                  Earned by {achievement.rarity.percent}% of users
+                </p>
+              )}
+            </div>
+
+            {achievement.earned && ownerId && (
+              <div className="mt-4 pt-3 border-t border-gray-100">
+                <Reactions basePath={`/api/users/${ownerId}/achievements/${achievement.key}`} ownerId={ownerId} />
+              </div>
+            )}
+          </motion.div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default Achievements;
@@ -0,0 +1,272 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useParams, useNavigate } from 'react-router-dom';
+import { ArrowLeftIcon, TrophyIcon, UserPlusIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { format } from 'date-fns';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import LoadingSpinner from '../components/ui/LoadingSpinner';
+import ProgressBar from '../components/ui/ProgressBar';
+import HabitPicker from '../components/challenges/HabitPicker';
+import { useAuth } from '../contexts/AuthContext';
+import { describeRule } from './Challenges';
+
+const ChallengeDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const [challenge, setChallenge] = useState(null);
+  const [standings, setStandings] = useState([]);
+  const [friends, setFriends] = useState([]);
+  const [habitId, setHabitId] = useState('');
+  const [invite, setInvite] = useState([]);
+  const [showInvite, setShowInvite] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  const fetchChallenge = useCallback(async () => {
+    try {
+      const res = await axios.get(`/api/challenges/${id}`);
+      setChallenge(res.data.challenge);
+      setStandings(res.data.standings);
+    } catch (error) {
+      console.error('Error fetching challenge:', error);
+      toast.error(error.response?.data?.message || 'Failed to load challenge');
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    fetchChallenge();
+  }, [fetchChallenge]);
+
+  const fetchFriends = async () => {
+    try {
+      const res = await axios.get('/api/users/friends');
+      setFriends(res.data.friends || []);
+    } catch (error) {
+      console.error('Error fetching friends:', error);
+    }
+  };
+
+  const handleAction = async (action, data, successMessage) => {
+    try {
+      await axios.post(`/api/challenges/${id}/${action}`, data);
+      toast.success(successMessage);
+      fetchChallenge();
+    } catch (error) {
+      console.error(`Error on challenge ${action}:`, error);
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to update challenge');
+    }
+  };
+
+  const handleInvite = async () => {
+    await handleAction('invite', { userIds: invite }, 'Invitations sent');
+    setInvite([]);
+    setShowInvite(false);
+  };
+
+  const handleDelete = async () => {
+    if (window.confirm('Delete this challenge? Everyone keeps their habits.')) {
+      try {
+        await axios.delete(`/api/challenges/${id}`);
+        toast.success('Challenge deleted');
+        navigate('/challenges');
+      } catch (error) {
+        console.error('Error deleting challenge:', error);
+        toast.error('Failed to delete challenge');
+      }
+    }
+  };
+
+  const openInvite = () => {
+    if (friends.length === 0) {
+      fetchFriends();
+    }
+    setShowInvite(!showInvite);
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  if (!challenge) {
+    return (
+      <div className="card p-12 text-center">
+        <p className="text-sm text-gray-600">Challenge not found.</p>
+        <Link to="/challenges" className="mt-4 inline-block text-sm font-medium text-primary-600 hover:text-primary-700">
+          Back to challenges
+        </Link>
+      </div>
+    );
+  }
+
+  const isCreator = challenge.creator?._id === user?.id;
+  const myStatus = challenge.participation?.status;
+  const finished = challenge.status === 'finished';
+  const unit = challenge.metric === 'days' ? 'days' : (challenge.rule?.unit || 'times');
+  const invitable = friends.filter(friend => !challenge.participants.some(participant => (
+    participant.user?._id === friend._id && ['invited', 'joined'].includes(participant.status)
+  )));
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <Link to="/challenges" className="inline-flex items-center text-sm text-gray-500 hover:text-gray-700 mb-2">
+          <ArrowLeftIcon className="w-4 h-4 mr-1" />
+          Back to challenges
+        </Link>
+        <div className="flex items-start justify-between">
+          <div className="flex items-center">
+            <span className="text-4xl mr-4">{challenge.icon}</span>
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900">{challenge.title}</h1>
+              <p className="text-gray-600">
+                {describeRule(challenge)} · {format(new Date(challenge.startDate), 'MMM d')} – {format(new Date(challenge.endDate), 'MMM d, yyyy')}
+              </p>
+              <p className="text-sm text-gray-500">
+                Counts {challenge.rule?.category || 'any'} habits{challenge.rule?.unit ? ` measured in ${challenge.rule.unit}` : ''}
+                {challenge.creator && ` · Started by ${challenge.creator.name}`}
+              </p>
+            </div>
+          </div>
+          {isCreator && (
+            <div className="flex space-x-2">
+              {!finished && (
+                <button onClick={openInvite} className="btn btn-outline flex items-center">
+                  <UserPlusIcon className="w-5 h-5 mr-2" />
+                  Invite
+                </button>
+              )}
+              <button onClick={handleDelete} className="btn btn-outline text-red-600 flex items-center">
+                <TrashIcon className="w-5 h-5" />
+              </button>
+            </div>
+          )}
+        </div>
+        {challenge.description && (
+          <p className="mt-3 text-gray-700">{challenge.description}</p>
+        )}
+      </div>
+
+      {/* Invite friends */}
+      {showInvite && (
+        <div className="card p-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">Invite friends</h3>
+          {invitable.length === 0 ? (
+            <p className="text-sm text-gray-500">All your friends are already invited.</p>
+          ) : (
+            <div className="space-y-1 mb-4">
+              {invitable.map((friend) => (
+                <label key={friend._id} className="flex items-center">
+                  <input
+                    type="checkbox"
+                    checked={invite.includes(friend._id)}
+                    onChange={() => setInvite(invite.includes(friend._id)
+                      ? invite.filter(friendId => friendId !== friend._id)
+                      : [...invite, friend._id])}
+                    className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                  />
+                  <span className="ml-2 text-sm text-gray-700">{friend.name}</span>
+                </label>
+              ))}
+            </div>
+          )}
+          <button onClick={handleInvite} disabled={invite.length === 0} className="btn btn-primary">
+            Send invitations
+          </button>
+        </div>
+      )}
+
+      {/* Invitation */}
+      {myStatus === 'invited' && !finished && (
+        <div className="card p-6 space-y-4">
+          <h3 className="text-lg font-semibold text-gray-900">You're invited</h3>
+          <HabitPicker rule={challenge.rule || {}} value={habitId} onChange={setHabitId} />
+          <div className="flex space-x-2">
+            <button
+              onClick={() => handleAction('join', { habitId: habitId || undefined }, 'Joined challenge')}
+              className="btn btn-primary"
+            >
+              Join challenge
+            </button>
+            <button
+              onClick={() => handleAction('decline', {}, 'Invitation declined')}
+              className="btn btn-outline"
+            >
+              Decline
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Winners */}
+      {finished && challenge.finishedAt && (
+        <div className="card p-6 flex items-center">
+          <TrophyIcon className="w-10 h-10 text-yellow-500 mr-4" />
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">
+              {challenge.winners.length > 0
+                ? `${challenge.winners.map(winner => winner.name).join(', ')} won!`
+                : 'Nobody won this time'}
+            </h3>
+            <p className="text-sm text-gray-600">
+              Ended {format(new Date(challenge.endDate), 'MMM d, yyyy')}
+            </p>
+          </div>
+        </div>
+      )}
+
+      {/* Standings */}
+      <div className="card p-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Standings</h3>
+        {standings.length === 0 ? (
+          <p className="text-sm text-gray-500">Nobody has joined yet.</p>
+        ) : (
+          <div className="space-y-3">
+            {standings.map((standing) => (
+              <div
+                key={standing.user._id}
+                className={`flex items-center p-3 rounded-lg ${standing.user._id === user?.id ? 'bg-primary-50' : 'bg-gray-50'}`}
+              >
+                <span className="w-8 text-lg font-bold text-gray-500">#{standing.rank}</span>
+                <div className="w-8 h-8 bg-primary-100 rounded-full flex items-center justify-center mr-3">
+                  <span className="text-sm font-medium text-primary-600">
+                    {standing.user.name?.charAt(0).toUpperCase()}
+                  </span>
+                </div>
+                <div className="flex-1">
+                  <div className="flex justify-between text-sm">
+                    <span className="font-medium text-gray-900">{standing.user.name}</span>
+                    <span className="text-gray-600">
+                      {standing.score}{challenge.target ? ` / ${challenge.target}` : ''} {unit}
+                    </span>
+                  </div>
+                  {challenge.target && (
+                    <div className="mt-1">
+                      <ProgressBar value={Math.min(standing.score, challenge.target)} max={challenge.target} />
+                    </div>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+        {myStatus === 'joined' && !isCreator && !finished && (
+          <button
+            onClick={() => handleAction('leave', {}, 'Left challenge')}
+            className="mt-4 text-sm text-gray-500 hover:text-red-600"
+          >
+            Leave challenge
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ChallengeDetail;
@@ -0,0 +1,455 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { FlagIcon, PlusIcon } from '@heroicons/react/24/outline';
+import { format, addDays } from 'date-fns';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import LoadingSpinner from '../components/ui/LoadingSpinner';
+import HabitPicker from '../components/challenges/HabitPicker';
+
+const STATUS_STYLES = {
+  upcoming: 'text-blue-600 bg-blue-100',
+  active: 'text-green-600 bg-green-100',
+  finished: 'text-gray-600 bg-gray-100'
+};
+
+const FILTERS = [
+  { value: 'active', label: 'Active' },
+  { value: 'upcoming', label: 'Upcoming' },
+  { value: 'finished', label: 'Finished' }
+];
+
+const CATEGORIES = ['health', 'fitness', 'mindfulness', 'learning', 'social', 'productivity', 'other'];
+
+const emptyForm = () => ({
+  title: '',
+  description: '',
+  icon: '🏁',
+  metric: 'days',
+  target: '',
+  dailyTarget: 1,
+  category: 'mindfulness',
+  unit: '',
+  startDate: format(new Date(), 'yyyy-MM-dd'),
+  endDate: format(addDays(new Date(), 29), 'yyyy-MM-dd'),
+  habitId: '',
+  invite: []
+});
+
+// How a challenge is scored, e.g. "20 of 30 days" or "most steps"
+export const describeRule = (challenge) => {
+  const unit = challenge.rule?.unit || 'times';
+  if (challenge.metric === 'days') {
+    return challenge.target ? `Complete on ${challenge.target} days` : 'Most days completed';
+  }
+  return challenge.target ? `Reach ${challenge.target} ${unit}` : `Most ${unit}`;
+};
+
+const Challenges = () => {
+  const [challenges, setChallenges] = useState([]);
+  const [friends, setFriends] = useState([]);
+  const [filter, setFilter] = useState('active');
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(emptyForm);
+
+  useEffect(() => {
+    fetchChallenges();
+    fetchFriends();
+  }, []);
+
+  const fetchChallenges = async () => {
+    try {
+      setLoading(true);
+      const res = await axios.get('/api/challenges');
+      setChallenges(res.data.challenges || []);
+    } catch (error) {
+      console.error('Error fetching challenges:', error);
+      toast.error('Failed to load challenges');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchFriends = async () => {
+    try {
+      const res = await axios.get('/api/users/friends');
+      setFriends(res.data.friends || []);
+    } catch (error) {
+      console.error('Error fetching friends:', error);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      await axios.post('/api/challenges', {
+        title: formData.title,
+        description: formData.description,
+        icon: formData.icon,
+        metric: formData.metric,
+        target: formData.target ? parseInt(formData.target) : null,
+        dailyTarget: formData.dailyTarget,
+        rule: { category: formData.category || undefined, unit: formData.unit || undefined },
+        startDate: formData.startDate,
+        endDate: formData.endDate,
+        habitId: formData.habitId || undefined,
+        invite: formData.invite
+      });
+      toast.success('Challenge created');
+      setShowForm(false);
+      setFormData(emptyForm());
+      fetchChallenges();
+    } catch (error) {
+      console.error('Error creating challenge:', error);
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to create challenge');
+    }
+  };
+
+  const toggleInvite = (friendId) => {
+    setFormData({
+      ...formData,
+      invite: formData.invite.includes(friendId)
+        ? formData.invite.filter(id => id !== friendId)
+        : [...formData.invite, friendId]
+    });
+  };
+
+  const handleDecline = async (challengeId) => {
+    try {
+      await axios.post(`/api/challenges/${challengeId}/decline`);
+      toast.success('Invitation declined');
+      fetchChallenges();
+    } catch (error) {
+      console.error('Error declining challenge:', error);
+      toast.error(error.response?.data?.message || 'Failed to decline invitation');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  const invitations = challenges.filter(challenge => (
+    challenge.participation?.status === 'invited' && challenge.status !== 'finished'
+  ));
+  const visible = challenges.filter(challenge => (
+    challenge.participation?.status === 'joined' && challenge.status === filter
+  ));
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Challenges</h1>
+          <p className="text-gray-600">Compete with friends on the habits you share</p>
+        </div>
+        <button
+          onClick={() => setShowForm(true)}
+          className="btn btn-primary flex items-center"
+        >
+          <PlusIcon className="w-5 h-5 mr-2" />
+          New Challenge
+        </button>
+      </div>
+
+      {/* Create Form Modal */}
+      {showForm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <motion.div
+            initial={{ opacity: 0, scale: 0.95 }}
+            animate={{ opacity: 1, scale: 1 }}
+            className="bg-white rounded-xl p-6 w-full max-w-lg mx-4 max-h-[90vh] overflow-y-auto"
+          >
+            <h2 className="text-xl font-semibold mb-4">New Challenge</h2>
+
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div className="grid grid-cols-5 gap-4">
+                <div className="col-span-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Title
+                  </label>
+                  <input
+                    type="text"
+                    value={formData.title}
+                    onChange={(e) => setFormData({ ...formData, title: e.target.value })}
+                    className="input w-full"
+                    placeholder="e.g., Meditate 20 of the next 30 days"
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Icon
+                  </label>
+                  <input
+                    type="text"
+                    value={formData.icon}
+                    onChange={(e) => setFormData({ ...formData, icon: e.target.value })}
+                    className="input w-full text-center"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Description
+                </label>
+                <textarea
+                  value={formData.description}
+                  onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                  className="input w-full h-16 resize-none"
+                  placeholder="Optional description"
+                />
+              </div>
+
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Habit category
+                  </label>
+                  <select
+                    value={formData.category}
+                    onChange={(e) => setFormData({ ...formData, category: e.target.value, habitId: '' })}
+                    className="input w-full capitalize"
+                  >
+                    <option value="">Any</option>
+                    {CATEGORIES.map((category) => (
+                      <option key={category} value={category}>{category}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Unit
+                  </label>
+                  <input
+                    type="text"
+                    value={formData.unit}
+                    onChange={(e) => setFormData({ ...formData, unit: e.target.value, habitId: '' })}
+                    className="input w-full"
+                    placeholder="Any, or e.g. steps"
+                  />
+                </div>
+              </div>
+
+              <div className="grid grid-cols-3 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Scored by
+                  </label>
+                  <select
+                    value={formData.metric}
+                    onChange={(e) => setFormData({ ...formData, metric: e.target.value })}
+                    className="input w-full"
+                  >
+                    <option value="days">Days done</option>
+                    <option value="total">Total logged</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Target
+                  </label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={formData.target}
+                    onChange={(e) => setFormData({ ...formData, target: e.target.value })}
+                    className="input w-full"
+                    placeholder="Highest wins"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Daily target
+                  </label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={formData.dailyTarget}
+                    onChange={(e) => setFormData({ ...formData, dailyTarget: parseInt(e.target.value) || 1 })}
+                    className="input w-full"
+                  />
+                </div>
+              </div>
+
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Start date
+                  </label>
+                  <input
+                    type="date"
+                    value={formData.startDate}
+                    onChange={(e) => setFormData({ ...formData, startDate: e.target.value })}
+                    className="input w-full"
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    End date
+                  </label>
+                  <input
+                    type="date"
+                    value={formData.endDate}
+                    onChange={(e) => setFormData({ ...formData, endDate: e.target.value })}
+                    className="input w-full"
+                    required
+                  />
+                </div>
+              </div>
+
+              <HabitPicker
+                rule={{ category: formData.category, unit: formData.unit }}
+                value={formData.habitId}
+                onChange={(habitId) => setFormData({ ...formData, habitId })}
+              />
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Invite friends
+                </label>
+                {friends.length === 0 ? (
+                  <p className="text-sm text-gray-500">Add friends on the Social page to invite them.</p>
+                ) : (
+                  <div className="max-h-32 overflow-y-auto space-y-1">
+                    {friends.map((friend) => (
+                      <label key={friend._id} className="flex items-center">
+                        <input
+                          type="checkbox"
+                          checked={formData.invite.includes(friend._id)}
+                          onChange={() => toggleInvite(friend._id)}
+                          className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                        />
+                        <span className="ml-2 text-sm text-gray-700">{friend.name}</span>
+                      </label>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              <div className="flex justify-end space-x-3">
+                <button
+                  type="button"
+                  onClick={() => {
+                    setShowForm(false);
+                    setFormData(emptyForm());
+                  }}
+                  className="btn btn-outline"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="btn btn-primary"
+                >
+                  Create Challenge
+                </button>
+              </div>
+            </form>
+          </motion.div>
+        </div>
+      )}
+
+      {/* Invitations */}
+      {invitations.length > 0 && (
+        <div className="card p-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">Invitations</h3>
+          <div className="space-y-3">
+            {invitations.map((challenge) => (
+              <div key={challenge._id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                <Link to={`/challenges/${challenge._id}`} className="flex items-center">
+                  <span className="text-2xl mr-3">{challenge.icon}</span>
+                  <div>
+                    <p className="font-medium text-gray-900">{challenge.title}</p>
+                    <p className="text-sm text-gray-500">
+                      From {challenge.creator?.name || 'a friend'} · {describeRule(challenge)}
+                    </p>
+                  </div>
+                </Link>
+                <div className="flex space-x-2">
+                  <Link to={`/challenges/${challenge._id}`} className="btn btn-primary text-sm">
+                    View & join
+                  </Link>
+                  <button
+                    onClick={() => handleDecline(challenge._id)}
+                    className="btn btn-outline text-sm"
+                  >
+                    Decline
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Filters */}
+      <div className="flex space-x-1">
+        {FILTERS.map((option) => (
+          <button
+            key={option.value}
+            onClick={() => setFilter(option.value)}
+            className={`px-3 py-1 rounded-md text-sm font-medium ${
+              filter === option.value ? 'bg-primary-100 text-primary-700' : 'text-gray-500 hover:bg-gray-100'
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      {/* Challenges List */}
+      {visible.length === 0 ? (
+        <div className="text-center py-12">
+          <FlagIcon className="mx-auto h-12 w-12 text-gray-400" />
+          <h3 className="mt-2 text-sm font-medium text-gray-900">No {filter} challenges</h3>
+          <p className="mt-1 text-sm text-gray-500">Start one and invite your friends.</p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {visible.map((challenge) => (
+            <Link key={challenge._id} to={`/challenges/${challenge._id}`}>
+              <motion.div
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                className="card p-6 hover:shadow-lg transition-shadow h-full"
+              >
+                <div className="flex items-start justify-between mb-4">
+                  <div className="flex items-center">
+                    <span className="text-2xl mr-3">{challenge.icon}</span>
+                    <div>
+                      <h3 className="font-semibold text-gray-900">{challenge.title}</h3>
+                      <p className="text-sm text-gray-500">{describeRule(challenge)}</p>
+                    </div>
+                  </div>
+                  <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${STATUS_STYLES[challenge.status]}`}>
+                    {challenge.status}
+                  </span>
+                </div>
+                <div className="text-sm text-gray-500">
+                  <div>
+                    {format(new Date(challenge.startDate), 'MMM d')} – {format(new Date(challenge.endDate), 'MMM d, yyyy')}
+                  </div>
+                  <div>
+                    {challenge.participants.filter(participant => participant.status === 'joined').length} taking part
+                  </div>
+                </div>
+              </motion.div>
+            </Link>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Challenges;
@@ -12,6 +12,7 @@ import { motion } from 'framer-motion';
 import axios from 'axios';
 import toast from 'react-hot-toast';
 import LoadingSpinner from '../components/ui/LoadingSpinner';
+import ProgressBar from '../components/ui/ProgressBar';
 
 const Dashboard = () => {
   const [stats, setStats] = useState({
@@ -48,10 +49,13 @@ const Dashboard = () => {
       const todayMoodRes = await axios.get('/api/moods/today');
       const todayMoodData = todayMoodRes.data.mood;
 
+      // Only habits scheduled for today count towards today's progress
+      const dueHabits = habits.filter(h => h.isDueToday || h.todayEntry?.completed);
+
       setStats({
         habits: {
-          total: habits.length,
-          completed: habits.filter(h => h.todayEntry?.completed).length
+          total: dueHabits.length,
+          completed: dueHabits.filter(h => h.todayEntry?.completed).length
         },
         moods: {
           average: moodStats.averageEnergy || 0,
@@ -64,7 +68,7 @@ const Dashboard = () => {
         streak: 0 // This would come from user data
       });
 
-      setRecentHabits(habits.slice(0, 5));
+      setRecentHabits(dueHabits.slice(0, 5));
       setTodayMood(todayMoodData);
     } catch (error) {
       console.error('Error fetching dashboard data:', error);
@@ -218,7 +222,7 @@ const Dashboard = () => {
           {recentHabits.length === 0 ? (
             <div className="text-center py-8">
               <ChartBarIcon className="mx-auto h-12 w-12 text-gray-400" />
-              <p className="mt-2 text-sm text-gray-500">No habits yet</p>
+              <p className="mt-2 text-sm text-gray-500">No habits due today</p>
               <Link
                 to="/habits"
                 className="mt-2 inline-flex items-center text-sm text-primary-600 hover:text-primary-500"
@@ -229,21 +233,33 @@ const Dashboard = () => {
           ) : (
             <div className="space-y-3">
               {recentHabits.map((habit) => (
-                <div key={habit._id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
-                  <div className="flex items-center">
-                    <span className="text-2xl mr-3">{habit.icon}</span>
-                    <div>
-                      <p className="font-medium text-gray-900">{habit.name}</p>
-                      <p className="text-sm text-gray-500">{habit.category}</p>
+                <div key={habit._id} className="p-3 bg-gray-50 rounded-lg">
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center">
+                      <span className="text-2xl mr-3">{habit.icon}</span>
+                      <div>
+                        <p className="font-medium text-gray-900">{habit.name}</p>
+                        <p className="text-sm text-gray-500">
+                          {habit.target > 1
+                            ? `${habit.todayEntry?.value || 0} / ${habit.target} ${habit.unit}`
+                            : habit.category}
+                        </p>
+                      </div>
+                    </div>
+                    <div className={`px-2 py-1 rounded-full text-xs font-medium ${
+                      habit.todayEntry?.completed 
+                        ? 'bg-green-100 text-green-800' 
+                        : 'bg-gray-100 text-gray-800'
+                    }`}>
+                      {habit.todayEntry?.completed ? 'Completed' : 'Pending'}
                     </div>
                   </div>
-                  <div className={`px-2 py-1 rounded-full text-xs font-medium ${
-                    habit.todayEntry?.completed 
-                      ? 'bg-green-100 text-green-800' 
-                      : 'bg-gray-100 text-gray-800'
-                  }`}>
-                    {habit.todayEntry?.completed ? 'Completed' : 'Pending'}
-                  </div>
+                  <ProgressBar
+                    className="mt-3"
+                    value={habit.target > 1 ? habit.todayEntry?.value || 0 : (habit.todayEntry?.completed ? 1 : 0)}
+                    max={habit.target > 1 ? habit.target : 1}
+                    color={habit.color}
+                  />
                 </div>
               ))}
             </div>
@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import LoadingSpinner from '../components/ui/LoadingSpinner';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [sent, setSent] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setLoading(true);
+      await axios.post('/api/auth/forgot-password', { email });
+      setSent(true);
+    } catch (error) {
+      console.error('Error requesting password reset:', error);
+      toast.error(error.response?.data?.errors?.[0]?.msg || 'Failed to send reset link');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen gradient-bg flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div className="text-center">
+          <div className="mx-auto h-12 w-12 bg-gradient-to-br from-primary-500 to-secondary-500 rounded-xl flex items-center justify-center">
+            <span className="text-white font-bold text-xl">M</span>
+          </div>
+          <h2 className="mt-6 text-3xl font-bold text-gray-900">
+            Forgot your password?
+          </h2>
+          <p className="mt-2 text-sm text-gray-600">
+            Enter your email and we'll send you a link to reset it
+          </p>
+        </div>
+
+        <div className="glass-effect rounded-xl p-8 shadow-xl">
+          {sent ? (
+            <div className="space-y-6 text-center">
+              <p className="text-sm text-gray-700">
+                If an account exists for <span className="font-medium">{email}</span>, a reset link is on its way.
+                Check your inbox and follow the link to choose a new password.
+              </p>
+              <Link to="/login" className="font-medium text-primary-600 hover:text-primary-500">
+                Back to sign in
+              </Link>
+            </div>
+          ) : (
+            <form className="space-y-6" onSubmit={handleSubmit}>
+              <div>
+                <label htmlFor="email" className="block text-sm font-medium text-gray-700">
+                  Email address
+                </label>
+                <div className="mt-1">
+                  <input
+                    id="email"
+                    name="email"
+                    type="email"
+                    autoComplete="email"
+                    required
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    className="input w-full"
+                    placeholder="Enter your email"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="btn btn-primary w-full flex justify-center py-2 px-4"
+                >
+                  {loading ? (
+                    <LoadingSpinner size="sm" />
+                  ) : (
+                    'Send reset link'
+                  )}
+                </button>
+              </div>
+
+              <div className="text-center">
+                <Link to="/login" className="text-sm font-medium text-primary-600 hover:text-primary-500">
+                  Back to sign in
+                </Link>
+              </div>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
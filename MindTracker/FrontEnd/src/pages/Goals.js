@@ -10,8 +10,25 @@ import {
 import axios from 'axios';
 import toast from 'react-hot-toast';
 import LoadingSpinner from '../components/ui/LoadingSpinner';
+import Reactions from '../components/social/Reactions';
+import { useAuth } from '../contexts/AuthContext';
+
+// Deadlines are stored as the end of the day in the user's timezone, so the
+// date has to be read in that timezone too, not from the UTC timestamp.
+const toDateInputValue = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(new Date(date));
+  const part = (type) => parts.find((p) => p.type === type).value;
+  return `${part('year')}-${part('month')}-${part('day')}`;
+};
 
 const Goals = () => {
+  const { user } = useAuth();
+  const timeZone = user?.preferences?.timezone || 'UTC';
   const [goals, setGoals] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showAddForm, setShowAddForm] = useState(false);
@@ -23,7 +40,8 @@ const Goals = () => {
     type: 'milestone',
     targetValue: 1,
     deadline: '',
-    priority: 'medium'
+    priority: 'medium',
+    isPublic: false
   });
 
   useEffect(() => {
@@ -63,7 +81,8 @@ const Goals = () => {
         type: 'milestone',
         targetValue: 1,
         deadline: '',
-        priority: 'medium'
+        priority: 'medium',
+        isPublic: false
       });
       fetchGoals();
     } catch (error) {
@@ -93,8 +112,9 @@ const Goals = () => {
       category: goal.category,
       type: goal.type,
       targetValue: goal.targetValue,
-      deadline: goal.deadline.split('T')[0],
-      priority: goal.priority
+      deadline: toDateInputValue(goal.deadline, timeZone),
+      priority: goal.priority,
+      isPublic: goal.isPublic || false
     });
     setShowAddForm(true);
   };
@@ -109,7 +129,8 @@ const Goals = () => {
       type: 'milestone',
       targetValue: 1,
       deadline: '',
-      priority: 'medium'
+      priority: 'medium',
+      isPublic: false
     });
   };
 
@@ -263,6 +284,16 @@ const Goals = () => {
                 </div>
               </div>
 
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={formData.isPublic}
+                  onChange={(e) => setFormData({ ...formData, isPublic: e.target.checked })}
+                  className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                />
+                <span className="ml-2 text-sm text-gray-700">Share with friends when completed</span>
+              </label>
+
               <div className="flex justify-end space-x-3">
                 <button
                   type="button"
@@ -362,9 +393,15 @@ const Goals = () => {
               </div>
 
               <div className="mt-4 text-sm text-gray-500">
-                <div>Deadline: {new Date(goal.deadline).toLocaleDateString()}</div>
+                <div>Deadline: {new Date(goal.deadline).toLocaleDateString(undefined, { timeZone })}</div>
                 <div>Days remaining: {goal.daysRemaining}</div>
               </div>
+
+              {goal.isPublic && (
+                <div className="mt-4 pt-3 border-t border-gray-100">
+                  <Reactions basePath={`/api/goals/${goal._id}`} ownerId={goal.user} />
+                </div>
+              )}
             </motion.div>
           ))}
         </div>
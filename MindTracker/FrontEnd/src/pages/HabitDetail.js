@@ -0,0 +1,380 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import {
+  ArrowLeftIcon,
+  FireIcon,
+  TrophyIcon,
+  ChartBarIcon,
+  CheckIcon,
+  ShieldCheckIcon
+} from '@heroicons/react/24/outline';
+import Calendar from 'react-calendar';
+import 'react-calendar/dist/Calendar.css';
+import { format, differenceInCalendarDays, parseISO } from 'date-fns';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import LoadingSpinner from '../components/ui/LoadingSpinner';
+import HabitHeatmap from '../components/habits/HabitHeatmap';
+import HabitAnalytics from '../components/habits/HabitAnalytics';
+import { DAY_STATUS_STYLES, DAY_STATUS_LABELS } from '../components/ui/DayStatusStrip';
+
+const emptyEntry = {
+  completed: false,
+  value: 0,
+  notes: '',
+  mood: 'good',
+  difficulty: 'moderate'
+};
+
+const HabitDetail = () => {
+  const { id } = useParams();
+  const [habit, setHabit] = useState(null);
+  const [days, setDays] = useState([]);
+  const [backfillDays, setBackfillDays] = useState(7);
+  const [loading, setLoading] = useState(true);
+  const [selectedDay, setSelectedDay] = useState(null);
+  const [entryForm, setEntryForm] = useState(emptyEntry);
+  const [saving, setSaving] = useState(false);
+
+  const fetchHistory = useCallback(async () => {
+    try {
+      const res = await axios.get(`/api/habits/${id}/history`);
+      setHabit(res.data.habit);
+      setDays(res.data.days || []);
+      setBackfillDays(res.data.backfillDays || 7);
+    } catch (error) {
+      console.error('Error fetching habit history:', error);
+      toast.error('Failed to load habit history');
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory]);
+
+  const daysByDate = days.reduce((map, day) => {
+    map[day.date] = day;
+    return map;
+  }, {});
+
+  const openDay = (day) => {
+    if (!day || day.status === 'none') return;
+
+    const entry = day.entry || {};
+    setSelectedDay(day);
+    setEntryForm({
+      completed: !!entry.completed,
+      value: entry.value || 0,
+      notes: entry.notes || '',
+      mood: entry.mood || emptyEntry.mood,
+      difficulty: entry.difficulty || emptyEntry.difficulty
+    });
+  };
+
+  const isEditable = (day) => (
+    differenceInCalendarDays(new Date(), parseISO(day.date)) <= backfillDays
+  );
+
+  const handleEntrySubmit = async (e) => {
+    e.preventDefault();
+    const quit = habit.kind === 'quit';
+    const payload = {
+      notes: entryForm.notes,
+      mood: entryForm.mood,
+      difficulty: entryForm.difficulty
+    };
+
+    if (!quit) {
+      if (habit.target > 1) {
+        payload.value = Number(entryForm.value);
+      } else {
+        payload.completed = entryForm.completed;
+        payload.value = entryForm.completed ? 1 : 0;
+      }
+    }
+
+    try {
+      setSaving(true);
+      if (selectedDay.entry) {
+        await axios.put(`/api/habits/${habit._id}/entries/${selectedDay.entry._id}`, payload);
+      } else if (quit) {
+        await axios.post(`/api/habits/${habit._id}/relapses`, { date: selectedDay.date, notes: entryForm.notes });
+      } else {
+        await axios.post(`/api/habits/${habit._id}/entries`, { ...payload, date: selectedDay.date });
+      }
+      toast.success('Entry saved');
+      setSelectedDay(null);
+      fetchHistory();
+    } catch (error) {
+      console.error('Error saving entry:', error);
+      toast.error(error.response?.data?.message || 'Failed to save entry');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEntryDelete = async () => {
+    if (!window.confirm('Delete this entry?')) return;
+
+    try {
+      await axios.delete(`/api/habits/${habit._id}/entries/${selectedDay.entry._id}`);
+      toast.success('Entry deleted');
+      setSelectedDay(null);
+      fetchHistory();
+    } catch (error) {
+      console.error('Error deleting entry:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete entry');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  if (!habit) {
+    return (
+      <div className="text-center py-12">
+        <h3 className="text-sm font-medium text-gray-900">Habit not found</h3>
+        <Link to="/habits" className="mt-4 inline-block text-sm text-primary-600 hover:text-primary-700">
+          Back to habits
+        </Link>
+      </div>
+    );
+  }
+
+  const quit = habit.kind === 'quit';
+  const streakLabel = quit ? 'days clean' : `${habit.streakUnit || 'day'} streak`;
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <Link to="/habits" className="inline-flex items-center text-sm text-gray-500 hover:text-gray-700 mb-2">
+          <ArrowLeftIcon className="w-4 h-4 mr-1" />
+          Back to habits
+        </Link>
+        <div className="flex items-center">
+          <span className="text-3xl mr-3">{habit.icon}</span>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">{habit.name}</h1>
+            <p className="text-gray-600 capitalize">
+              {habit.category} · {quit ? 'Breaking this habit' : habit.frequency}
+            </p>
+          </div>
+        </div>
+      </div>
+
+      {/* Stats */}
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-6">
+        {[
+          { label: `Current ${streakLabel}`, value: habit.stats.currentStreak, icon: quit ? ShieldCheckIcon : FireIcon, color: 'text-orange-600' },
+          { label: 'Longest streak', value: habit.stats.longestStreak, icon: TrophyIcon, color: 'text-yellow-600' },
+          { label: quit ? 'Clean days' : 'Completion rate', value: `${habit.stats.completionRate}%`, icon: ChartBarIcon, color: 'text-primary-600' },
+          quit
+            ? { label: 'Relapses', value: habit.stats.totalRelapses || 0, icon: CheckIcon, color: 'text-red-600' }
+            : { label: 'Total completions', value: habit.stats.totalCompletions, icon: CheckIcon, color: 'text-green-600' }
+        ].map((stat, index) => (
+          <motion.div
+            key={stat.label}
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: index * 0.05 }}
+            className="card p-6"
+          >
+            <div className="flex items-center">
+              <stat.icon className={`w-8 h-8 mr-3 ${stat.color}`} />
+              <div>
+                <p className="text-2xl font-bold text-gray-900">{stat.value}</p>
+                <p className="text-sm text-gray-600">{stat.label}</p>
+              </div>
+            </div>
+          </motion.div>
+        ))}
+      </div>
+
+      {/* Heatmap */}
+      <div className="card p-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Last 12 months</h3>
+        <HabitHeatmap days={days} unit={habit.unit} quit={quit} onDayClick={openDay} />
+      </div>
+
+      <HabitAnalytics habitId={habit._id} color={habit.color} quit={quit} refreshKey={days} />
+
+      {/* Calendar */}
+      <div className="card p-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Calendar</h3>
+        <Calendar
+          className="border-0 w-full"
+          maxDate={new Date()}
+          minDetail="year"
+          onClickDay={(date) => openDay(daysByDate[format(date, 'yyyy-MM-dd')])}
+          tileContent={({ date, view }) => {
+            const day = view === 'month' && daysByDate[format(date, 'yyyy-MM-dd')];
+            if (!day || day.status === 'none') return null;
+            return (
+              <span
+                className={`block mx-auto mt-1 w-2 h-2 rounded-full ${DAY_STATUS_STYLES[day.status]}`}
+                title={DAY_STATUS_LABELS[day.status]}
+              />
+            );
+          }}
+        />
+      </div>
+
+      {/* Day Entry Modal */}
+      {selectedDay && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <motion.div
+            initial={{ opacity: 0, scale: 0.95 }}
+            animate={{ opacity: 1, scale: 1 }}
+            className="bg-white rounded-xl p-6 w-full max-w-md mx-4"
+          >
+            <h2 className="text-xl font-semibold mb-1">
+              {format(parseISO(selectedDay.date), 'EEEE, MMMM d, yyyy')}
+            </h2>
+            <p className="text-sm text-gray-500 mb-4">
+              {DAY_STATUS_LABELS[selectedDay.status]}
+              {selectedDay.value > 0 && !quit && ` · ${selectedDay.value} ${habit.unit}`}
+            </p>
+
+            {!isEditable(selectedDay) ? (
+              <div className="space-y-4">
+                {selectedDay.entry?.notes && (
+                  <p className="text-sm text-gray-700">{selectedDay.entry.notes}</p>
+                )}
+                <p className="text-sm text-gray-500">
+                  Entries can only be changed for the last {backfillDays} days.
+                </p>
+                <div className="flex justify-end">
+                  <button onClick={() => setSelectedDay(null)} className="btn btn-outline">
+                    Close
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <form onSubmit={handleEntrySubmit} className="space-y-4">
+                {quit ? (
+                  <p className="text-sm text-gray-600">
+                    {selectedDay.entry?.relapsed
+                      ? 'A relapse is logged for this day. Delete the entry to mark it clean again.'
+                      : 'Saving logs a relapse for this day.'}
+                  </p>
+                ) : habit.target > 1 ? (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Amount ({habit.unit})
+                    </label>
+                    <input
+                      type="number"
+                      min="0"
+                      value={entryForm.value}
+                      onChange={(e) => setEntryForm({ ...entryForm, value: e.target.value })}
+                      className="input w-full"
+                    />
+                    <p className="mt-1 text-xs text-gray-500">Target: {habit.target} {habit.unit}</p>
+                  </div>
+                ) : (
+                  <label className="flex items-center">
+                    <input
+                      type="checkbox"
+                      checked={entryForm.completed}
+                      onChange={(e) => setEntryForm({ ...entryForm, completed: e.target.checked })}
+                      className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                    />
+                    <span className="ml-2 text-sm text-gray-700">Completed</span>
+                  </label>
+                )}
+
+                {!quit && (
+                  <div className="grid grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Mood
+                      </label>
+                      <select
+                        value={entryForm.mood}
+                        onChange={(e) => setEntryForm({ ...entryForm, mood: e.target.value })}
+                        className="input w-full"
+                      >
+                        <option value="excellent">Excellent</option>
+                        <option value="good">Good</option>
+                        <option value="okay">Okay</option>
+                        <option value="poor">Poor</option>
+                        <option value="terrible">Terrible</option>
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Difficulty
+                      </label>
+                      <select
+                        value={entryForm.difficulty}
+                        onChange={(e) => setEntryForm({ ...entryForm, difficulty: e.target.value })}
+                        className="input w-full"
+                      >
+                        <option value="very_easy">Very easy</option>
+                        <option value="easy">Easy</option>
+                        <option value="moderate">Moderate</option>
+                        <option value="hard">Hard</option>
+                        <option value="very_hard">Very hard</option>
+                      </select>
+                    </div>
+                  </div>
+                )}
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Notes
+                  </label>
+                  <textarea
+                    value={entryForm.notes}
+                    onChange={(e) => setEntryForm({ ...entryForm, notes: e.target.value })}
+                    className="input w-full h-20 resize-none"
+                    placeholder="Optional notes"
+                  />
+                </div>
+
+                <div className="flex items-center justify-between">
+                  {selectedDay.entry ? (
+                    <button
+                      type="button"
+                      onClick={handleEntryDelete}
+                      className="text-sm text-red-600 hover:text-red-700"
+                    >
+                      Delete entry
+                    </button>
+                  ) : <span />}
+                  <div className="flex space-x-3">
+                    <button
+                      type="button"
+                      onClick={() => setSelectedDay(null)}
+                      className="btn btn-outline"
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      type="submit"
+                      disabled={saving}
+                      className="btn btn-primary"
+                    >
+                      {saving ? <LoadingSpinner size="sm" /> : 'Save Entry'}
+                    </button>
+                  </div>
+                </div>
+              </form>
+            )}
+          </motion.div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HabitDetail;
@@ -1,4 +1,5 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { 
   PlusIcon, 
@@ -7,44 +8,99 @@ import {
   CheckIcon,
   XMarkIcon,
   PencilIcon,
-  TrashIcon
+  TrashIcon,
+  CalendarIcon,
+  ShieldCheckIcon,
+  PauseIcon,
+  PlayIcon,
+  SunIcon,
+  ArchiveBoxIcon,
+  ArrowUturnLeftIcon
 } from '@heroicons/react/24/outline';
+import { format, subDays } from 'date-fns';
 import axios from 'axios';
 import toast from 'react-hot-toast';
 import LoadingSpinner from '../components/ui/LoadingSpinner';
+import ProgressBar from '../components/ui/ProgressBar';
+import DayStatusStrip from '../components/ui/DayStatusStrip';
+
+const WEEKDAYS = [
+  { value: 'monday', label: 'Mon' },
+  { value: 'tuesday', label: 'Tue' },
+  { value: 'wednesday', label: 'Wed' },
+  { value: 'thursday', label: 'Thu' },
+  { value: 'friday', label: 'Fri' },
+  { value: 'saturday', label: 'Sat' },
+  { value: 'sunday', label: 'Sun' }
+];
+
+const emptyForm = {
+  name: '',
+  description: '',
+  kind: 'build',
+  category: 'health',
+  frequency: 'daily',
+  customFrequency: {
+    days: [],
+    timesPerWeek: 1
+  },
+  target: 1,
+  unit: 'times',
+  color: '#3B82F6',
+  icon: '💪',
+  isPublic: false,
+  reminder: {
+    enabled: false,
+    time: '09:00',
+    days: []
+  }
+};
+
+// Suggested quick-add amounts for quantitative habits
+const getQuickAmounts = (habit) => {
+  const unit = (habit.unit || '').toLowerCase();
+  if (unit === 'ml') return [250, 500];
+  if (unit.startsWith('min')) return [5, 15];
+  if (unit.startsWith('step')) return [1000];
+  return [1];
+};
 
 const Habits = () => {
   const [habits, setHabits] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showAddForm, setShowAddForm] = useState(false);
   const [editingHabit, setEditingHabit] = useState(null);
-  const [formData, setFormData] = useState({
-    name: '',
-    description: '',
-    category: 'health',
-    frequency: 'daily',
-    target: 1,
-    unit: 'times',
-    color: '#3B82F6',
-    icon: '💪'
-  });
-
-  useEffect(() => {
-    fetchHabits();
-  }, []);
+  const [formData, setFormData] = useState(emptyForm);
+  const [backfillDays, setBackfillDays] = useState(7);
+  const [pendingHabits, setPendingHabits] = useState([]);
+  const [customAmounts, setCustomAmounts] = useState({});
+  const [pastEntryHabit, setPastEntryHabit] = useState(null);
+  const [pastEntry, setPastEntry] = useState({ date: '', completed: true, useFreeze: false, notes: '' });
+  const [streakFreezes, setStreakFreezes] = useState({ available: 0 });
+  const [onVacation, setOnVacation] = useState(false);
+  const [view, setView] = useState('active');
 
-  const fetchHabits = async () => {
+  const fetchHabits = useCallback(async () => {
     try {
       setLoading(true);
-      const res = await axios.get('/api/habits');
+      const res = await axios.get('/api/habits', {
+        params: view === 'archived' ? { archived: true } : {}
+      });
       setHabits(res.data.habits || []);
+      setBackfillDays(res.data.backfillDays || 7);
+      setStreakFreezes(res.data.streakFreezes || { available: 0 });
+      setOnVacation(!!res.data.onVacation);
     } catch (error) {
       console.error('Error fetching habits:', error);
       toast.error('Failed to load habits');
     } finally {
       setLoading(false);
     }
-  };
+  }, [view]);
+
+  useEffect(() => {
+    fetchHabits();
+  }, [fetchHabits]);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -59,16 +115,7 @@ const Habits = () => {
       
       setShowAddForm(false);
       setEditingHabit(null);
-      setFormData({
-        name: '',
-        description: '',
-        category: 'health',
-        frequency: 'daily',
-        target: 1,
-        unit: 'times',
-        color: '#3B82F6',
-        icon: '💪'
-      });
+      setFormData(emptyForm);
       fetchHabits();
     } catch (error) {
       console.error('Error saving habit:', error);
@@ -76,30 +123,172 @@ const Habits = () => {
     }
   };
 
-  const handleDelete = async (habitId) => {
-    if (window.confirm('Are you sure you want to delete this habit?')) {
-      try {
-        await axios.delete(`/api/habits/${habitId}`);
-        toast.success('Habit deleted successfully');
-        fetchHabits();
-      } catch (error) {
-        console.error('Error deleting habit:', error);
-        toast.error('Failed to delete habit');
-      }
+  const handleArchive = async (habit) => {
+    if (!window.confirm(`Archive "${habit.name}"? It will be hidden but its history is kept.`)) return;
+
+    try {
+      await axios.post(`/api/habits/${habit._id}/archive`);
+      toast.success('Habit archived');
+      fetchHabits();
+    } catch (error) {
+      console.error('Error archiving habit:', error);
+      toast.error('Failed to archive habit');
     }
   };
 
-  const handleToggleHabit = async (habitId, completed) => {
+  const handleRestore = async (habit) => {
     try {
-      await axios.post(`/api/habits/${habitId}/entries`, {
-        completed: !completed,
-        value: completed ? 0 : 1
-      });
-      toast.success(completed ? 'Habit unchecked' : 'Habit completed!');
+      await axios.post(`/api/habits/${habit._id}/restore`);
+      toast.success('Habit restored');
+      fetchHabits();
+    } catch (error) {
+      console.error('Error restoring habit:', error);
+      toast.error('Failed to restore habit');
+    }
+  };
+
+  const handleDeletePermanently = async (habit) => {
+    if (!window.confirm(`Permanently delete "${habit.name}" and all of its history? This cannot be undone.`)) return;
+
+    try {
+      await axios.delete(`/api/habits/${habit._id}`);
+      toast.success('Habit deleted permanently');
+      fetchHabits();
+    } catch (error) {
+      console.error('Error deleting habit:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete habit');
+    }
+  };
+
+  const handleTogglePause = async (habit) => {
+    try {
+      await axios.post(`/api/habits/${habit._id}/${habit.isPaused ? 'resume' : 'pause'}`);
+      toast.success(habit.isPaused ? 'Habit resumed' : 'Habit paused. Your streak is frozen until you resume.');
       fetchHabits();
+    } catch (error) {
+      console.error('Error pausing habit:', error);
+      toast.error(error.response?.data?.message || 'Failed to update habit');
+    }
+  };
+
+  // Save today's entry and apply the server's result; returns the entry or null
+  const logTodayEntry = async (habit, payload) => {
+    // Ignore repeat clicks until the previous update has been saved
+    if (pendingHabits.includes(habit._id)) return null;
+
+    setPendingHabits(prev => [...prev, habit._id]);
+    try {
+      const res = await axios.post(`/api/habits/${habit._id}/entries`, payload);
+      setHabits(prev => prev.map(h => (
+        h._id === habit._id ? { ...h, todayEntry: res.data.entry, stats: res.data.stats } : h
+      )));
+      return res.data.entry;
     } catch (error) {
       console.error('Error updating habit:', error);
       toast.error('Failed to update habit');
+      return null;
+    } finally {
+      setPendingHabits(prev => prev.filter(id => id !== habit._id));
+    }
+  };
+
+  const handleToggleHabit = async (habit) => {
+    const completed = habit.todayEntry?.completed;
+    // Completing a quantitative habit logs its full target
+    const entry = await logTodayEntry(habit, {
+      completed: !completed,
+      value: completed ? 0 : habit.target
+    });
+    if (entry) {
+      toast.success(completed ? 'Habit unchecked' : 'Habit completed!');
+    }
+  };
+
+  const handleLogRelapse = async (habit) => {
+    if (!window.confirm(`Log a relapse for "${habit.name}" today? This resets your clean streak.`)) return;
+
+    try {
+      const res = await axios.post(`/api/habits/${habit._id}/relapses`);
+      setHabits(prev => prev.map(h => (
+        h._id === habit._id ? { ...h, todayEntry: res.data.entry, stats: res.data.stats } : h
+      )));
+      toast.success('Relapse logged. Tomorrow is a fresh start.');
+    } catch (error) {
+      console.error('Error logging relapse:', error);
+      toast.error('Failed to log relapse');
+    }
+  };
+
+  const handleSkipToday = async (habit) => {
+    try {
+      const res = await axios.post(`/api/habits/${habit._id}/skip`);
+      setHabits(prev => prev.map(h => (
+        h._id === habit._id ? { ...h, todayEntry: res.data.entry, stats: res.data.stats, isDueToday: false } : h
+      )));
+      toast.success('Skipped for today. Your streak is safe.');
+    } catch (error) {
+      console.error('Error skipping habit:', error);
+      toast.error(error.response?.data?.message || 'Failed to skip habit');
+    }
+  };
+
+  const handleUndoSkip = async (habit) => {
+    try {
+      await axios.delete(`/api/habits/${habit._id}/entries/${habit.todayEntry._id}`);
+      toast.success('Skip removed');
+      fetchHabits();
+    } catch (error) {
+      console.error('Error removing skip:', error);
+      toast.error('Failed to remove skip');
+    }
+  };
+
+  const handleLogAmount = async (habit, amount) => {
+    if (!amount || amount <= 0) return;
+
+    const entry = await logTodayEntry(habit, { increment: amount });
+    if (entry) {
+      toast.success(entry.completed && !habit.todayEntry?.completed
+        ? 'Habit completed!'
+        : `Added ${amount} ${habit.unit}`);
+      setCustomAmounts(prev => ({ ...prev, [habit._id]: '' }));
+    }
+  };
+
+  const openPastEntryForm = (habit) => {
+    setPastEntryHabit(habit);
+    setPastEntry({
+      date: format(subDays(new Date(), 1), 'yyyy-MM-dd'),
+      completed: true,
+      useFreeze: false,
+      notes: ''
+    });
+  };
+
+  const handlePastEntrySubmit = async (e) => {
+    e.preventDefault();
+    try {
+      if (pastEntryHabit.kind === 'quit') {
+        await axios.post(`/api/habits/${pastEntryHabit._id}/relapses`, {
+          date: pastEntry.date,
+          notes: pastEntry.notes
+        });
+      } else if (pastEntry.useFreeze) {
+        await axios.post(`/api/habits/${pastEntryHabit._id}/freeze`, { date: pastEntry.date });
+      } else {
+        await axios.post(`/api/habits/${pastEntryHabit._id}/entries`, {
+          date: pastEntry.date,
+          completed: pastEntry.completed,
+          notes: pastEntry.notes,
+          value: pastEntry.completed ? pastEntryHabit.target : 0
+        });
+      }
+      toast.success('Entry saved');
+      setPastEntryHabit(null);
+      fetchHabits();
+    } catch (error) {
+      console.error('Error saving entry:', error);
+      toast.error(error.response?.data?.message || 'Failed to save entry');
     }
   };
 
@@ -108,29 +297,45 @@ const Habits = () => {
     setFormData({
       name: habit.name,
       description: habit.description,
+      kind: habit.kind || 'build',
       category: habit.category,
       frequency: habit.frequency,
+      customFrequency: {
+        days: habit.customFrequency?.days || [],
+        timesPerWeek: habit.customFrequency?.timesPerWeek || 1
+      },
       target: habit.target,
       unit: habit.unit,
       color: habit.color,
-      icon: habit.icon
+      icon: habit.icon,
+      isPublic: habit.isPublic || false,
+      reminder: {
+        enabled: habit.reminder?.enabled || false,
+        time: habit.reminder?.time || '09:00',
+        days: habit.reminder?.days || []
+      }
     });
     setShowAddForm(true);
   };
 
+  const toggleCustomDay = (day) => {
+    const days = formData.customFrequency.days.includes(day)
+      ? formData.customFrequency.days.filter(d => d !== day)
+      : [...formData.customFrequency.days, day];
+    setFormData({ ...formData, customFrequency: { ...formData.customFrequency, days } });
+  };
+
+  const toggleReminderDay = (day) => {
+    const days = formData.reminder.days.includes(day)
+      ? formData.reminder.days.filter(d => d !== day)
+      : [...formData.reminder.days, day];
+    setFormData({ ...formData, reminder: { ...formData.reminder, days } });
+  };
+
   const closeForm = () => {
     setShowAddForm(false);
     setEditingHabit(null);
-    setFormData({
-      name: '',
-      description: '',
-      category: 'health',
-      frequency: 'daily',
-      target: 1,
-      unit: 'times',
-      color: '#3B82F6',
-      icon: '💪'
-    });
+    setFormData(emptyForm);
   };
 
   if (loading) {
@@ -149,15 +354,52 @@ const Habits = () => {
           <h1 className="text-2xl font-bold text-gray-900">Habits</h1>
           <p className="text-gray-600">Track your daily habits and build consistency</p>
         </div>
-        <button
-          onClick={() => setShowAddForm(true)}
-          className="btn btn-primary flex items-center"
-        >
-          <PlusIcon className="w-5 h-5 mr-2" />
-          Add Habit
-        </button>
+        <div className="flex items-center space-x-3">
+          <span
+            className="px-3 py-1 rounded-full text-sm font-medium bg-sky-100 text-sky-700"
+            title="Earned by keeping up your streak; use one to cover a missed day"
+          >
+            ❄️ {streakFreezes.available} streak {streakFreezes.available === 1 ? 'freeze' : 'freezes'}
+          </span>
+            <button
+            onClick={() => setShowAddForm(true)}
+            className="btn btn-primary flex items-center"
+          >
+            <PlusIcon className="w-5 h-5 mr-2" />
+            Add Habit
+          </button>
+        </div>
       </div>
 
+      {/* Tabs */}
+      <div className="flex space-x-1 border-b border-gray-200">
+        {[
+          { id: 'active', label: 'Active' },
+          { id: 'archived', label: 'Archived' }
+        ].map((tab) => (
+          <button
+            key={tab.id}
+            onClick={() => setView(tab.id)}
+            className={`px-4 py-2 text-sm font-medium border-b-2 -mb-px ${
+              view === tab.id
+                ? 'border-primary-600 text-primary-600'
+                : 'border-transparent text-gray-500 hover:text-gray-700'
+            }`}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {onVacation && view === 'active' && (
+        <div className="flex items-center p-4 rounded-lg bg-purple-50 text-purple-700">
+          <SunIcon className="w-5 h-5 mr-2" />
+          <span className="text-sm">
+            You are on vacation. Habits are paused and your streaks are safe until you are back.
+          </span>
+        </div>
+      )}
+
       {/* Add/Edit Form Modal */}
       {showAddForm && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -185,6 +427,20 @@ const Habits = () => {
                 />
               </div>
 
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Type
+                </label>
+                <select
+                  value={formData.kind}
+                  onChange={(e) => setFormData({ ...formData, kind: e.target.value })}
+                  className="input w-full"
+                >
+                  <option value="build">Build a habit</option>
+                  <option value="quit">Break a habit</option>
+                </select>
+              </div>
+
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
                   Description
@@ -217,49 +473,160 @@ const Habits = () => {
                   </select>
                 </div>
 
+                {formData.kind !== 'quit' && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Frequency
+                    </label>
+                    <select
+                      value={formData.frequency}
+                      onChange={(e) => setFormData({ ...formData, frequency: e.target.value })}
+                      className="input w-full"
+                    >
+                      <option value="daily">Daily</option>
+                      <option value="weekly">Weekly</option>
+                      <option value="custom">Custom</option>
+                    </select>
+                  </div>
+                )}
+              </div>
+
+              {formData.kind !== 'quit' && formData.frequency === 'custom' && (
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">
-                    Frequency
+                    Repeat on
                   </label>
-                  <select
-                    value={formData.frequency}
-                    onChange={(e) => setFormData({ ...formData, frequency: e.target.value })}
-                    className="input w-full"
-                  >
-                    <option value="daily">Daily</option>
-                    <option value="weekly">Weekly</option>
-                    <option value="custom">Custom</option>
-                  </select>
+                  <div className="flex flex-wrap gap-2">
+                    {WEEKDAYS.map((day) => (
+                      <button
+                        key={day.value}
+                        type="button"
+                        onClick={() => toggleCustomDay(day.value)}
+                        className={`px-2 py-1 rounded-md text-xs font-medium transition-colors ${
+                          formData.customFrequency.days.includes(day.value)
+                            ? 'bg-primary-600 text-white'
+                            : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                        }`}
+                      >
+                        {day.label}
+                      </button>
+                    ))}
+                  </div>
                 </div>
-              </div>
+              )}
 
-              <div className="grid grid-cols-2 gap-4">
+              {formData.kind !== 'quit' && formData.frequency === 'weekly' && (
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">
-                    Target
+                    Times per week
                   </label>
                   <input
                     type="number"
                     min="1"
-                    value={formData.target}
-                    onChange={(e) => setFormData({ ...formData, target: parseInt(e.target.value) })}
+                    max="7"
+                    value={formData.customFrequency.timesPerWeek}
+                    onChange={(e) => setFormData({
+                      ...formData,
+                      customFrequency: { ...formData.customFrequency, timesPerWeek: parseInt(e.target.value) }
+                    })}
                     className="input w-full"
                   />
                 </div>
+              )}
+
+              {formData.kind !== 'quit' && (
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Target
+                    </label>
+                    <input
+                      type="number"
+                      min="1"
+                      value={formData.target}
+                      onChange={(e) => setFormData({ ...formData, target: parseInt(e.target.value) })}
+                      className="input w-full"
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Unit
+                    </label>
+                    <input
+                      type="text"
+                      value={formData.unit}
+                      onChange={(e) => setFormData({ ...formData, unit: e.target.value })}
+                      className="input w-full"
+                      placeholder="times, glasses, minutes"
+                    />
+                  </div>
+                </div>
+              )}
 
+              {formData.kind !== 'quit' && (
                 <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">
-                    Unit
-                  </label>
-                  <input
-                    type="text"
-                    value={formData.unit}
-                    onChange={(e) => setFormData({ ...formData, unit: e.target.value })}
-                    className="input w-full"
-                    placeholder="times, glasses, minutes"
-                  />
+                  <div className="flex items-center">
+                    <input
+                      id="reminder-enabled"
+                      type="checkbox"
+                      checked={formData.reminder.enabled}
+                      onChange={(e) => setFormData({
+                        ...formData,
+                        reminder: { ...formData.reminder, enabled: e.target.checked }
+                      })}
+                      className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                    />
+                    <label htmlFor="reminder-enabled" className="ml-2 text-sm font-medium text-gray-700">
+                      Remind me
+                    </label>
+                  </div>
+
+                  {formData.reminder.enabled && (
+                    <div className="mt-2 space-y-2">
+                      <input
+                        type="time"
+                        value={formData.reminder.time}
+                        onChange={(e) => setFormData({
+                          ...formData,
+                          reminder: { ...formData.reminder, time: e.target.value }
+                        })}
+                        className="input w-full"
+                        required
+                      />
+                      <div className="flex flex-wrap gap-2">
+                        {WEEKDAYS.map((day) => (
+                          <button
+                            key={day.value}
+                            type="button"
+                            onClick={() => toggleReminderDay(day.value)}
+                            className={`px-2 py-1 rounded-md text-xs font-medium transition-colors ${
+                              formData.reminder.days.includes(day.value)
+                                ? 'bg-primary-600 text-white'
+                                : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                            }`}
+                          >
+                            {day.label}
+                          </button>
+                        ))}
+                      </div>
+                      <p className="text-xs text-gray-500">
+                        Leave all days off to be reminded whenever the habit is due.
+                      </p>
+                    </div>
+                  )}
                 </div>
-              </div>
+              )}
+
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={formData.isPublic}
+                  onChange={(e) => setFormData({ ...formData, isPublic: e.target.checked })}
+                  className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                />
+                <span className="ml-2 text-sm text-gray-700">Share progress with friends</span>
+              </label>
 
               <div className="flex justify-end space-x-3">
                 <button
@@ -281,8 +648,108 @@ const Habits = () => {
         </div>
       )}
 
+      {/* Past Entry Modal */}
+      {pastEntryHabit && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <motion.div
+            initial={{ opacity: 0, scale: 0.95 }}
+            animate={{ opacity: 1, scale: 1 }}
+            className="bg-white rounded-xl p-6 w-full max-w-md mx-4"
+          >
+            <h2 className="text-xl font-semibold mb-4">
+              Log a past day for {pastEntryHabit.name}
+            </h2>
+
+            <form onSubmit={handlePastEntrySubmit} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Date
+                </label>
+                <input
+                  type="date"
+                  value={pastEntry.date}
+                  min={format(subDays(new Date(), backfillDays), 'yyyy-MM-dd')}
+                  max={format(new Date(), 'yyyy-MM-dd')}
+                  onChange={(e) => setPastEntry({ ...pastEntry, date: e.target.value })}
+                  className="input w-full"
+                  required
+                />
+                <p className="mt-1 text-xs text-gray-500">
+                  You can log entries for up to {backfillDays} days back.
+                </p>
+              </div>
+
+              {pastEntryHabit.kind === 'quit' ? (
+                <p className="text-sm text-gray-600">
+                  This logs a relapse on the selected day and recalculates your clean streak.
+                </p>
+              ) : (
+                <div className="space-y-2">
+                  <label className="flex items-center">
+                    <input
+                      type="checkbox"
+                      checked={pastEntry.completed && !pastEntry.useFreeze}
+                      disabled={pastEntry.useFreeze}
+                      onChange={(e) => setPastEntry({ ...pastEntry, completed: e.target.checked })}
+                      className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                    />
+                    <span className="ml-2 text-sm text-gray-700">Completed</span>
+                  </label>
+                  <label className="flex items-center">
+                    <input
+                      type="checkbox"
+                      checked={pastEntry.useFreeze}
+                      disabled={streakFreezes.available < 1}
+                      onChange={(e) => setPastEntry({ ...pastEntry, useFreeze: e.target.checked })}
+                      className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                    />
+                    <span className="ml-2 text-sm text-gray-700">
+                      Missed it? Use a streak freeze ({streakFreezes.available} left)
+                    </span>
+                  </label>
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Notes
+                </label>
+                <textarea
+                  value={pastEntry.notes}
+                  onChange={(e) => setPastEntry({ ...pastEntry, notes: e.target.value })}
+                  className="input w-full h-20 resize-none"
+                  placeholder="Optional notes"
+                />
+              </div>
+
+              <div className="flex justify-end space-x-3">
+                <button
+                  type="button"
+                  onClick={() => setPastEntryHabit(null)}
+                  className="btn btn-outline"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="btn btn-primary"
+                >
+                  Save Entry
+                </button>
+              </div>
+            </form>
+          </motion.div>
+        </div>
+      )}
+
       {/* Habits List */}
-      {habits.length === 0 ? (
+      {habits.length === 0 && view === 'archived' ? (
+        <div className="text-center py-12">
+          <ArchiveBoxIcon className="mx-auto h-12 w-12 text-gray-400" />
+          <h3 className="mt-2 text-sm font-medium text-gray-900">No archived habits</h3>
+          <p className="mt-1 text-sm text-gray-500">Habits you archive keep their history and show up here.</p>
+        </div>
+      ) : habits.length === 0 ? (
         <div className="text-center py-12">
           <ChartBarIcon className="mx-auto h-12 w-12 text-gray-400" />
           <h3 className="mt-2 text-sm font-medium text-gray-900">No habits yet</h3>
@@ -304,68 +771,250 @@ const Habits = () => {
               key={habit._id}
               initial={{ opacity: 0, y: 20 }}
               animate={{ opacity: 1, y: 0 }}
-              className="card p-6 hover:shadow-lg transition-shadow"
+              className={`card p-6 hover:shadow-lg transition-shadow ${
+                habit.kind === 'quit' ? 'border-l-4 border-l-emerald-500 bg-emerald-50' : ''
+              }`}
             >
               <div className="flex items-start justify-between mb-4">
                 <div className="flex items-center">
                   <span className="text-2xl mr-3">{habit.icon}</span>
                   <div>
-                    <h3 className="font-semibold text-gray-900">{habit.name}</h3>
+                    <h3 className="font-semibold text-gray-900">
+                      <Link to={`/habits/${habit._id}`} className="hover:text-primary-600">
+                        {habit.name}
+                      </Link>
+                    </h3>
                     <p className="text-sm text-gray-500 capitalize">{habit.category}</p>
+                    {view === 'archived' || habit.isPaused ? (
+                      <span className="inline-block mt-1 px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-500">
+                        {view === 'archived' ? 'Archived' : 'Paused'}
+                      </span>
+                    ) : habit.kind === 'quit' ? (
+                      <span className="inline-block mt-1 px-2 py-0.5 rounded-full text-xs font-medium bg-emerald-100 text-emerald-700">
+                        Breaking this habit
+                      </span>
+                    ) : (
+                      <span className={`inline-block mt-1 px-2 py-0.5 rounded-full text-xs font-medium ${
+                        habit.isDueToday ? 'bg-primary-100 text-primary-700' : 'bg-gray-100 text-gray-500'
+                      }`}>
+                        {habit.todayEntry?.skipped ? 'Skipped today' : habit.isDueToday ? 'Due today' : 'Not due today'}
+                      </span>
+                    )}
                   </div>
                 </div>
-                <div className="flex space-x-1">
-                  <button
-                    onClick={() => openEditForm(habit)}
-                    className="p-1 text-gray-400 hover:text-gray-600"
-                  >
-                    <PencilIcon className="w-4 h-4" />
-                  </button>
-                  <button
-                    onClick={() => handleDelete(habit._id)}
-                    className="p-1 text-gray-400 hover:text-red-600"
-                  >
-                    <TrashIcon className="w-4 h-4" />
-                  </button>
-                </div>
+                {view === 'archived' ? (
+                  <div className="flex space-x-1">
+                    <button
+                      onClick={() => handleRestore(habit)}
+                      className="p-1 text-gray-400 hover:text-gray-600"
+                      title="Restore"
+                    >
+                      <ArrowUturnLeftIcon className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handleDeletePermanently(habit)}
+                      className="p-1 text-gray-400 hover:text-red-600"
+                      title="Delete permanently"
+                    >
+                      <TrashIcon className="w-4 h-4" />
+                    </button>
+                  </div>
+                ) : (
+                  <div className="flex space-x-1">
+                    <button
+                      onClick={() => openPastEntryForm(habit)}
+                      className="p-1 text-gray-400 hover:text-gray-600"
+                      title="Log a past day"
+                    >
+                      <CalendarIcon className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handleTogglePause(habit)}
+                      className="p-1 text-gray-400 hover:text-gray-600"
+                      title={habit.isPaused ? 'Resume' : 'Pause'}
+                    >
+                      {habit.isPaused ? <PlayIcon className="w-4 h-4" /> : <PauseIcon className="w-4 h-4" />}
+                    </button>
+                    <button
+                      onClick={() => openEditForm(habit)}
+                      className="p-1 text-gray-400 hover:text-gray-600"
+                    >
+                      <PencilIcon className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handleArchive(habit)}
+                      className="p-1 text-gray-400 hover:text-gray-600"
+                      title="Archive"
+                    >
+                      <ArchiveBoxIcon className="w-4 h-4" />
+                    </button>
+                  </div>
+                )}
               </div>
 
               {habit.description && (
                 <p className="text-sm text-gray-600 mb-4">{habit.description}</p>
               )}
 
-              <div className="flex items-center justify-between mb-4">
-                <div className="flex items-center text-sm text-gray-500">
-                  <FireIcon className="w-4 h-4 mr-1" />
-                  <span>{habit.stats.currentStreak} day streak</span>
+              {habit.kind === 'quit' ? (
+                <div className="flex items-center justify-between mb-4">
+                  <div className="flex items-center text-sm text-emerald-700 font-medium">
+                    <ShieldCheckIcon className="w-4 h-4 mr-1" />
+                    <span>{habit.stats.currentStreak} days clean</span>
+                  </div>
+                  <div className="text-sm text-gray-500">
+                    Longest: {habit.stats.longestStreak} days
+                  </div>
                 </div>
-                <div className="text-sm text-gray-500">
-                  {habit.stats.totalCompletions} total
+              ) : (
+                <div className="flex items-center justify-between mb-4">
+                  <div className="flex items-center text-sm text-gray-500">
+                    <FireIcon className="w-4 h-4 mr-1" />
+                    <span>{habit.stats.currentStreak} {habit.streakUnit || 'day'} streak</span>
+                  </div>
+                  <div className="text-sm text-gray-500">
+                    {habit.stats.totalCompletions} total
+                  </div>
                 </div>
-              </div>
+              )}
 
-              <div className="flex items-center justify-between">
-                <div className="flex items-center">
+              {habit.recentDays && view === 'active' && (
+                <DayStatusStrip days={habit.recentDays} className="mb-4" />
+              )}
+
+              {view === 'archived' ? (
+                <div className="flex items-center justify-between">
+                  <span className="text-xs text-gray-500">
+                    Archived {habit.archivedAt ? format(new Date(habit.archivedAt), 'MMM d, yyyy') : ''}
+                  </span>
                   <button
-                    onClick={() => handleToggleHabit(habit._id, habit.todayEntry?.completed)}
-                    className={`flex items-center px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
-                      habit.todayEntry?.completed
-                        ? 'bg-green-100 text-green-800 hover:bg-green-200'
-                        : 'bg-gray-100 text-gray-800 hover:bg-gray-200'
-                    }`}
+                    onClick={() => handleRestore(habit)}
+                    className="px-3 py-2 rounded-lg text-sm font-medium bg-gray-100 text-gray-800 hover:bg-gray-200"
                   >
-                    {habit.todayEntry?.completed ? (
-                      <CheckIcon className="w-4 h-4 mr-2" />
-                    ) : (
-                      <XMarkIcon className="w-4 h-4 mr-2" />
-                    )}
-                    {habit.todayEntry?.completed ? 'Completed' : 'Mark Complete'}
+                    Restore
                   </button>
                 </div>
-                <div className="text-xs text-gray-500">
-                  {habit.target} {habit.unit}
+              ) : habit.isPaused ? (
+                <div className="flex items-center justify-between">
+                  <span className="text-xs text-gray-500">Paused. Your streak is frozen.</span>
+                  <button
+                    onClick={() => handleTogglePause(habit)}
+                    className="flex items-center px-3 py-2 rounded-lg text-sm font-medium bg-gray-100 text-gray-800 hover:bg-gray-200"
+                  >
+                    <PlayIcon className="w-4 h-4 mr-2" />
+                    Resume
+                  </button>
                 </div>
-              </div>
+              ) : (
+              <>
+                {habit.kind !== 'quit' && habit.target > 1 && !habit.todayEntry?.skipped && (
+                  <div className="mb-4">
+                    <div className="flex items-center justify-between text-sm mb-1">
+                      <span className="text-gray-500">Today</span>
+                      <span className="font-medium text-gray-900">
+                        {habit.todayEntry?.value || 0} / {habit.target} {habit.unit}
+                      </span>
+                    </div>
+                    <ProgressBar value={habit.todayEntry?.value || 0} max={habit.target} color={habit.color} />
+                    <div className="flex items-center space-x-2 mt-3">
+                      {getQuickAmounts(habit).map((amount) => (
+                        <button
+                          key={amount}
+                          onClick={() => handleLogAmount(habit, amount)}
+                          disabled={pendingHabits.includes(habit._id)}
+                          className="px-2 py-1 rounded-md text-xs font-medium bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-50"
+                        >
+                          +{amount}
+                        </button>
+                      ))}
+                      <input
+                        type="number"
+                        min="0"
+                        value={customAmounts[habit._id] || ''}
+                        onChange={(e) => setCustomAmounts({ ...customAmounts, [habit._id]: e.target.value })}
+                        className="input h-8 w-20 text-xs"
+                        placeholder="Amount"
+                      />
+                      <button
+                        onClick={() => handleLogAmount(habit, Number(customAmounts[habit._id]))}
+                        disabled={pendingHabits.includes(habit._id) || !customAmounts[habit._id]}
+                        className="px-2 py-1 rounded-md text-xs font-medium bg-primary-100 text-primary-700 hover:bg-primary-200 disabled:opacity-50"
+                      >
+                        Add
+                      </button>
+                    </div>
+                  </div>
+                )}
+
+                {habit.kind === 'quit' ? (
+                  <div className="flex items-center justify-between">
+                    {habit.todayEntry?.relapsed ? (
+                      <span className="px-3 py-2 rounded-lg text-sm font-medium bg-red-100 text-red-700">
+                        Relapsed today
+                      </span>
+                    ) : (
+                      <button
+                        onClick={() => handleLogRelapse(habit)}
+                        className="px-3 py-2 rounded-lg text-sm font-medium bg-white text-red-600 border border-red-200 hover:bg-red-50"
+                      >
+                        Log relapse
+                      </button>
+                    )}
+                    <div className="text-xs text-gray-500">
+                      {habit.stats.totalRelapses || 0} relapses
+                    </div>
+                  </div>
+                ) : (
+                  <div className="flex items-center justify-between">
+                    {habit.todayEntry?.skipped ? (
+                      <div className="flex items-center space-x-2">
+                        <span className="flex items-center px-3 py-2 rounded-lg text-sm font-medium bg-yellow-100 text-yellow-800">
+                          <PauseIcon className="w-4 h-4 mr-2" />
+                          Skipped
+                        </span>
+                        <button
+                          onClick={() => handleUndoSkip(habit)}
+                          className="text-xs text-gray-500 hover:text-gray-700 underline"
+                        >
+                          Undo
+                        </button>
+                      </div>
+                    ) : (
+                      <div className="flex items-center space-x-2">
+                        <button
+                          onClick={() => handleToggleHabit(habit)}
+                          disabled={pendingHabits.includes(habit._id)}
+                          className={`flex items-center px-3 py-2 rounded-lg text-sm font-medium transition-colors disabled:opacity-50 ${
+                            habit.todayEntry?.completed
+                              ? 'bg-green-100 text-green-800 hover:bg-green-200'
+                              : 'bg-gray-100 text-gray-800 hover:bg-gray-200'
+                          }`}
+                        >
+                          {habit.todayEntry?.completed ? (
+                            <CheckIcon className="w-4 h-4 mr-2" />
+                          ) : (
+                            <XMarkIcon className="w-4 h-4 mr-2" />
+                          )}
+                          {habit.todayEntry?.completed ? 'Completed' : 'Mark Complete'}
+                        </button>
+                        {!habit.todayEntry?.completed && habit.isDueToday && (
+                          <button
+                            onClick={() => handleSkipToday(habit)}
+                            className="px-3 py-2 rounded-lg text-sm font-medium text-gray-500 hover:bg-gray-100"
+                            title="Skip today without breaking your streak"
+                          >
+                            Skip
+                          </button>
+                        )}
+                      </div>
+                    )}
+                    <div className="text-xs text-gray-500">
+                      {habit.target} {habit.unit}
+                    </div>
+                  </div>
+                )}
+              </>
+              )}
             </motion.div>
           ))}
         </div>
@@ -10,7 +10,8 @@ const Login = () => {
     password: ''
   });
   const [showPassword, setShowPassword] = useState(false);
-  const { login, loading } = useAuth();
+  const [code, setCode] = useState('');
+  const { login, verifyTwoFactor, cancelTwoFactor, twoFactorToken, loading } = useAuth();
 
   const handleChange = (e) => {
     setFormData({
@@ -24,6 +25,11 @@ const Login = () => {
     await login(formData.email, formData.password);
   };
 
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    await verifyTwoFactor(code);
+  };
+
   return (
     <div className="min-h-screen gradient-bg flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -40,102 +46,154 @@ const Login = () => {
         </div>
 
         <div className="glass-effect rounded-xl p-8 shadow-xl">
-          <form className="space-y-6" onSubmit={handleSubmit}>
-            <div>
-              <label htmlFor="email" className="block text-sm font-medium text-gray-700">
-                Email address
-              </label>
-              <div className="mt-1">
-                <input
-                  id="email"
-                  name="email"
-                  type="email"
-                  autoComplete="email"
-                  required
-                  value={formData.email}
-                  onChange={handleChange}
-                  className="input w-full"
-                  placeholder="Enter your email"
-                />
+          {twoFactorToken ? (
+            <form className="space-y-6" onSubmit={handleVerify}>
+              <div>
+                <label htmlFor="code" className="block text-sm font-medium text-gray-700">
+                  Authentication code
+                </label>
+                <div className="mt-1">
+                  <input
+                    id="code"
+                    name="code"
+                    type="text"
+                    inputMode="numeric"
+                    autoComplete="one-time-code"
+                    autoFocus
+                    required
+                    value={code}
+                    onChange={(e) => setCode(e.target.value)}
+                    className="input w-full tracking-widest"
+                    placeholder="123456"
+                  />
+                </div>
+                <p className="mt-2 text-xs text-gray-500">
+                  Enter the 6-digit code from your authenticator app, or one of your backup codes.
+                </p>
               </div>
-            </div>
 
-            <div>
-              <label htmlFor="password" className="block text-sm font-medium text-gray-700">
-                Password
-              </label>
-              <div className="mt-1 relative">
-                <input
-                  id="password"
-                  name="password"
-                  type={showPassword ? 'text' : 'password'}
-                  autoComplete="current-password"
-                  required
-                  value={formData.password}
-                  onChange={handleChange}
-                  className="input w-full pr-10"
-                  placeholder="Enter your password"
-                />
+              <div>
                 <button
-                  type="button"
-                  className="absolute inset-y-0 right-0 pr-3 flex items-center"
-                  onClick={() => setShowPassword(!showPassword)}
+                  type="submit"
+                  disabled={loading}
+                  className="btn btn-primary w-full flex justify-center py-2 px-4"
                 >
-                  {showPassword ? (
-                    <EyeSlashIcon className="h-5 w-5 text-gray-400" />
+                  {loading ? (
+                    <LoadingSpinner size="sm" />
                   ) : (
-                    <EyeIcon className="h-5 w-5 text-gray-400" />
+                    'Verify'
                   )}
                 </button>
               </div>
-            </div>
 
-            <div className="flex items-center justify-between">
-              <div className="flex items-center">
-                <input
-                  id="remember-me"
-                  name="remember-me"
-                  type="checkbox"
-                  className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
-                />
-                <label htmlFor="remember-me" className="ml-2 block text-sm text-gray-900">
-                  Remember me
+              <div className="text-center">
+                <button
+                  type="button"
+                  onClick={cancelTwoFactor}
+                  className="text-sm font-medium text-primary-600 hover:text-primary-500"
+                >
+                  Back to sign in
+                </button>
+              </div>
+            </form>
+          ) : (
+            <form className="space-y-6" onSubmit={handleSubmit}>
+              <div>
+                <label htmlFor="email" className="block text-sm font-medium text-gray-700">
+                  Email address
                 </label>
+                <div className="mt-1">
+                  <input
+                    id="email"
+                    name="email"
+                    type="email"
+                    autoComplete="email"
+                    required
+                    value={formData.email}
+                    onChange={handleChange}
+                    className="input w-full"
+                    placeholder="Enter your email"
+                  />
+                </div>
               </div>
 
-              <div className="text-sm">
-                <a href="#" className="font-medium text-primary-600 hover:text-primary-500">
-                  Forgot your password?
-                </a>
+              <div>
+                <label htmlFor="password" className="block text-sm font-medium text-gray-700">
+                  Password
+                </label>
+                <div className="mt-1 relative">
+                  <input
+                    id="password"
+                    name="password"
+                    type={showPassword ? 'text' : 'password'}
+                    autoComplete="current-password"
+                    required
+                    value={formData.password}
+                    onChange={handleChange}
+                    className="input w-full pr-10"
+                    placeholder="Enter your password"
+                  />
+                  <button
+                    type="button"
+                    className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                    onClick={() => setShowPassword(!showPassword)}
+                  >
+                    {showPassword ? (
+                      <EyeSlashIcon className="h-5 w-5 text-gray-400" />
+                    ) : (
+                      <EyeIcon className="h-5 w-5 text-gray-400" />
+                    )}
+                  </button>
+                </div>
               </div>
-            </div>
 
-            <div>
-              <button
-                type="submit"
-                disabled={loading}
-                className="btn btn-primary w-full flex justify-center py-2 px-4"
-              >
-                {loading ? (
-                  <LoadingSpinner size="sm" />
-                ) : (
-                  'Sign in'
-                )}
-              </button>
-            </div>
+              <div className="flex items-center justify-between">
+                <div className="flex items-center">
+                  <input
+                    id="remember-me"
+                    name="remember-me"
+                    type="checkbox"
+                    className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                  />
+                  <label htmlFor="remember-me" className="ml-2 block text-sm text-gray-900">
+                    Remember me
+                  </label>
+                </div>
+
+                <div className="text-sm">
+                  <Link to="/forgot-password" className="font-medium text-primary-600 hover:text-primary-500">
+                    Forgot your password?
+                  </Link>
+                </div>
+              </div>
 
-            <div className="text-center">
-              <span className="text-sm text-gray-600">
-                Don't have an account?{' '}
-                <Link
-                  to="/register"
-                  className="font-medium text-primary-600 hover:text-primary-500"
+              <div>
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="btn btn-primary w-full flex justify-center py-2 px-4"
                 >
-                  Sign up
-                </Link>
-              </span>
-            </div>
-          </form>
+                  {loading ? (
+                    <LoadingSpinner size="sm" />
+                  ) : (
+                    'Sign in'
+                  )}
+                </button>
+              </div>
+
+              <div className="text-center">
+                <span className="text-sm text-gray-600">
+                  Don't have an account?{' '}
+                  <Link
+                    to="/register"
+                    className="font-medium text-primary-600 hover:text-primary-500"
+                  >
+                    Sign up
+                  </Link>
+                </span>
+              </div>
+            </form>
+          )}
         </div>
       </div>
     </div>
@@ -1,25 +1,52 @@
 import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
+import { Link } from 'react-router-dom';
 import { 
   UserCircleIcon,
   Cog6ToothIcon,
   TrophyIcon,
   FireIcon,
-  PencilIcon
+  PencilIcon,
+  SunIcon,
+  TrashIcon,
+  ShieldCheckIcon,
+  KeyIcon,
+  ComputerDesktopIcon,
+  DevicePhoneMobileIcon
 } from '@heroicons/react/24/outline';
+import { format, formatDistanceToNow } from 'date-fns';
 import { useAuth } from '../contexts/AuthContext';
 import axios from 'axios';
 import toast from 'react-hot-toast';
 import LoadingSpinner from '../components/ui/LoadingSpinner';
+import TwoFactorSettings from '../components/profile/TwoFactorSettings';
+
+// Fall back to the browser's own zone where the full list isn't supported
+const browserTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+const timezones = typeof Intl.supportedValuesOf === 'function'
+  ? Intl.supportedValuesOf('timeZone')
+  : [browserTimezone];
+
+const BROWSERS = [['Edg', 'Edge'], ['OPR', 'Opera'], ['Chrome', 'Chrome'], ['Firefox', 'Firefox'], ['Safari', 'Safari']];
+const SYSTEMS = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Mac OS', 'macOS'], ['Linux', 'Linux']];
+
+// A readable name for the browser a session was started from
+const describeDevice = (userAgent = '') => {
+  const browser = BROWSERS.find(([token]) => userAgent.includes(token));
+  const system = SYSTEMS.find(([token]) => userAgent.includes(token));
+  if (!browser && !system) return 'Unknown device';
+  return [browser?.[1], system?.[1]].filter(Boolean).join(' on ');
+};
 
 const Profile = () => {
-  const { user, updateUser } = useAuth();
+  const { user, updateUser, logout } = useAuth();
   const [loading, setLoading] = useState(false);
   const [showEditForm, setShowEditForm] = useState(false);
   const [formData, setFormData] = useState({
     name: user?.name || '',
     preferences: {
       theme: user?.preferences?.theme || 'light',
+      timezone: user?.preferences?.timezone || browserTimezone,
       notifications: {
         email: user?.preferences?.notifications?.email ?? true,
         push: user?.preferences?.notifications?.push ?? true
@@ -27,6 +54,161 @@ const Profile = () => {
     }
   });
 
+  const [passwordForm, setPasswordForm] = useState({ currentPassword: '', newPassword: '', confirmPassword: '' });
+  const [emailForm, setEmailForm] = useState({ email: '', currentPassword: '' });
+  const [savingPassword, setSavingPassword] = useState(false);
+  const [savingEmail, setSavingEmail] = useState(false);
+
+  const [vacationForm, setVacationForm] = useState({ startDate: '', endDate: '', note: '' });
+  const vacations = user?.vacations || [];
+
+  const privacy = {
+    discoverable: true,
+    profileVisibility: 'everyone',
+    shareStreaks: true,
+    shareMood: false,
+    ...user?.privacy
+  };
+  const [blockedUsers, setBlockedUsers] = useState([]);
+  const [sessions, setSessions] = useState([]);
+
+  useEffect(() => {
+    const fetchBlockedUsers = async () => {
+      try {
+        const res = await axios.get('/api/users/blocked');
+        setBlockedUsers(res.data.blockedUsers);
+      } catch (error) {
+        console.error('Error fetching blocked users:', error);
+      }
+    };
+    fetchBlockedUsers();
+  }, []);
+
+  useEffect(() => {
+    const fetchSessions = async () => {
+      try {
+        const res = await axios.get('/api/auth/sessions');
+        setSessions(res.data.sessions);
+      } catch (error) {
+        console.error('Error fetching sessions:', error);
+      }
+    };
+    fetchSessions();
+  }, []);
+
+  const handleRevokeSession = async (session) => {
+    try {
+      await axios.delete(`/api/auth/sessions/${session._id}`);
+      if (session.current) {
+        logout();
+        return;
+      }
+      setSessions(sessions.filter(s => s._id !== session._id));
+      toast.success('Device signed out');
+    } catch (error) {
+      console.error('Error revoking session:', error);
+      toast.error('Failed to sign out device');
+    }
+  };
+
+  const handleRevokeAllSessions = async () => {
+    if (window.confirm('Sign out on all devices, including this one?')) {
+      try {
+        await axios.delete('/api/auth/sessions');
+        logout();
+      } catch (error) {
+        console.error('Error revoking sessions:', error);
+        toast.error('Failed to sign out everywhere');
+      }
+    }
+  };
+
+  const handlePrivacyChange = async (changes) => {
+    try {
+      const res = await axios.put('/api/auth/profile', { privacy: { ...privacy, ...changes } });
+      updateUser({ privacy: res.data.user.privacy });
+      toast.success('Privacy settings saved');
+    } catch (error) {
+      console.error('Error updating privacy settings:', error);
+      toast.error('Failed to save privacy settings');
+    }
+  };
+
+  const handleUnblock = async (blockedUser) => {
+    try {
+      await axios.delete(`/api/users/blocked/${blockedUser._id}`);
+      setBlockedUsers(blockedUsers.filter(u => u._id !== blockedUser._id));
+      toast.success(`${blockedUser.name} unblocked`);
+    } catch (error) {
+      console.error('Error unblocking user:', error);
+      toast.error('Failed to unblock user');
+    }
+  };
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+
+    if (passwordForm.newPassword !== passwordForm.confirmPassword) {
+      toast.error('Passwords do not match');
+      return;
+    }
+
+    try {
+      setSavingPassword(true);
+      await axios.put('/api/auth/password', {
+        currentPassword: passwordForm.currentPassword,
+        newPassword: passwordForm.newPassword
+      });
+      setPasswordForm({ currentPassword: '', newPassword: '', confirmPassword: '' });
+      toast.success('Password changed. Other devices have been signed out.');
+    } catch (error) {
+      console.error('Error changing password:', error);
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to change password');
+    } finally {
+      setSavingPassword(false);
+    }
+  };
+
+  const handleChangeEmail = async (e) => {
+    e.preventDefault();
+    try {
+      setSavingEmail(true);
+      const res = await axios.put('/api/auth/email', emailForm);
+      updateUser(res.data.user);
+      setEmailForm({ email: '', currentPassword: '' });
+      toast.success(res.data.message);
+    } catch (error) {
+      console.error('Error changing email:', error);
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to change email');
+    } finally {
+      setSavingEmail(false);
+    }
+  };
+
+  const handleAddVacation = async (e) => {
+    e.preventDefault();
+    try {
+      const res = await axios.post('/api/users/vacations', vacationForm);
+      updateUser({ vacations: res.data.vacations });
+      setVacationForm({ startDate: '', endDate: '', note: '' });
+      toast.success('Vacation added. Enjoy your break!');
+    } catch (error) {
+      console.error('Error adding vacation:', error);
+      toast.error(error.response?.data?.message || 'Failed to add vacation');
+    }
+  };
+
+  const handleDeleteVacation = async (vacationId) => {
+    try {
+      const res = await axios.delete(`/api/users/vacations/${vacationId}`);
+      updateUser({ vacations: res.data.vacations });
+      toast.success('Vacation removed');
+    } catch (error) {
+      console.error('Error removing vacation:', error);
+      toast.error('Failed to remove vacation');
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     try {
@@ -101,7 +283,12 @@ const Profile = () => {
                 <label className="block text-sm font-medium text-gray-700 mb-1">
                   Email Address
                 </label>
-                <p className="text-gray-900">{user?.email}</p>
+                <p className="text-gray-900">
+                  {user?.email}
+                  {user && !user.emailVerified && (
+                    <span className="ml-2 text-xs font-medium text-yellow-700">Not verified</span>
+                  )}
+                </p>
               </div>
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -114,6 +301,131 @@ const Profile = () => {
             </div>
           </div>
 
+          {/* Password and email */}
+          <div className="card p-6">
+            <div className="flex items-center mb-4">
+              <KeyIcon className="w-5 h-5 text-gray-500 mr-2" />
+              <h3 className="text-lg font-semibold text-gray-900">Sign-in & Security</h3>
+            </div>
+            <p className="text-sm text-gray-600 mb-4">
+              Changing your password or email signs you out on your other devices.
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <form onSubmit={handleChangePassword} className="space-y-3">
+                <h4 className="text-sm font-medium text-gray-700">Change password</h4>
+                <input
+                  type="password"
+                  autoComplete="current-password"
+                  value={passwordForm.currentPassword}
+                  onChange={(e) => setPasswordForm({ ...passwordForm, currentPassword: e.target.value })}
+                  className="input w-full"
+                  placeholder="Current password"
+                  required
+                />
+                <input
+                  type="password"
+                  autoComplete="new-password"
+                  minLength={6}
+                  value={passwordForm.newPassword}
+                  onChange={(e) => setPasswordForm({ ...passwordForm, newPassword: e.target.value })}
+                  className="input w-full"
+                  placeholder="New password"
+                  required
+                />
+                <input
+                  type="password"
+                  autoComplete="new-password"
+                  value={passwordForm.confirmPassword}
+                  onChange={(e) => setPasswordForm({ ...passwordForm, confirmPassword: e.target.value })}
+                  className="input w-full"
+                  placeholder="Confirm new password"
+                  required
+                />
+                <button type="submit" disabled={savingPassword} className="btn btn-outline w-full">
+                  {savingPassword ? <LoadingSpinner size="sm" /> : 'Change Password'}
+                </button>
+              </form>
+
+              <form onSubmit={handleChangeEmail} className="space-y-3">
+                <h4 className="text-sm font-medium text-gray-700">Change email</h4>
+                <input
+                  type="email"
+                  autoComplete="email"
+                  value={emailForm.email}
+                  onChange={(e) => setEmailForm({ ...emailForm, email: e.target.value })}
+                  className="input w-full"
+                  placeholder="New email address"
+                  required
+                />
+                <input
+                  type="password"
+                  autoComplete="current-password"
+                  value={emailForm.currentPassword}
+                  onChange={(e) => setEmailForm({ ...emailForm, currentPassword: e.target.value })}
+                  className="input w-full"
+                  placeholder="Current password"
+                  required
+                />
+                <p className="text-xs text-gray-500">
+                  We'll send a link to the new address to verify it.
+                </p>
+                <button type="submit" disabled={savingEmail} className="btn btn-outline w-full">
+                  {savingEmail ? <LoadingSpinner size="sm" /> : 'Change Email'}
+                </button>
+              </form>
+            </div>
+          </div>
+
+          <TwoFactorSettings />
+
+          {/* Devices & sessions */}
+          <div className="card p-6">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-gray-900">Devices & Sessions</h3>
+              {sessions.length > 0 && (
+                <button
+                  onClick={handleRevokeAllSessions}
+                  className="text-sm font-medium text-red-600 hover:text-red-700"
+                >
+                  Log out everywhere
+                </button>
+              )}
+            </div>
+            <div className="space-y-2">
+              {sessions.map((session) => {
+                const DeviceIcon = /Mobile|Android|iPhone/.test(session.userAgent || '')
+                  ? DevicePhoneMobileIcon
+                  : ComputerDesktopIcon;
+                return (
+                  <div key={session._id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                    <div className="flex items-center">
+                      <DeviceIcon className="w-6 h-6 text-gray-500 mr-3" />
+                      <div>
+                        <p className="text-sm font-medium text-gray-900">
+                          {describeDevice(session.userAgent)}
+                          {session.current && (
+                            <span className="ml-2 text-xs font-medium text-green-600">This device</span>
+                          )}
+                        </p>
+                        <p className="text-xs text-gray-500">
+                          {session.ip && `${session.ip} · `}
+                          Active {formatDistanceToNow(new Date(session.lastUsedAt), { addSuffix: true })}
+                          {' · '}Signed in {format(new Date(session.createdAt), 'MMM d, yyyy')}
+                        </p>
+                      </div>
+                    </div>
+                    <button
+                      onClick={() => handleRevokeSession(session)}
+                      className="text-sm text-primary-600 hover:text-primary-700"
+                    >
+                      {session.current ? 'Log out' : 'Revoke'}
+                    </button>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+
           {/* Stats */}
           <div className="card p-6">
             <h3 className="text-lg font-semibold text-gray-900 mb-4">Your Stats</h3>
@@ -145,9 +457,14 @@ const Profile = () => {
           {/* Achievements */}
           {user?.achievements && user.achievements.length > 0 && (
             <div className="card p-6">
-              <h3 className="text-lg font-semibold text-gray-900 mb-4">Recent Achievements</h3>
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-semibold text-gray-900">Recent Achievements</h3>
+                <Link to="/achievements" className="text-sm font-medium text-primary-600 hover:text-primary-700">
+                  View all
+                </Link>
+              </div>
               <div className="space-y-3">
-                {user.achievements.slice(0, 5).map((achievement, index) => (
+                {user.achievements.slice(-5).reverse().map((achievement, index) => (
                   <div key={index} className="flex items-center p-3 bg-yellow-50 rounded-lg">
                     <TrophyIcon className="w-6 h-6 text-yellow-600 mr-3" />
                     <div>
@@ -177,6 +494,12 @@ const Profile = () => {
                 </label>
                 <p className="text-gray-900 capitalize">{user?.preferences?.theme || 'light'}</p>
               </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Timezone
+                </label>
+                <p className="text-gray-900">{user?.preferences?.timezone || 'UTC'}</p>
+              </div>
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
                   Email Notifications
@@ -196,6 +519,136 @@ const Profile = () => {
             </div>
           </div>
 
+          <div className="card p-6">
+            <div className="flex items-center mb-4">
+              <ShieldCheckIcon className="w-5 h-5 text-gray-500 mr-2" />
+              <h3 className="text-lg font-semibold text-gray-900">Privacy</h3>
+            </div>
+            <div className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Who can see my profile
+                </label>
+                <select
+                  value={privacy.profileVisibility}
+                  onChange={(e) => handlePrivacyChange({ profileVisibility: e.target.value })}
+                  className="input w-full"
+                >
+                  <option value="everyone">Everyone</option>
+                  <option value="friends">Friends only</option>
+                  <option value="nobody">Nobody</option>
+                </select>
+              </div>
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={privacy.discoverable}
+                  onChange={(e) => handlePrivacyChange({ discoverable: e.target.checked })}
+                  className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                />
+                <span className="ml-2 text-sm text-gray-700">Let others find me in search</span>
+              </label>
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={privacy.shareStreaks}
+                  onChange={(e) => handlePrivacyChange({ shareStreaks: e.target.checked })}
+                  className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                />
+                <span className="ml-2 text-sm text-gray-700">Share my streaks</span>
+              </label>
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={privacy.shareMood}
+                  onChange={(e) => handlePrivacyChange({ shareMood: e.target.checked })}
+                  className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                />
+                <span className="ml-2 text-sm text-gray-700">Share my mood</span>
+              </label>
+            </div>
+
+            {blockedUsers.length > 0 && (
+              <div className="mt-6">
+                <h4 className="text-sm font-medium text-gray-700 mb-2">Blocked users</h4>
+                <div className="space-y-2">
+                  {blockedUsers.map((blockedUser) => (
+                    <div key={blockedUser._id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                      <span className="text-sm text-gray-900">{blockedUser.name}</span>
+                      <button
+                        onClick={() => handleUnblock(blockedUser)}
+                        className="text-sm text-primary-600 hover:text-primary-700"
+                      >
+                        Unblock
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+
+          <div className="card p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-1">Vacation Mode</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              Habits are paused while you are away and your streaks stay safe.
+              You have {user?.streakFreezes?.available || 0} streak freezes for other missed days.
+            </p>
+            {vacations.length > 0 && (
+              <div className="space-y-2 mb-4">
+                {vacations.map((vacation) => (
+                  <div key={vacation._id} className="flex items-center justify-between p-3 bg-purple-50 rounded-lg">
+                    <div className="flex items-center">
+                      <SunIcon className="w-5 h-5 text-purple-600 mr-2" />
+                      <div>
+                        <p className="text-sm font-medium text-gray-900">
+                          {format(new Date(vacation.startDate), 'MMM d')} – {format(new Date(vacation.endDate), 'MMM d, yyyy')}
+                        </p>
+                        {vacation.note && <p className="text-xs text-gray-600">{vacation.note}</p>}
+                      </div>
+                    </div>
+                    <button
+                      onClick={() => handleDeleteVacation(vacation._id)}
+                      className="p-1 text-gray-400 hover:text-red-600"
+                    >
+                      <TrashIcon className="w-4 h-4" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+            <form onSubmit={handleAddVacation} className="space-y-3">
+              <div className="grid grid-cols-2 gap-2">
+                <input
+                  type="date"
+                  value={vacationForm.startDate}
+                  onChange={(e) => setVacationForm({ ...vacationForm, startDate: e.target.value })}
+                  className="input w-full"
+                  required
+                />
+                <input
+                  type="date"
+                  value={vacationForm.endDate}
+                  min={vacationForm.startDate}
+                  onChange={(e) => setVacationForm({ ...vacationForm, endDate: e.target.value })}
+                  className="input w-full"
+                  required
+                />
+              </div>
+              <input
+                type="text"
+                value={vacationForm.note}
+                onChange={(e) => setVacationForm({ ...vacationForm, note: e.target.value })}
+                className="input w-full"
+                placeholder="Note (optional)"
+                maxLength={100}
+              />
+              <button type="submit" className="btn btn-outline w-full">
+                Add Vacation
+              </button>
+            </form>
+          </div>
+
           <div className="card p-6">
             <h3 className="text-lg font-semibold text-gray-900 mb-4">Account Actions</h3>
             <div className="space-y-3">
@@ -251,6 +704,25 @@ const Profile = () => {
                 </select>
               </div>
 
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Timezone
+                </label>
+                <select
+                  name="preferences.timezone"
+                  value={formData.preferences.timezone}
+                  onChange={handleChange}
+                  className="input w-full"
+                >
+                  {[...new Set(['UTC', formData.preferences.timezone, ...timezones])].map((timezone) => (
+                    <option key={timezone} value={timezone}>{timezone.replace(/_/g, ' ')}</option>
+                  ))}
+                </select>
+                <p className="mt-1 text-xs text-gray-500">
+                  Your days, streaks and stats reset at midnight in this timezone.
+                </p>
+              </div>
+
               <div>
                 <label className="flex items-center">
                   <input
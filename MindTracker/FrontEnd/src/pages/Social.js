@@ -1,20 +1,23 @@
 import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { 
   UserGroupIcon, 
-  TrophyIcon,
-  FireIcon,
   MagnifyingGlassIcon,
   UserPlusIcon,
-  ShareIcon
+  ShareIcon,
+  CheckIcon,
+  XMarkIcon
 } from '@heroicons/react/24/outline';
 import axios from 'axios';
 import toast from 'react-hot-toast';
 import LoadingSpinner from '../components/ui/LoadingSpinner';
+import ActivityFeed from '../components/social/ActivityFeed';
+import Leaderboard from '../components/social/Leaderboard';
 
 const Social = () => {
   const [friends, setFriends] = useState([]);
-  const [leaderboard, setLeaderboard] = useState([]);
+  const [requests, setRequests] = useState({ incoming: [], outgoing: [] });
   const [searchQuery, setSearchQuery] = useState('');
   const [searchResults, setSearchResults] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -22,7 +25,7 @@ const Social = () => {
 
   useEffect(() => {
     fetchFriends();
-    fetchLeaderboard();
+    fetchRequests();
   }, []);
 
   const fetchFriends = async () => {
@@ -38,13 +41,12 @@ const Social = () => {
     }
   };
 
-  const fetchLeaderboard = async () => {
+  const fetchRequests = async () => {
     try {
-      const res = await axios.get('/api/users/leaderboard');
-      setLeaderboard(res.data.leaderboard || []);
+      const res = await axios.get('/api/users/friends/requests');
+      setRequests({ incoming: res.data.incoming || [], outgoing: res.data.outgoing || [] });
     } catch (error) {
-      console.error('Error fetching leaderboard:', error);
-      toast.error('Failed to load leaderboard');
+      console.error('Error fetching friend requests:', error);
     }
   };
 
@@ -65,15 +67,64 @@ const Social = () => {
 
   const addFriend = async (userId) => {
     try {
-      await axios.post('/api/users/friends', { userId });
-      toast.success('Friend request sent');
+      const res = await axios.post('/api/users/friends', { userId });
+      toast.success(res.data.message);
+      fetchRequests();
       fetchFriends();
     } catch (error) {
-      console.error('Error adding friend:', error);
-      toast.error('Failed to add friend');
+      console.error('Error sending friend request:', error);
+      toast.error(error.response?.data?.message || 'Failed to send friend request');
     }
   };
 
+  const respondToRequest = async (requestId, action) => {
+    try {
+      await axios.post(`/api/users/friends/requests/${requestId}/${action}`);
+      toast.success(action === 'accept' ? 'Friend request accepted' : 'Friend request declined');
+      fetchRequests();
+      if (action === 'accept') {
+        fetchFriends();
+      }
+    } catch (error) {
+      console.error('Error responding to friend request:', error);
+      toast.error(error.response?.data?.message || 'Failed to respond to friend request');
+    }
+  };
+
+  const cancelRequest = async (requestId) => {
+    try {
+      await axios.delete(`/api/users/friends/requests/${requestId}`);
+      toast.success('Friend request cancelled');
+      fetchRequests();
+    } catch (error) {
+      console.error('Error cancelling friend request:', error);
+      toast.error('Failed to cancel friend request');
+    }
+  };
+
+  const blockUser = async (userId, name) => {
+    if (!window.confirm(`Block ${name}? They won't be able to find you, send you friend requests or see your profile.`)) {
+      return;
+    }
+
+    try {
+      await axios.post('/api/users/blocked', { userId });
+      toast.success(`${name} blocked`);
+      fetchFriends();
+      fetchRequests();
+    } catch (error) {
+      console.error('Error blocking user:', error);
+      toast.error('Failed to block user');
+    }
+  };
+
+  // How the signed-in user is connected to a search result
+  const getRelationship = (userId) => {
+    if (friends.some(friend => friend._id === userId)) return 'friend';
+    if (requests.outgoing.some(request => request.to._id === userId)) return 'requested';
+    return null;
+  };
+
   const removeFriend = async (userId) => {
     try {
       await axios.delete(`/api/users/friends/${userId}`);
@@ -169,16 +220,24 @@ const Social = () => {
                         </div>
                         <div>
                           <p className="font-medium text-gray-900">{user.name}</p>
-                          <p className="text-sm text-gray-500">{user.email}</p>
+                          {user.streak && (
+                            <p className="text-sm text-gray-500">{user.streak.current} day streak</p>
+                          )}
                         </div>
                       </div>
-                      <button
-                        onClick={() => addFriend(user._id)}
-                        className="btn btn-primary btn-sm"
-                      >
-                        <UserPlusIcon className="w-4 h-4 mr-1" />
-                        Add
-                      </button>
+                      {getRelationship(user._id) ? (
+                        <span className="text-sm text-gray-500">
+                          {getRelationship(user._id) === 'friend' ? 'Friends' : 'Requested'}
+                        </span>
+                      ) : (
+                        <button
+                          onClick={() => addFriend(user._id)}
+                          className="btn btn-primary btn-sm"
+                        >
+                          <UserPlusIcon className="w-4 h-4 mr-1" />
+                          Add
+                        </button>
+                      )}
                     </div>
                   ))}
                 </div>
@@ -201,6 +260,77 @@ const Social = () => {
         </div>
       )}
 
+      {/* Friend Requests */}
+      {(requests.incoming.length > 0 || requests.outgoing.length > 0) && (
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="card p-6"
+        >
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">Friend Requests</h3>
+          <div className="space-y-3">
+            {requests.incoming.map((request) => (
+              <div key={request._id} className="flex items-center justify-between p-3 bg-primary-50 rounded-lg">
+                <div className="flex items-center">
+                  <div className="w-10 h-10 bg-primary-100 rounded-full flex items-center justify-center mr-3">
+                    <span className="text-sm font-medium text-primary-600">
+                      {request.from.name.charAt(0).toUpperCase()}
+                    </span>
+                  </div>
+                  <div>
+                    <p className="font-medium text-gray-900">{request.from.name}</p>
+                    <p className="text-sm text-gray-500">Wants to be your friend</p>
+                  </div>
+                </div>
+                <div className="flex space-x-2">
+                  <button
+                    onClick={() => respondToRequest(request._id, 'accept')}
+                    className="btn btn-primary btn-sm flex items-center"
+                  >
+                    <CheckIcon className="w-4 h-4 mr-1" />
+                    Accept
+                  </button>
+                  <button
+                    onClick={() => respondToRequest(request._id, 'decline')}
+                    className="btn btn-outline btn-sm flex items-center"
+                  >
+                    <XMarkIcon className="w-4 h-4 mr-1" />
+                    Decline
+                  </button>
+                  <button
+                    onClick={() => blockUser(request.from._id, request.from.name)}
+                    className="text-sm text-gray-500 hover:text-gray-700"
+                  >
+                    Block
+                  </button>
+                </div>
+              </div>
+            ))}
+            {requests.outgoing.map((request) => (
+              <div key={request._id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                <div className="flex items-center">
+                  <div className="w-10 h-10 bg-gray-200 rounded-full flex items-center justify-center mr-3">
+                    <span className="text-sm font-medium text-gray-600">
+                      {request.to.name.charAt(0).toUpperCase()}
+                    </span>
+                  </div>
+                  <div>
+                    <p className="font-medium text-gray-900">{request.to.name}</p>
+                    <p className="text-sm text-gray-500">Request sent</p>
+                  </div>
+                </div>
+                <button
+                  onClick={() => cancelRequest(request._id)}
+                  className="text-sm text-gray-600 hover:text-gray-700"
+                >
+                  Cancel
+                </button>
+              </div>
+            ))}
+          </div>
+        </motion.div>
+      )}
+
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         {/* Friends List */}
         <motion.div
@@ -233,18 +363,31 @@ const Social = () => {
                       </span>
                     </div>
                     <div>
-                      <p className="font-medium text-gray-900">{friend.name}</p>
+                      <Link
+                        to={`/users/${friend._id}/achievements`}
+                        className="font-medium text-gray-900 hover:text-primary-600"
+                      >
+                        {friend.name}
+                      </Link>
                       <p className="text-sm text-gray-500">
-                        {friend.streak?.current || 0} day streak
+                        {friend.streak ? `${friend.streak.current} day streak` : 'Streak hidden'}
                       </p>
                     </div>
                   </div>
-                  <button
-                    onClick={() => removeFriend(friend._id)}
-                    className="text-sm text-red-600 hover:text-red-700"
-                  >
-                    Remove
-                  </button>
+                  <div className="flex space-x-3">
+                    <button
+                      onClick={() => removeFriend(friend._id)}
+                      className="text-sm text-red-600 hover:text-red-700"
+                    >
+                      Remove
+                    </button>
+                    <button
+                      onClick={() => blockUser(friend._id, friend.name)}
+                      className="text-sm text-gray-500 hover:text-gray-700"
+                    >
+                      Block
+                    </button>
+                  </div>
                 </div>
               ))}
             </div>
@@ -259,46 +402,21 @@ const Social = () => {
           className="card p-6"
         >
           <h3 className="text-lg font-semibold text-gray-900 mb-4">Leaderboard</h3>
-          
-          {leaderboard.length === 0 ? (
-            <div className="text-center py-8">
-              <TrophyIcon className="mx-auto h-12 w-12 text-gray-400" />
-              <p className="mt-2 text-sm text-gray-500">No leaderboard data yet</p>
-            </div>
-          ) : (
-            <div className="space-y-3">
-              {leaderboard.slice(0, 5).map((entry, index) => (
-                <div key={entry.user.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
-                  <div className="flex items-center">
-                    <div className="flex items-center justify-center w-8 h-8 bg-primary-100 rounded-full mr-3">
-                      {index === 0 ? (
-                        <TrophyIcon className="w-5 h-5 text-yellow-500" />
-                      ) : index === 1 ? (
-                        <TrophyIcon className="w-5 h-5 text-gray-400" />
-                      ) : index === 2 ? (
-                        <TrophyIcon className="w-5 h-5 text-orange-500" />
-                      ) : (
-                        <span className="text-sm font-bold text-primary-600">{index + 1}</span>
-                      )}
-                    </div>
-                    <div>
-                      <p className="font-medium text-gray-900">{entry.user.name}</p>
-                      <p className="text-sm text-gray-500">
-                        {entry.streak} day streak • {entry.achievements} achievements
-                      </p>
-                    </div>
-                  </div>
-                  <div className="flex items-center">
-                    <FireIcon className="w-4 h-4 text-orange-500 mr-1" />
-                    <span className="text-sm font-medium text-gray-900">{entry.streak}</span>
-                  </div>
-                </div>
-              ))}
-            </div>
-          )}
+          <Leaderboard />
         </motion.div>
       </div>
 
+      {/* Activity Feed */}
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ delay: 0.15 }}
+        className="card p-6"
+      >
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">Activity</h3>
+        <ActivityFeed />
+      </motion.div>
+
       {/* Share Progress */}
       <motion.div
         initial={{ opacity: 0, y: 20 }}
@@ -0,0 +1,86 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { CheckCircleIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+import axios from 'axios';
+import LoadingSpinner from '../components/ui/LoadingSpinner';
+import { useAuth } from '../contexts/AuthContext';
+
+// Opened from the link in the verification email, signed in or not
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const { user, isAuthenticated, updateUser } = useAuth();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is incomplete.');
+
+  useEffect(() => {
+    if (!token) return;
+
+    const verify = async () => {
+      try {
+        const res = await axios.post('/api/auth/verify-email', { token });
+        setStatus('verified');
+        setMessage(res.data.message);
+      } catch (error) {
+        console.error('Error verifying email:', error);
+        setStatus('error');
+        setMessage(error.response?.data?.message || 'Failed to verify your email address');
+      }
+    };
+    verify();
+  }, [token]);
+
+  // Hide the banner without waiting for the next reload
+  useEffect(() => {
+    if (status === 'verified' && user && !user.emailVerified) {
+      updateUser({ emailVerified: true });
+    }
+  }, [status, user, updateUser]);
+
+  return (
+    <div className="min-h-screen gradient-bg flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div className="text-center">
+          <div className="mx-auto h-12 w-12 bg-gradient-to-br from-primary-500 to-secondary-500 rounded-xl flex items-center justify-center">
+            <span className="text-white font-bold text-xl">M</span>
+          </div>
+          <h2 className="mt-6 text-3xl font-bold text-gray-900">
+            Verify your email
+          </h2>
+        </div>
+
+        <div className="glass-effect rounded-xl p-8 shadow-xl text-center space-y-6">
+          {status === 'verifying' ? (
+            <div className="flex justify-center">
+              <LoadingSpinner size="lg" />
+            </div>
+          ) : (
+            <>
+              {status === 'verified' ? (
+                <CheckCircleIcon className="mx-auto h-12 w-12 text-green-500" />
+              ) : (
+                <ExclamationTriangleIcon className="mx-auto h-12 w-12 text-yellow-500" />
+              )}
+              <p className="text-sm text-gray-700">{message}</p>
+              {status === 'error' && (
+                <p className="text-sm text-gray-500">
+                  {isAuthenticated
+                    ? 'You can request a new link from the banner at the top of the page.'
+                    : 'Sign in to request a new link.'}
+                </p>
+              )}
+              <Link
+                to={isAuthenticated ? '/dashboard' : '/login'}
+                className="font-medium text-primary-600 hover:text-primary-500"
+              >
+                {isAuthenticated ? 'Go to your dashboard' : 'Sign in'}
+              </Link>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;